@@ -0,0 +1,157 @@
+// lib/booking-policy.js
+// Reserveringsregels per organisatie, apart voor auto's (kind "car") en vergaderruimtes ("room").
+// Elke regel is optioneel (null = geen grens):
+//   maxDurationMinutes  langste reservering
+//   maxDaysAhead        hoe ver vooruit je mag reserveren
+//   minNoticeMinutes    hoe lang van tevoren je minstens moet reserveren
+//   maxFutureBookings   hoeveel komende reserveringen iemand tegelijk mag hebben
+//   allowedDays         dagen waarop een reservering mag beginnen en eindigen (1 = ma … 7 = zo)
+//   hoursFrom/hoursUntil  kloktijden (lokale tijd) waarbinnen een reservering begint en eindigt,
+//                       op dezelfde dag
+//   bufferMinutes       vrije tijd tussen twee reserveringen van dezelfde auto of ruimte (0 = geen)
+
+const { zonedParts, localDateKey, shiftDateKey } = require("./recurrence");
+
+const POLICY_KINDS = ["car", "room"];
+const WEEKDAY_LABELS = ["", "ma", "di", "wo", "do", "vr", "za", "zo"];
+const MINUTE_MS = 60 * 1000;
+
+const LIMITS = {
+  maxDurationMinutes: { column: "max_duration_minutes", max: 31 * 24 * 60, label: "Maximale duur" },
+  maxDaysAhead: { column: "max_days_ahead", max: 730, label: "Maximaal aantal dagen vooruit" },
+  minNoticeMinutes: { column: "min_notice_minutes", max: 30 * 24 * 60, label: "Minimale aankondigingstijd" },
+  maxFutureBookings: { column: "max_future_bookings", max: 1000, label: "Maximaal aantal komende reserveringen" },
+  bufferMinutes: { column: "buffer_minutes", max: 24 * 60, label: "Buffer tussen reserveringen" },
+};
+
+// 'HH:MM' → minuten sinds middernacht, of null als het geen geldige tijd is
+function clockMinutes(value) {
+  const match = /^(\d{2}):(\d{2})/.exec(String(value || ""));
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+// Minuten → "90 minuten", "2 uur", "1 uur en 30 minuten", "2 dagen"
+function formatMinutes(total) {
+  if (total >= 24 * 60 && total % (24 * 60) === 0) {
+    const days = total / (24 * 60);
+    return days === 1 ? "1 dag" : `${days} dagen`;
+  }
+  const hours = Math.floor(total / 60);
+  const minutes = total % 60;
+  if (!hours) return minutes === 1 ? "1 minuut" : `${minutes} minuten`;
+  if (!minutes) return `${hours} uur`;
+  return `${hours} uur en ${minutes} minuten`;
+}
+
+function formatDays(days) {
+  return days.map((d) => WEEKDAY_LABELS[d]).join(", ").replace(/, ([^,]*)$/, " en $1");
+}
+
+// Lokale weekdag (1 = ma … 7 = zo)
+function isoWeekday(date) {
+  return new Date(localDateKey(date) + "T00:00:00Z").getUTCDay() || 7;
+}
+
+// Valideert de regels uit een request body (camelCase). Ontbrekende velden worden null.
+// Geeft { values } met de kolommen of { error } terug (foutmelding in het Nederlands).
+function parsePolicy(body) {
+  const values = {};
+
+  for (const [field, limit] of Object.entries(LIMITS)) {
+    const raw = body[field];
+    const n = raw === undefined || raw === null || raw === "" ? null : Number(raw);
+    if (n !== null && (!Number.isInteger(n) || n < 0 || n > limit.max)) {
+      return { error: `${limit.label} moet een heel getal tussen 0 en ${limit.max} zijn.` };
+    }
+    values[limit.column] = n;
+  }
+  // Geen buffer is 0, niet null
+  values.buffer_minutes = values.buffer_minutes || 0;
+  if (values.max_duration_minutes === 0) {
+    return { error: "Maximale duur moet minstens 1 minuut zijn." };
+  }
+
+  const { allowedDays, hoursFrom, hoursUntil } = body;
+  if (allowedDays === undefined || allowedDays === null) {
+    values.allowed_days = null;
+  } else {
+    const days = Array.isArray(allowedDays) ? [...new Set(allowedDays.map(Number))].sort() : null;
+    if (!days || !days.length || days.some((d) => !Number.isInteger(d) || d < 1 || d > 7)) {
+      return { error: "Toegestane dagen moeten getallen van 1 (maandag) tot en met 7 (zondag) zijn." };
+    }
+    values.allowed_days = days.length === 7 ? null : days;
+  }
+
+  const from = hoursFrom ? clockMinutes(hoursFrom) : null;
+  const until = hoursUntil ? clockMinutes(hoursUntil) : null;
+  if ((hoursFrom && from === null) || (hoursUntil && until === null)) {
+    return { error: "Tijden moeten in de vorm UU:MM zijn." };
+  }
+  if ((from === null) !== (until === null)) {
+    return { error: "Geef zowel een begin- als een eindtijd op, of geen van beide." };
+  }
+  if (from !== null && until <= from) {
+    return { error: "De eindtijd moet na de begintijd liggen." };
+  }
+  values.hours_from = from === null ? null : String(hoursFrom).slice(0, 5);
+  values.hours_until = until === null ? null : String(hoursUntil).slice(0, 5);
+
+  return { values };
+}
+
+// Controleert één tijdvak { start: Date, end: Date } tegen de regels (policy = rij uit de DB).
+//   noun       = "een auto" of "een vergaderruimte" (voor de foutmelding)
+//   checkStart = false bij een wijziging waarbij de begintijd gelijk blijft: dan tellen
+//                aankondigingstijd en maximaal vooruit niet (een lopende rit mag verlengd worden)
+// Geeft een foutmelding of null terug.
+function slotViolation(policy, slot, { now = new Date(), noun = "dit", checkStart = true } = {}) {
+  const durationMinutes = (slot.end - slot.start) / MINUTE_MS;
+  if (policy.max_duration_minutes && durationMinutes > policy.max_duration_minutes) {
+    return `Je kunt ${noun} maximaal ${formatMinutes(policy.max_duration_minutes)} achter elkaar reserveren.`;
+  }
+
+  if (checkStart) {
+    if (policy.min_notice_minutes && slot.start - now < policy.min_notice_minutes * MINUTE_MS) {
+      return `Reserveer ${noun} minstens ${formatMinutes(policy.min_notice_minutes)} van tevoren.`;
+    }
+    // In kalenderdagen: bij 30 dagen mag alles tot en met de dag over 30 dagen
+    if (policy.max_days_ahead !== null && policy.max_days_ahead !== undefined &&
+        localDateKey(slot.start) > shiftDateKey(localDateKey(now), policy.max_days_ahead)) {
+      return policy.max_days_ahead === 0
+        ? `Je kunt ${noun} alleen voor vandaag reserveren.`
+        : `Je kunt ${noun} maximaal ${policy.max_days_ahead} dagen vooruit reserveren.`;
+    }
+  }
+
+  const days = policy.allowed_days;
+  if (days && days.length && (!days.includes(isoWeekday(slot.start)) || !days.includes(isoWeekday(slot.end)))) {
+    return `Je kunt ${noun} alleen op ${formatDays(days)} reserveren.`;
+  }
+
+  const from = clockMinutes(policy.hours_from);
+  const until = clockMinutes(policy.hours_until);
+  if (from !== null && until !== null) {
+    const s = zonedParts(slot.start);
+    const e = zonedParts(slot.end);
+    const startMinutes = s.hour * 60 + s.minute;
+    const endMinutes = e.hour * 60 + e.minute;
+    // Begin en eind op dezelfde dag, anders valt de nacht ertussen buiten de kloktijden
+    const sameDay = localDateKey(slot.start) === localDateKey(slot.end);
+    if (!sameDay || startMinutes < from || startMinutes > until || endMinutes < from || endMinutes > until) {
+      return `Je kunt ${noun} alleen tussen ${policy.hours_from.slice(0, 5)} en ${policy.hours_until.slice(0, 5)} op dezelfde dag reserveren.`;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  POLICY_KINDS,
+  parsePolicy,
+  slotViolation,
+  formatMinutes,
+};
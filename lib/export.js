@@ -0,0 +1,225 @@
+// lib/export.js
+// Exports voor admins: rijen (objecten met camelCase velden) → CSV of XLSX.
+//   columns = [{ key, type? }], type = "text" (standaard), "number" of "date"
+// De kolomkoppen zijn de veldnamen, gelijk aan wat de API teruggeeft.
+// CSV: UTF-8 met BOM (zodat Excel de accenten goed leest), tijden als ISO-string.
+// XLSX: één werkblad, tijden als echte Excel-datums in lokale tijd (APP_TIMEZONE).
+
+const zlib = require("zlib");
+const { zonedParts } = require("./recurrence");
+
+// Waarden die Excel als formule zou uitvoeren krijgen een ' ervoor
+function safeText(value) {
+  const text = String(value);
+  return /^[=+\-@\t\r]/.test(text) ? `'${text}` : text;
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  if (Array.isArray(value)) return value.join(", ");
+  if (typeof value === "boolean") return value ? "true" : "false";
+  return String(value);
+}
+
+//
+// ---------- CSV ----------
+//
+
+function csvField(value, type) {
+  const text = type === "number" ? cellText(value) : safeText(cellText(value));
+  return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCsv(columns, rows) {
+  const lines = [columns.map((c) => c.key).join(",")];
+  rows.forEach((row) => {
+    lines.push(columns.map((c) => csvField(row[c.key], c.type)).join(","));
+  });
+  return "\uFEFF" + lines.join("\r\n") + "\r\n";
+}
+
+//
+// ---------- XLSX ----------
+//
+
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    // Stuurtekens zijn niet toegestaan in XML
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, "");
+}
+
+// Kolomnummer (0-based) → letter(s): 0 → A, 26 → AA
+function columnName(index) {
+  let name = "";
+  let n = index + 1;
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    name = String.fromCharCode(65 + rem) + name;
+    n = Math.floor((n - 1) / 26);
+  }
+  return name;
+}
+
+// Tijdstip → Excel-serienummer (dagen sinds 30-12-1899) in lokale tijd
+function excelDate(value) {
+  const p = zonedParts(new Date(value));
+  return (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - Date.UTC(1899, 11, 30)) / 86400000;
+}
+
+// Stijlen: 0 = standaard, 1 = vetgedrukt (kopregel), 2 = datum + tijd
+function xlsxCell(ref, value, type) {
+  if (value === null || value === undefined || value === "") return "";
+  if (type === "number" && Number.isFinite(Number(value))) {
+    return `<c r="${ref}"><v>${Number(value)}</v></c>`;
+  }
+  if (type === "date" && !Number.isNaN(new Date(value).getTime())) {
+    return `<c r="${ref}" s="2"><v>${excelDate(value)}</v></c>`;
+  }
+  return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cellText(value))}</t></is></c>`;
+}
+
+function sheetXml(columns, rows) {
+  const header = columns
+    .map((c, i) => `<c r="${columnName(i)}1" t="inlineStr" s="1"><is><t>${escapeXml(c.key)}</t></is></c>`)
+    .join("");
+  const body = rows.map((row, r) => {
+    const cells = columns.map((c, i) => xlsxCell(`${columnName(i)}${r + 2}`, row[c.key], c.type)).join("");
+    return `<row r="${r + 2}">${cells}</row>`;
+  });
+  const widths = columns
+    .map((c, i) => `<col min="${i + 1}" max="${i + 1}" width="${c.type === "date" ? 18 : Math.max(10, c.key.length + 2)}" customWidth="1"/>`)
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<cols>${widths}</cols>` +
+    `<sheetData><row r="1">${header}</row>${body.join("")}</sheetData>` +
+    "</worksheet>"
+  );
+}
+
+const STYLES_XML =
+  '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+  '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+  '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+  '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+  '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+  '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+  '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+  '<cellXfs count="3">' +
+  '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+  '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+  '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+  "</cellXfs>" +
+  "</styleSheet>";
+
+function workbookFiles(sheetName, columns, rows) {
+  // Werkbladnamen: max 31 tekens, geen : \ / ? * [ ]
+  const name = String(sheetName || "Export").replace(/[:\\/?*[\]]/g, " ").slice(0, 31);
+  return [
+    {
+      name: "[Content_Types].xml",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        "</Types>",
+    },
+    {
+      name: "_rels/.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+        "</Relationships>",
+    },
+    {
+      name: "xl/workbook.xml",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+        `<sheets><sheet name="${escapeXml(name)}" sheetId="1" r:id="rId1"/></sheets>` +
+        "</workbook>",
+    },
+    {
+      name: "xl/_rels/workbook.xml.rels",
+      data:
+        '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+        '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+        '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+        '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+        "</Relationships>",
+    },
+    { name: "xl/styles.xml", data: STYLES_XML },
+    { name: "xl/worksheets/sheet1.xml", data: sheetXml(columns, rows) },
+  ];
+}
+
+// Minimale ZIP-container (deflate), genoeg voor een .xlsx
+function zip(files) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  files.forEach((file) => {
+    const name = Buffer.from(file.name, "utf8");
+    const raw = Buffer.from(file.data, "utf8");
+    const packed = zlib.deflateRawSync(raw);
+    const crc = zlib.crc32(raw);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(20, 4); // versie nodig om uit te pakken
+    local.writeUInt16LE(0x0800, 6); // bestandsnamen in UTF-8
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(0, 10); // tijd/datum
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(packed.length, 18);
+    local.writeUInt32LE(raw.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(20, 4);
+    central.writeUInt16LE(20, 6);
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(0, 12);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(packed.length, 20);
+    central.writeUInt32LE(raw.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, packed);
+    centrals.push(central, name);
+    offset += local.length + name.length + packed.length;
+  });
+
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, end]);
+}
+
+function toXlsx(sheetName, columns, rows) {
+  return zip(workbookFiles(sheetName, columns, rows));
+}
+
+module.exports = { toCsv, toXlsx };
@@ -0,0 +1,75 @@
+// lib/ical.js
+// iCalendar (RFC 5545): losse .ics-bestanden en abonneerbare agenda-feeds.
+// Tijden gaan altijd in UTC mee, de agenda-app zet ze om naar de eigen tijdzone.
+//   event = { uid, sequence, start, end, summary, location?, description?, status?, stamp? }
+//   status = "CONFIRMED" (standaard), "TENTATIVE" (wacht op goedkeuring) of "CANCELLED"
+
+const PRODID = "-//Poolauto//Poolauto app//NL";
+const REFRESH_INTERVAL = "PT15M";
+
+function escapeText(value) {
+  return String(value ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Date/ISO → 20261022T080000Z
+function formatUtc(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+}
+
+// Regels langer dan 75 bytes afbreken; vervolgregels beginnen met een spatie
+function foldLine(line) {
+  if (Buffer.byteLength(line, "utf8") <= 75) return line;
+
+  const parts = [];
+  let current = "";
+  for (const ch of line) {
+    const limit = parts.length ? 74 : 75;
+    if (Buffer.byteLength(current + ch, "utf8") > limit) {
+      parts.push(current);
+      current = "";
+    }
+    current += ch;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
+
+function buildEvent(event) {
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid}`,
+    `SEQUENCE:${event.sequence || 0}`,
+    `DTSTAMP:${formatUtc(event.stamp || new Date())}`,
+    `DTSTART:${formatUtc(event.start)}`,
+    `DTEND:${formatUtc(event.end)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  lines.push(`STATUS:${event.status || "CONFIRMED"}`);
+  if (event.status === "CANCELLED") lines.push("TRANSP:TRANSPARENT");
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+// Volledige agenda als tekst (CRLF-regeleinden, zoals de standaard voorschrijft)
+function buildCalendar({ name, events }) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${PRODID}`,
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+  ];
+  if (name) lines.push(`X-WR-CALNAME:${escapeText(name)}`);
+  lines.push(`REFRESH-INTERVAL;VALUE=DURATION:${REFRESH_INTERVAL}`, `X-PUBLISHED-TTL:${REFRESH_INTERVAL}`);
+  (events || []).forEach((event) => lines.push(...buildEvent(event)));
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar };
@@ -0,0 +1,217 @@
+// lib/mail-templates.js
+// Teksten van de e-mails die de app verstuurt (Nederlands, platte tekst).
+// Elke template krijgt een "item" en geeft { subject, text } terug:
+//   item = { kind: "car" | "room", what, title, userName, start, end, count? }
+//   what  = omschrijving van auto of ruimte, bijv. "Volkswagen Polo (TS-001-B)"
+//   count = aantal herhalingen bij een reeks (optioneel)
+
+const { APP_TIMEZONE } = require("./recurrence");
+
+// Datum + tijd leesbaar in lokale tijd, bijv. "22 okt 2026, 10:00"
+function formatDateTime(value) {
+  return new Date(value).toLocaleString("nl-NL", {
+    timeZone: APP_TIMEZONE,
+    dateStyle: "medium",
+    timeStyle: "short",
+  });
+}
+
+function formatTime(value) {
+  return new Date(value).toLocaleTimeString("nl-NL", {
+    timeZone: APP_TIMEZONE,
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+}
+
+function greeting(name) {
+  return name ? `Hoi ${name},` : "Hoi,";
+}
+
+// "22 okt 2026, 10:00 tot 11:00" (of tot een andere dag)
+function formatPeriod(item) {
+  const sameDay = formatDateTime(item.start).split(",")[0] === formatDateTime(item.end).split(",")[0];
+  return `${formatDateTime(item.start)} tot ${sameDay ? formatTime(item.end) : formatDateTime(item.end)}`;
+}
+
+function describe(item) {
+  const thing = item.kind === "room" ? item.what : `de ${item.what}`;
+  return item.title ? `${thing} (${item.title})` : thing;
+}
+
+function seriesLine(item) {
+  return item.count > 1 ? `Dit geldt voor ${item.count} herhalingen, de eerste is op ${formatDateTime(item.start)}.` : null;
+}
+
+function compose(subject, lines) {
+  return {
+    subject,
+    text: [...lines.filter((l) => l !== null), "", "Groet,", "Poolauto"].join("\n"),
+  };
+}
+
+// Bevestiging na het maken van een reservering (of reeks)
+function bookingConfirmed(item) {
+  return compose(
+    item.count > 1 ? `Bevestiging: ${item.count} reserveringen voor ${item.what}` : `Bevestiging: ${item.what} op ${formatDateTime(item.start)}`,
+    [
+      greeting(item.userName),
+      "",
+      `Je reservering voor ${describe(item)} is gelukt: ${formatPeriod(item)}.`,
+      seriesLine(item),
+    ]
+  );
+}
+
+// Een ander (meestal een admin) heeft de reservering gewijzigd
+function bookingChanged(item, actorName, previous) {
+  return compose(`Je reservering van ${formatDateTime(previous ? previous.start : item.start)} is gewijzigd`, [
+    greeting(item.userName),
+    "",
+    `${actorName || "Een beheerder"} heeft je reservering gewijzigd.`,
+    previous ? `Was: ${describe(previous)}, ${formatPeriod(previous)}.` : null,
+    `Nu: ${describe(item)}, ${formatPeriod(item)}.`,
+    seriesLine(item),
+  ]);
+}
+
+// Een ander (meestal een admin) heeft de reservering geannuleerd
+function bookingCancelled(item, actorName) {
+  return compose(`Je reservering van ${formatDateTime(item.start)} is geannuleerd`, [
+    greeting(item.userName),
+    "",
+    `${actorName || "Een beheerder"} heeft je reservering voor ${describe(item)} geannuleerd: ${formatPeriod(item)}.`,
+    seriesLine(item),
+    "Heb je de auto of ruimte toch nodig? Maak dan een nieuwe reservering in de app.",
+  ]);
+}
+
+// Herinnering kort voor het begin
+function bookingReminder(item) {
+  return compose(`Herinnering: ${item.what} om ${formatTime(item.start)}`, [
+    greeting(item.userName),
+    "",
+    `Even een herinnering: je hebt ${describe(item)} gereserveerd, ${formatPeriod(item)}.`,
+    "Kun je toch niet? Annuleer de reservering dan in de app, zodat een ander er gebruik van kan maken.",
+  ]);
+}
+
+// Auto is niet beschikbaar in (een deel van) de gereserveerde periode.
+// replacement = { name, license } als de reservering naar een andere auto is omgezet.
+function carUnavailable(item, reasonLabel, note, replacement) {
+  return compose(
+    replacement
+      ? `Andere auto voor je rit van ${formatDateTime(item.start)}`
+      : `Je gereserveerde auto is niet beschikbaar op ${formatDateTime(item.start)}`,
+    [
+      greeting(item.userName),
+      "",
+      `De ${item.what} die je hebt gereserveerd voor ${formatPeriod(item)} is in die periode niet beschikbaar (${reasonLabel.toLowerCase()}).`,
+      note ? `Toelichting: ${note}` : null,
+      "",
+      replacement
+        ? `Je reservering is omgezet naar de ${replacement.name} (${replacement.license}). Je hoeft zelf niets te doen.`
+        : "Kies in de app een andere auto of een ander tijdstip, of neem contact op met je beheerder.",
+    ]
+  );
+}
+
+// Wachtlijst: de plek is vrijgekomen en direct voor de wachtende gereserveerd
+function waitlistBooked(item) {
+  return compose(`Er is plek vrijgekomen: gereserveerd voor ${formatDateTime(item.start)}`, [
+    greeting(item.userName),
+    "",
+    `Er is plek vrijgekomen voor ${describe(item)}: ${formatPeriod(item)}.`,
+    "Je stond op de wachtlijst, dus we hebben de reservering meteen voor je gemaakt.",
+    "",
+    "Heb je het niet meer nodig? Annuleer de reservering dan in de app, zodat een ander de plek kan krijgen.",
+  ]);
+}
+
+// Wachtlijst: de plek is vrijgekomen en wordt aangeboden (zelf bevestigen vóór expiresAt)
+function waitlistOffered(item, expiresAt) {
+  return compose(`Er is plek vrijgekomen op ${formatDateTime(item.start)}`, [
+    greeting(item.userName),
+    "",
+    `Er is plek vrijgekomen voor ${describe(item)}: ${formatPeriod(item)}.`,
+    "Je stond op de wachtlijst. Bevestig de reservering in de app onder \"Mijn reserveringen\".",
+    expiresAt
+      ? `Bevestig vóór ${formatDateTime(expiresAt)}; daarna gaat de plek naar de volgende op de wachtlijst.`
+      : "Wie het eerst bevestigt, krijgt de plek.",
+  ]);
+}
+
+// Aanvraag voor een auto of ruimte die goedkeuring nodig heeft (aan de boeker)
+function bookingPending(item) {
+  return compose(`Je aanvraag voor ${formatDateTime(item.start)} wacht op goedkeuring`, [
+    greeting(item.userName),
+    "",
+    `Je hebt ${describe(item)} aangevraagd: ${formatPeriod(item)}.`,
+    seriesLine(item),
+    "Voor deze reservering is goedkeuring nodig. Tot die tijd houden we het tijdvak voorlopig voor je vast;",
+    "je krijgt een mail zodra de aanvraag is goedgekeurd of afgewezen.",
+  ]);
+}
+
+// Verzoek om goedkeuring (aan admins en goedkeurders)
+function approvalRequested(item) {
+  return compose(`Goedkeuring gevraagd: ${item.what} op ${formatDateTime(item.start)}`, [
+    greeting(null),
+    "",
+    `${item.userName || "Iemand"} wil ${describe(item)} reserveren: ${formatPeriod(item)}.`,
+    seriesLine(item),
+    "Keur de aanvraag goed of wijs hem af in de app.",
+  ]);
+}
+
+// Aanvraag goedgekeurd
+function bookingApproved(item, actorName) {
+  return compose(`Je reservering van ${formatDateTime(item.start)} is goedgekeurd`, [
+    greeting(item.userName),
+    "",
+    `${actorName || "Een beheerder"} heeft je reservering voor ${describe(item)} goedgekeurd: ${formatPeriod(item)}.`,
+    seriesLine(item),
+  ]);
+}
+
+// Aanvraag afgewezen; de reservering is verwijderd
+function bookingRejected(item, actorName, reason) {
+  return compose(`Je aanvraag voor ${formatDateTime(item.start)} is afgewezen`, [
+    greeting(item.userName),
+    "",
+    `${actorName || "Een beheerder"} heeft je aanvraag voor ${describe(item)} afgewezen: ${formatPeriod(item)}.`,
+    seriesLine(item),
+    reason ? `Reden: ${reason}` : null,
+    "",
+    "Kies in de app een andere auto of ruimte, of een ander tijdstip.",
+  ]);
+}
+
+// Uitnodiging om een account aan te maken. Geen reservering, dus een eigen "invite":
+//   invite = { name, orgName, inviterName, roleLabel, url, expiresAt }
+function userInvited(invite) {
+  return compose(`Uitnodiging voor Poolauto van ${invite.orgName}`, [
+    greeting(invite.name),
+    "",
+    `${invite.inviterName || "Een beheerder"} nodigt je uit voor Poolauto van ${invite.orgName} (rol: ${invite.roleLabel}).`,
+    "Maak je account aan via deze link en kies een wachtwoord:",
+    invite.url,
+    "",
+    `De link werkt één keer en is geldig tot ${formatDateTime(invite.expiresAt)}.`,
+  ]);
+}
+
+module.exports = {
+  bookingConfirmed,
+  bookingChanged,
+  bookingCancelled,
+  bookingReminder,
+  carUnavailable,
+  waitlistBooked,
+  waitlistOffered,
+  bookingPending,
+  approvalRequested,
+  bookingApproved,
+  bookingRejected,
+  userInvited,
+};
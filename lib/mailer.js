@@ -0,0 +1,89 @@
+// lib/mailer.js
+// E-mail versturen: kiest het transport op basis van MAIL_TRANSPORT.
+//   - "file" (standaard): elke mail wordt als .eml-bestand in MAIL_OUTBOX_DIR gezet
+//     (handig lokaal en in CI, niets gaat echt de deur uit)
+//   - "smtp": versturen via SMTP_HOST/SMTP_PORT/SMTP_USER/SMTP_PASS
+//   - "none": mails worden alleen gelogd
+// Alle transports hebben dezelfde interface: send({ to, subject, text }) → Promise.
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const DEFAULT_FROM = "Poolauto <no-reply@poolauto.local>";
+
+// Header-waarde zonder regeleinden (voorkomt header-injectie)
+function headerValue(value) {
+  return String(value || "").replace(/[\r\n]+/g, " ").trim();
+}
+
+function createFileTransport(dir, from) {
+  return {
+    async send({ to, subject, text }) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      const id = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      const content = [
+        `From: ${headerValue(from)}`,
+        `To: ${headerValue(to)}`,
+        `Subject: ${headerValue(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        "Content-Type: text/plain; charset=utf-8",
+        "",
+        text || "",
+      ].join("\r\n");
+      const file = path.join(dir, `${id}.eml`);
+      await fs.promises.writeFile(file, content, "utf8");
+      return { id, file };
+    },
+  };
+}
+
+function createSmtpTransport(env, from) {
+  const nodemailer = require("nodemailer");
+  const port = Number(env.SMTP_PORT || 587);
+  const transporter = nodemailer.createTransport({
+    host: env.SMTP_HOST,
+    port,
+    secure: env.SMTP_SECURE ? env.SMTP_SECURE === "true" : port === 465,
+    auth: env.SMTP_USER ? { user: env.SMTP_USER, pass: env.SMTP_PASS || "" } : undefined,
+  });
+
+  return {
+    async send({ to, subject, text }) {
+      const info = await transporter.sendMail({ from, to, subject, text });
+      return { id: info.messageId };
+    },
+  };
+}
+
+function createMailer(env = process.env) {
+  const transport = (env.MAIL_TRANSPORT || "file").toLowerCase();
+  const from = env.MAIL_FROM || DEFAULT_FROM;
+
+  if (transport === "file") {
+    const dir = path.resolve(env.MAIL_OUTBOX_DIR || "data/outbox");
+    return { ...createFileTransport(dir, from), transport, description: `bestanden in ${dir}` };
+  }
+
+  if (transport === "smtp") {
+    if (!env.SMTP_HOST) {
+      console.warn("⚠️ MAIL_TRANSPORT=smtp maar SMTP_HOST ontbreekt. Zet deze in .env / Render env vars.");
+    }
+    return { ...createSmtpTransport(env, from), transport, description: `SMTP (${env.SMTP_HOST || "?"})` };
+  }
+
+  if (transport === "none") {
+    return {
+      async send({ to, subject }) {
+        console.log(`✉️ (niet verstuurd) aan ${to}: ${subject}`);
+        return { id: null };
+      },
+      transport,
+      description: "uit",
+    };
+  }
+
+  throw new Error(`Onbekende MAIL_TRANSPORT '${transport}'. Gebruik 'file', 'smtp' of 'none'.`);
+}
+
+module.exports = { createMailer };
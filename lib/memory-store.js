@@ -0,0 +1,460 @@
+// lib/memory-store.js
+// Lokale database voor ontwikkeling en CI: bootst het deel van de Supabase
+// query-builder na dat server.js gebruikt (from/select/eq/.../single) op
+// gewone arrays in het geheugen. Optioneel wordt alles bewaard in een JSON-bestand.
+
+const fs = require("fs");
+const path = require("path");
+
+const ISO_DATE_RE = /^\d{4}-\d{2}-\d{2}/;
+
+// Vergelijk twee waardes zoals Postgres dat ongeveer zou doen
+function compareValues(a, b) {
+  if (typeof a === "number" || typeof b === "number") {
+    return Number(a) - Number(b);
+  }
+  const sa = String(a);
+  const sb = String(b);
+  if (ISO_DATE_RE.test(sa) && ISO_DATE_RE.test(sb)) {
+    const ta = Date.parse(sa.length === 10 ? sa + "T00:00:00.000Z" : sa);
+    const tb = Date.parse(sb.length === 10 ? sb + "T00:00:00.000Z" : sb);
+    if (!Number.isNaN(ta) && !Number.isNaN(tb)) return ta - tb;
+  }
+  return sa < sb ? -1 : sa > sb ? 1 : 0;
+}
+
+function isNil(v) {
+  return v === null || v === undefined;
+}
+
+function sameValue(a, b) {
+  if (isNil(a) || isNil(b)) return false;
+  if (typeof a === typeof b && typeof a !== "object") return a === b;
+  return compareValues(a, b) === 0;
+}
+
+// SQL LIKE/ILIKE patroon (% en _) → RegExp
+function likeToRegExp(pattern, caseInsensitive) {
+  const src = String(pattern)
+    .split("")
+    .map((ch) => {
+      if (ch === "%") return ".*";
+      if (ch === "_") return ".";
+      return ch.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp("^" + src + "$", caseInsensitive ? "i" : "");
+}
+
+// "(1,2,3)" (PostgREST-notatie) of array → array
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  return String(value)
+    .replace(/^\(|\)$/g, "")
+    .split(",")
+    .map((s) => s.trim().replace(/^"|"$/g, ""));
+}
+
+function parseFilterValue(raw) {
+  if (raw === "null") return null;
+  if (raw === "true") return true;
+  if (raw === "false") return false;
+  return raw;
+}
+
+// Bouwt een predicate voor één filter-operator
+function buildPredicate(column, op, value) {
+  switch (op) {
+    case "eq":
+      return (row) => sameValue(row[column], value);
+    case "neq":
+      return (row) => !isNil(row[column]) && !sameValue(row[column], value);
+    case "lt":
+      return (row) => !isNil(row[column]) && compareValues(row[column], value) < 0;
+    case "lte":
+      return (row) => !isNil(row[column]) && compareValues(row[column], value) <= 0;
+    case "gt":
+      return (row) => !isNil(row[column]) && compareValues(row[column], value) > 0;
+    case "gte":
+      return (row) => !isNil(row[column]) && compareValues(row[column], value) >= 0;
+    case "in": {
+      const list = parseList(value);
+      return (row) => list.some((v) => sameValue(row[column], v));
+    }
+    case "is":
+      if (value === null || value === "null") return (row) => isNil(row[column]);
+      return (row) => row[column] === parseFilterValue(String(value));
+    case "like": {
+      const re = likeToRegExp(value, false);
+      return (row) => !isNil(row[column]) && re.test(String(row[column]));
+    }
+    case "ilike": {
+      const re = likeToRegExp(value, true);
+      return (row) => !isNil(row[column]) && re.test(String(row[column]));
+    }
+    default:
+      throw new Error(`Filter-operator '${op}' wordt niet ondersteund door de lokale database`);
+  }
+}
+
+// "id, name, license" → ["id", "name", "license"], "*" → null (alles)
+function parseColumns(columns) {
+  if (!columns || columns.trim() === "*") return null;
+  return columns
+    .split(",")
+    .map((c) => c.trim())
+    .filter(Boolean);
+}
+
+function pickColumns(row, columns) {
+  if (!columns) return { ...row };
+  const out = {};
+  columns.forEach((c) => {
+    out[c] = row[c] === undefined ? null : row[c];
+  });
+  return out;
+}
+
+function pgError(code, message) {
+  return { code, message, details: null, hint: null };
+}
+
+class MemoryQuery {
+  constructor(store, table) {
+    this.store = store;
+    this.table = table;
+    this.action = "select";
+    this.columns = null;
+    this.returning = false;
+    this.payload = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.resultMode = "many";
+    this.countMode = null;
+    this.headOnly = false;
+  }
+
+  select(columns = "*", options = {}) {
+    if (this.action === "select") {
+      this.columns = parseColumns(columns);
+      this.countMode = options.count || null;
+      this.headOnly = Boolean(options.head);
+    } else {
+      this.returning = true;
+      this.columns = parseColumns(columns);
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.payload = values;
+    return this;
+  }
+
+  // Zoals Supabase upsert: bestaande rijen (zelfde onConflict-kolom) worden overschreven,
+  // de rest wordt ingevoegd. Eén statement: de controles gaan over de eindtoestand.
+  upsert(rows, options = {}) {
+    this.action = "upsert";
+    this.payload = Array.isArray(rows) ? rows : [rows];
+    this.conflictColumn = options.onConflict || "id";
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  filter(column, op, value) {
+    this.filters.push(buildPredicate(column, op, value));
+    return this;
+  }
+
+  eq(column, value) { return this.filter(column, "eq", value); }
+  neq(column, value) { return this.filter(column, "neq", value); }
+  lt(column, value) { return this.filter(column, "lt", value); }
+  lte(column, value) { return this.filter(column, "lte", value); }
+  gt(column, value) { return this.filter(column, "gt", value); }
+  gte(column, value) { return this.filter(column, "gte", value); }
+  in(column, values) { return this.filter(column, "in", values); }
+  is(column, value) { return this.filter(column, "is", value); }
+  like(column, pattern) { return this.filter(column, "like", pattern); }
+  ilike(column, pattern) { return this.filter(column, "ilike", pattern); }
+
+  not(column, op, value) {
+    const inner = buildPredicate(column, op, value);
+    this.filters.push((row) => !inner(row));
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.resultMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.resultMode = "maybeSingle";
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.execute())
+      .then(resolve, reject);
+  }
+
+  matches(row) {
+    return this.filters.every((f) => f(row));
+  }
+
+  execute() {
+    let rows;
+    try {
+      rows = this.run();
+    } catch (err) {
+      return { data: null, error: pgError(err.code || "LOCAL", err.message), count: null };
+    }
+
+    const count = this.countMode ? rows.length : null;
+
+    if (this.orders.length) {
+      rows.sort((a, b) => {
+        for (const o of this.orders) {
+          const av = a[o.column];
+          const bv = b[o.column];
+          if (isNil(av) && isNil(bv)) continue;
+          // Postgres: NULLS LAST bij oplopend, NULLS FIRST bij aflopend
+          if (isNil(av)) return o.ascending ? 1 : -1;
+          if (isNil(bv)) return o.ascending ? -1 : 1;
+          const cmp = compareValues(av, bv);
+          if (cmp !== 0) return o.ascending ? cmp : -cmp;
+        }
+        return 0;
+      });
+    }
+    if (this.rangeFrom !== null) rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+    if (this.limitCount !== null) rows = rows.slice(0, this.limitCount);
+
+    const returnsRows = this.action === "select" || this.returning;
+    if (!returnsRows) return { data: null, error: null, count };
+    if (this.headOnly) return { data: null, error: null, count };
+
+    const data = rows.map((r) => pickColumns(r, this.columns));
+
+    if (this.resultMode === "single" || this.resultMode === "maybeSingle") {
+      if (data.length > 1) {
+        return { data: null, error: pgError("PGRST116", "Meer dan één rij gevonden"), count };
+      }
+      if (data.length === 0) {
+        if (this.resultMode === "maybeSingle") return { data: null, error: null, count };
+        return { data: null, error: pgError("PGRST116", "Geen rij gevonden"), count };
+      }
+      return { data: data[0], error: null, count };
+    }
+    return { data, error: null, count };
+  }
+
+  run() {
+    const table = this.store.table(this.table);
+
+    if (this.action === "select") {
+      return table.filter((r) => this.matches(r)).map((r) => structuredClone(r));
+    }
+
+    if (this.action === "insert") {
+      const now = new Date().toISOString();
+      const inserted = this.payload.map((values) => {
+        const row = { ...structuredClone(values) };
+        if (isNil(row.id)) row.id = this.store.nextId(this.table);
+        else this.store.bumpId(this.table, row.id);
+        if (row.created_at === undefined) row.created_at = now;
+        return row;
+      });
+      inserted.forEach((row, i) => {
+        const rest = [...table, ...inserted.slice(0, i)];
+        this.store.checkUnique(this.table, row, rest);
+        this.store.checkExclusion(this.table, row, rest);
+      });
+      table.push(...inserted);
+      this.store.persist();
+      return inserted.map((r) => structuredClone(r));
+    }
+
+    if (this.action === "update") {
+      // Eerst alle nieuwe rijen controleren, zodat een mislukte update niets half wijzigt
+      const targets = table.filter((row) => this.matches(row));
+      const changed = targets.map((row) => ({ ...row, ...structuredClone(this.payload) }));
+      const others = table.filter((row) => !targets.includes(row));
+      changed.forEach((row, i) => {
+        const rest = [...others, ...changed.slice(0, i)];
+        this.store.checkUnique(this.table, row, rest);
+        this.store.checkExclusion(this.table, row, rest);
+      });
+
+      targets.forEach((row, i) => Object.assign(row, changed[i]));
+      if (targets.length) this.store.persist();
+      return targets.map((r) => structuredClone(r));
+    }
+
+    if (this.action === "upsert") {
+      const now = new Date().toISOString();
+      const column = this.conflictColumn;
+      const targets = [];
+      const written = this.payload.map((values) => {
+        const existing = isNil(values[column]) ? null : table.find((r) => sameValue(r[column], values[column]));
+        if (existing) targets.push(existing);
+        const row = { ...(existing ? existing : {}), ...structuredClone(values) };
+        if (isNil(row.id)) row.id = this.store.nextId(this.table);
+        else this.store.bumpId(this.table, row.id);
+        if (row.created_at === undefined) row.created_at = now;
+        return row;
+      });
+      const others = table.filter((row) => !targets.includes(row));
+      written.forEach((row, i) => {
+        const rest = [...others, ...written.filter((_, j) => j !== i)];
+        this.store.checkUnique(this.table, row, rest);
+        this.store.checkExclusion(this.table, row, rest);
+      });
+
+      written.forEach((row) => {
+        const existing = table.find((r) => sameValue(r[column], row[column]));
+        if (existing) Object.assign(existing, row);
+        else table.push(row);
+      });
+      if (written.length) this.store.persist();
+      return written.map((r) => structuredClone(r));
+    }
+
+    if (this.action === "delete") {
+      const removed = [];
+      const kept = [];
+      table.forEach((row) => (this.matches(row) ? removed : kept).push(row));
+      if (removed.length) {
+        this.store.replaceTable(this.table, kept);
+        this.store.persist();
+      }
+      return removed.map((r) => structuredClone(r));
+    }
+
+    throw new Error(`Onbekende actie '${this.action}'`);
+  }
+}
+
+class MemoryStore {
+  // options.file: pad naar JSON-bestand (optioneel, anders puur in-memory)
+  // options.tables: tabellen die altijd moeten bestaan
+  // options.unique: { tabel: [["kolom", ...], ...] } unieke sleutels (zoals in Postgres)
+  // options.exclusions: { tabel: [{ column, start, end }, ...] } geen overlappende tijdvakken
+  //   [start, end) bij dezelfde waarde van column (zoals een exclusion constraint)
+  constructor(options = {}) {
+    this.file = options.file || null;
+    this.unique = options.unique || {};
+    this.exclusions = options.exclusions || {};
+    this.data = { tables: {}, sequences: {} };
+
+    if (this.file && fs.existsSync(this.file)) {
+      const raw = fs.readFileSync(this.file, "utf-8").trim();
+      if (raw) this.data = JSON.parse(raw);
+      this.data.tables = this.data.tables || {};
+      this.data.sequences = this.data.sequences || {};
+    }
+    (options.tables || []).forEach((t) => this.table(t));
+  }
+
+  from(table) {
+    return new MemoryQuery(this, table);
+  }
+
+  table(name) {
+    if (!this.data.tables[name]) this.data.tables[name] = [];
+    return this.data.tables[name];
+  }
+
+  replaceTable(name, rows) {
+    this.data.tables[name] = rows;
+  }
+
+  nextId(name) {
+    const next = (this.data.sequences[name] || 0) + 1;
+    this.data.sequences[name] = next;
+    return next;
+  }
+
+  bumpId(name, id) {
+    if (typeof id === "number" && id > (this.data.sequences[name] || 0)) {
+      this.data.sequences[name] = id;
+    }
+  }
+
+  // rows = de andere rijen zoals ze na de query zouden zijn (tabel plus de rest van de batch);
+  // net als Postgres tellen NULL-waardes nooit als dubbel
+  checkUnique(name, row, rows) {
+    (this.unique[name] || []).forEach((cols) => {
+      if (cols.some((c) => isNil(row[c]))) return;
+      const clash = rows.some((r) =>
+        r.id !== row.id &&
+        cols.every((c) => !isNil(r[c]) && String(r[c]).toLowerCase() === String(row[c]).toLowerCase())
+      );
+      if (clash) {
+        const err = new Error(`duplicate key value violates unique constraint (${name}: ${cols.join(", ")})`);
+        err.code = "23505";
+        throw err;
+      }
+    });
+  }
+
+  // Alles gebeurt synchroon binnen één query, dus twee gelijktijdige inserts kunnen
+  // nooit allebei door deze controle komen
+  checkExclusion(name, row, rows) {
+    (this.exclusions[name] || []).forEach(({ column, start, end }) => {
+      if (isNil(row[column])) return;
+      const clash = rows.some((r) =>
+        r.id !== row.id &&
+        sameValue(r[column], row[column]) &&
+        compareValues(r[start], row[end]) < 0 &&
+        compareValues(row[start], r[end]) < 0
+      );
+      if (clash) {
+        const err = new Error(`conflicting key value violates exclusion constraint (${name}: ${column})`);
+        err.code = "23P01";
+        throw err;
+      }
+    });
+  }
+
+  persist() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = this.file + ".tmp";
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2));
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { MemoryStore };
@@ -0,0 +1,183 @@
+// lib/recurrence.js
+// Herhalingsregels voor reeksen van reserveringen.
+// Herhalingen worden in lokale tijd (APP_TIMEZONE) uitgerekend, zodat een
+// wekelijkse rit om 09:00 ook na de overgang naar zomer-/wintertijd om 09:00 blijft.
+
+const APP_TIMEZONE = process.env.APP_TIMEZONE || "Europe/Amsterdam";
+const MAX_OCCURRENCES = 200;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FREQUENCIES = ["daily", "weekdays", "weekly", "monthly"];
+
+const partsFormatterCache = {};
+function partsFormatter(timeZone) {
+  if (!partsFormatterCache[timeZone]) {
+    partsFormatterCache[timeZone] = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+  }
+  return partsFormatterCache[timeZone];
+}
+
+// Date → { year, month, day, hour, minute, second } in de gegeven tijdzone
+function zonedParts(date, timeZone = APP_TIMEZONE) {
+  const out = {};
+  partsFormatter(timeZone)
+    .formatToParts(date)
+    .forEach((p) => {
+      if (p.type !== "literal") out[p.type] = Number(p.value);
+    });
+  return out;
+}
+
+function zoneOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// Lokale kloktijd in de tijdzone → Date (UTC)
+function fromZonedParts(p, timeZone = APP_TIMEZONE) {
+  const guess = Date.UTC(p.year, p.month - 1, p.day, p.hour || 0, p.minute || 0, p.second || 0, p.ms || 0);
+  const offset = zoneOffsetMs(new Date(guess), timeZone);
+  const result = guess - offset;
+  const correctedOffset = zoneOffsetMs(new Date(result), timeZone);
+  return new Date(guess - correctedOffset);
+}
+
+// Date → 'YYYY-MM-DD' in lokale tijd
+function localDateKey(date, timeZone = APP_TIMEZONE) {
+  const p = zonedParts(date instanceof Date ? date : new Date(date), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, "0")}-${String(p.day).padStart(2, "0")}`;
+}
+
+// 'YYYY-MM-DD' + n dagen → 'YYYY-MM-DD'
+function shiftDateKey(key, days) {
+  const d = new Date(key + "T00:00:00.000Z");
+  d.setUTCDate(d.getUTCDate() + days);
+  return d.toISOString().slice(0, 10);
+}
+
+// Dagnummer (sinds epoch) van een lokale datum, handig om dagen te tellen
+function dayNumber(p) {
+  return Math.round(Date.UTC(p.year, p.month - 1, p.day) / DAY_MS);
+}
+
+function isDateKey(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+// Valideert de herhalingsregel uit een request body.
+// Geeft { rule } of { error } terug (foutmelding in het Nederlands).
+function parseRecurrence(input) {
+  if (!input || typeof input !== "object") {
+    return { error: "Ongeldige herhaling." };
+  }
+
+  const frequency = String(input.frequency || "");
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `Ongeldige herhaling. Gebruik ${FREQUENCIES.map((f) => `'${f}'`).join(", ")}.` };
+  }
+
+  const interval = input.interval === undefined || input.interval === null ? 1 : Number(input.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > 52) {
+    return { error: "Interval moet een heel getal tussen 1 en 52 zijn." };
+  }
+
+  const until = input.until ? String(input.until).slice(0, 10) : null;
+  if (until && !isDateKey(until)) {
+    return { error: "Einddatum van de herhaling moet een datum (YYYY-MM-DD) zijn." };
+  }
+
+  const count = input.count === undefined || input.count === null ? null : Number(input.count);
+  if (count !== null && (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return { error: `Aantal herhalingen moet tussen 1 en ${MAX_OCCURRENCES} liggen.` };
+  }
+
+  if (!until && !count) {
+    return { error: "Geef een einddatum (until) of een aantal herhalingen (count) op." };
+  }
+
+  const exceptions = Array.isArray(input.exceptions)
+    ? input.exceptions.map((d) => String(d).slice(0, 10)).filter(isDateKey)
+    : [];
+
+  return { rule: { frequency, interval, until, count, exceptions } };
+}
+
+// Rekent alle herhalingen uit vanaf de eerste reservering (start/end).
+// Geeft [{ date: 'YYYY-MM-DD', start: Date, end: Date }] terug, uitzonderingen overgeslagen.
+// Gooit een Error als de regel meer dan MAX_OCCURRENCES herhalingen oplevert.
+function expandOccurrences(start, end, rule, timeZone = APP_TIMEZONE) {
+  const durationMs = end.getTime() - start.getTime();
+  const base = zonedParts(start, timeZone);
+  const baseDay = dayNumber(base);
+  const untilDay = rule.until
+    ? dayNumber({ year: Number(rule.until.slice(0, 4)), month: Number(rule.until.slice(5, 7)), day: Number(rule.until.slice(8, 10)) })
+    : Infinity;
+  const exceptions = new Set(rule.exceptions || []);
+
+  const occurrences = [];
+  let generated = 0;
+
+  for (let offset = 0; baseDay + offset <= untilDay; offset++) {
+    if (rule.count && generated >= rule.count) break;
+
+    const local = new Date(Date.UTC(base.year, base.month - 1, base.day + offset));
+    const weekday = local.getUTCDay(); // 0 = zondag
+
+    let include = false;
+    if (rule.frequency === "daily") include = offset % rule.interval === 0;
+    if (rule.frequency === "weekdays") include = weekday >= 1 && weekday <= 5;
+    if (rule.frequency === "weekly") include = offset % (7 * rule.interval) === 0;
+    if (rule.frequency === "monthly") {
+      // Zelfde dag van de maand; maanden zonder die dag (bijv. de 31e) worden overgeslagen
+      const months = (local.getUTCFullYear() - base.year) * 12 + local.getUTCMonth() + 1 - base.month;
+      include = local.getUTCDate() === base.day && months % rule.interval === 0;
+    }
+    if (!include) continue;
+
+    generated++;
+    if (generated > MAX_OCCURRENCES) {
+      throw new Error(`Een reeks mag maximaal ${MAX_OCCURRENCES} herhalingen hebben.`);
+    }
+
+    const occStart = fromZonedParts(
+      {
+        year: local.getUTCFullYear(),
+        month: local.getUTCMonth() + 1,
+        day: local.getUTCDate(),
+        hour: base.hour,
+        minute: base.minute,
+        second: base.second,
+      },
+      timeZone
+    );
+    const date = localDateKey(occStart, timeZone);
+    if (exceptions.has(date)) continue;
+
+    occurrences.push({ date, start: occStart, end: new Date(occStart.getTime() + durationMs) });
+  }
+
+  return occurrences;
+}
+
+module.exports = {
+  APP_TIMEZONE,
+  MAX_OCCURRENCES,
+  FREQUENCIES,
+  parseRecurrence,
+  expandOccurrences,
+  localDateKey,
+  shiftDateKey,
+  isDateKey,
+  zonedParts,
+  fromZonedParts,
+};
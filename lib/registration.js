@@ -0,0 +1,77 @@
+// lib/registration.js
+// Wie mag zich zelf registreren, en uitnodigingen voor nieuwe gebruikers.
+// Een organisatie kan zelf registreren beperken tot e-mailadressen op bepaalde domeinen
+// (organizations.allowed_email_domains, null = iedereen met de organisatiecode).
+// Met een uitnodiging van een admin kan iemand zich altijd aanmelden, ongeacht het domein.
+
+const crypto = require("crypto");
+
+const INVITATION_DAYS = Number(process.env.INVITATION_DAYS ?? 7);
+const MAX_DOMAINS = 50;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DOMAIN_PATTERN = /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,}$/;
+
+function normalizeEmail(email) {
+  return String(email || "").toLowerCase().trim();
+}
+
+function isValidEmail(email) {
+  return EMAIL_PATTERN.test(email);
+}
+
+// "Jan@Voorbeeld.NL" → "voorbeeld.nl"
+function emailDomain(email) {
+  const normalized = normalizeEmail(email);
+  const at = normalized.lastIndexOf("@");
+  return at === -1 ? "" : normalized.slice(at + 1);
+}
+
+// Een subdomein telt mee: "noord.voorbeeld.nl" valt onder "voorbeeld.nl"
+function isEmailAllowed(email, domains) {
+  if (!domains || !domains.length) return true;
+  const domain = emailDomain(email);
+  return domains.some((d) => domain === d || domain.endsWith("." + d));
+}
+
+// Domeinen uit een request body: een array of een tekst met komma's/spaties.
+// "@" vooraan mag ("@voorbeeld.nl"). Leeg = geen beperking (null).
+// Geeft { values: [...] | null } of { error } terug.
+function parseEmailDomains(input) {
+  if (input === undefined || input === null || input === "") return { values: null };
+  const list = Array.isArray(input) ? input : String(input).split(/[\s,;]+/);
+  const domains = [...new Set(list.map((d) => String(d).toLowerCase().trim().replace(/^@/, "")).filter(Boolean))];
+  if (!domains.length) return { values: null };
+  if (domains.length > MAX_DOMAINS) {
+    return { error: `Geef maximaal ${MAX_DOMAINS} domeinen op.` };
+  }
+  const invalid = domains.find((d) => !DOMAIN_PATTERN.test(d));
+  if (invalid) {
+    return { error: `'${invalid}' is geen geldig e-maildomein (bijv. voorbeeld.nl).` };
+  }
+  return { values: domains.sort() };
+}
+
+// Willekeurige token voor de aanmeldlink en de vervaldatum
+function newInvitation(now = new Date()) {
+  return {
+    token: crypto.randomBytes(24).toString("hex"),
+    expiresAt: new Date(now.getTime() + INVITATION_DAYS * 24 * 60 * 60 * 1000),
+  };
+}
+
+// Open = nog niet gebruikt en niet verlopen
+function isInvitationOpen(invitation, now = new Date()) {
+  return Boolean(invitation && !invitation.accepted_at && new Date(invitation.expires_at) > now);
+}
+
+module.exports = {
+  INVITATION_DAYS,
+  normalizeEmail,
+  isValidEmail,
+  emailDomain,
+  isEmailAllowed,
+  parseEmailDomains,
+  newInvitation,
+  isInvitationOpen,
+};
@@ -0,0 +1,62 @@
+// lib/roles.js
+// Rollen en rechten. Een gebruiker heeft één rol; wat die rol mag staat hier op één plek,
+// de routes vragen alleen naar een recht (bijv. "cars.manage"), nooit naar een rolnaam.
+//   org.manage     gebruikers, reserveringsregels, statistieken (de admin van de org)
+//   cars.manage    auto's, onderhoud/onbeschikbaarheid, ritten en reserveringen van anderen
+//   rooms.manage   vergaderruimtes en vergaderingen van anderen
+//   cars.approve   aanvragen voor auto's met goedkeuring afhandelen
+//   rooms.approve  aanvragen voor ruimtes met goedkeuring afhandelen
+//   cars.book      auto's reserveren (en op de wachtlijst)
+//   rooms.book     ruimtes reserveren (en op de wachtlijst)
+// Beheerders van een onderdeel zijn vrijgesteld van de reserveringsregels van dat onderdeel.
+
+const ROLES = {
+  admin: {
+    label: "Beheerder",
+    permissions: ["org.manage", "cars.manage", "rooms.manage", "cars.approve", "rooms.approve", "cars.book", "rooms.book"],
+  },
+  fleet_manager: {
+    label: "Wagenparkbeheerder",
+    permissions: ["cars.manage", "cars.approve", "cars.book", "rooms.book"],
+  },
+  facility_manager: {
+    label: "Facilitair beheerder",
+    permissions: ["rooms.manage", "rooms.approve", "cars.book", "rooms.book"],
+  },
+  approver: {
+    label: "Goedkeurder",
+    permissions: ["cars.approve", "rooms.approve", "cars.book", "rooms.book"],
+  },
+  user: {
+    label: "Gebruiker",
+    permissions: ["cars.book", "rooms.book"],
+  },
+  viewer: {
+    label: "Alleen lezen",
+    permissions: [],
+  },
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+const DEFAULT_ROLE = "user";
+
+function permissionsFor(role) {
+  return ROLES[role] ? [...ROLES[role].permissions] : [];
+}
+
+function hasPermission(role, permission) {
+  return Boolean(ROLES[role] && ROLES[role].permissions.includes(permission));
+}
+
+function roleLabel(role) {
+  return ROLES[role] ? ROLES[role].label : role;
+}
+
+module.exports = {
+  ROLES,
+  ROLE_NAMES,
+  DEFAULT_ROLE,
+  permissionsFor,
+  hasPermission,
+  roleLabel,
+};
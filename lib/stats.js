@@ -0,0 +1,166 @@
+// lib/stats.js
+// Bezettingsstatistieken voor auto's en vergaderruimtes.
+// Bezetting = gereserveerde uren / beschikbare uren binnen kantoortijden
+// (ma t/m vr, OFFICE_HOURS_START tot OFFICE_HOURS_END in lokale tijd).
+// Uren waarin een auto onbeschikbaar is tellen niet mee als beschikbaar.
+//   interval = { start: Date, end: Date }
+//   groupBy  = "day" (2026-10-19), "week" (2026-W43) of "month" (2026-10)
+
+const { fromZonedParts, shiftDateKey } = require("./recurrence");
+
+const HOUR_MS = 60 * 60 * 1000;
+const GROUP_BY = ["day", "week", "month"];
+
+const OFFICE_HOURS = {
+  start: Number(process.env.OFFICE_HOURS_START ?? 8),
+  end: Number(process.env.OFFICE_HOURS_END ?? 18),
+};
+
+// 'YYYY-MM-DD' → sleutel van de dag, ISO-week of maand
+function periodKey(dateKey, groupBy) {
+  if (groupBy === "day") return dateKey;
+  if (groupBy === "month") return dateKey.slice(0, 7);
+
+  // ISO-week: de week hoort bij het jaar waar de donderdag in valt
+  const d = new Date(dateKey + "T00:00:00Z");
+  d.setUTCDate(d.getUTCDate() + 4 - (d.getUTCDay() || 7));
+  const week = Math.ceil(((d - Date.UTC(d.getUTCFullYear(), 0, 1)) / 86400000 + 1) / 7);
+  return `${d.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+// Alle periodesleutels tussen twee datums (inclusief), in volgorde
+function periodKeys(fromKey, toKey, groupBy) {
+  const keys = [];
+  for (let key = fromKey; key <= toKey; key = shiftDateKey(key, 1)) {
+    const period = periodKey(key, groupBy);
+    if (keys[keys.length - 1] !== period) keys.push(period);
+  }
+  return keys;
+}
+
+// Werkdagen tussen twee datums (inclusief) met het begin van de kantoortijd
+function officeDays(fromKey, toKey, hours = OFFICE_HOURS) {
+  const days = [];
+  for (let key = fromKey; key <= toKey; key = shiftDateKey(key, 1)) {
+    const weekday = new Date(key + "T00:00:00Z").getUTCDay();
+    if (weekday === 0 || weekday === 6) continue;
+    const [year, month, day] = key.split("-").map(Number);
+    const start = fromZonedParts({ year, month, day, hour: hours.start });
+    days.push({ date: key, start, end: new Date(start.getTime() + (hours.end - hours.start) * HOUR_MS) });
+  }
+  return days;
+}
+
+// Overlappende intervallen samenvoegen (zodat niets dubbel telt)
+function mergeIntervals(intervals) {
+  const sorted = [...intervals].sort((a, b) => a.start - b.start);
+  const merged = [];
+  sorted.forEach((i) => {
+    const last = merged[merged.length - 1];
+    if (last && i.start <= last.end) {
+      if (i.end > last.end) last.end = i.end;
+    } else {
+      merged.push({ start: i.start, end: i.end });
+    }
+  });
+  return merged;
+}
+
+// Totale overlap in uren tussen de intervallen en [start, end)
+function overlapHours(intervals, start, end) {
+  let ms = 0;
+  intervals.forEach((i) => {
+    const s = Math.max(i.start.getTime(), start.getTime());
+    const e = Math.min(i.end.getTime(), end.getTime());
+    if (e > s) ms += e - s;
+  });
+  return ms / HOUR_MS;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// Percentage met één decimaal, of null als er niets beschikbaar was
+function percentage(part, whole) {
+  return whole > 0 ? Math.round((part / whole) * 1000) / 10 : null;
+}
+
+function finish(totals) {
+  return {
+    ...totals,
+    bookedHours: round2(totals.bookedHours),
+    availableHours: round2(totals.availableHours),
+    downtimeHours: round2(totals.downtimeHours),
+    occupancy: percentage(totals.bookedHours, totals.availableHours),
+  };
+}
+
+// Bezetting per resource (auto of ruimte) per periode, plus het profiel per uur van de dag
+// over alle resources samen (voor de piekuren).
+//   resources = [{ booked: [interval], blocked: [interval] }]
+// Geeft { resources: [{ periods: [...], bookedHours, availableHours, downtimeHours, occupancy }], hourly: [...] }
+// met de resources in dezelfde volgorde.
+function utilization(resources, days, groupBy, hours = OFFICE_HOURS) {
+  const hourly = [];
+  for (let h = hours.start; h < hours.end; h++) {
+    hourly.push({ hour: h, bookedHours: 0, availableHours: 0, downtimeHours: 0 });
+  }
+
+  const results = resources.map((r) => {
+    const blocked = mergeIntervals(r.blocked || []);
+    const periods = {};
+    const totals = { bookedHours: 0, availableHours: 0, downtimeHours: 0 };
+
+    days.forEach((day) => {
+      const key = periodKey(day.date, groupBy);
+      if (!periods[key]) periods[key] = { period: key, bookedHours: 0, availableHours: 0, downtimeHours: 0 };
+      const dayBooked = r.booked.filter((i) => i.start < day.end && i.end > day.start);
+      const dayBlocked = blocked.filter((i) => i.start < day.end && i.end > day.start);
+
+      hourly.forEach((slot, index) => {
+        const start = new Date(day.start.getTime() + index * HOUR_MS);
+        const end = new Date(start.getTime() + HOUR_MS);
+        const down = overlapHours(dayBlocked, start, end);
+        const used = Math.min(overlapHours(dayBooked, start, end), 1 - down);
+
+        [periods[key], totals, slot].forEach((t) => {
+          t.bookedHours += used;
+          t.availableHours += 1 - down;
+          t.downtimeHours += down;
+        });
+      });
+    });
+
+    return {
+      periods: Object.values(periods).map(finish),
+      ...finish(totals),
+    };
+  });
+
+  return {
+    resources: results,
+    hourly: hourly.map((slot) => ({ hour: slot.hour, ...finish(slot) })),
+  };
+}
+
+// Onbeschikbaarheid in kalenderuren (hele dag) binnen [from, to), per reden.
+//   windows = [{ reason, start: Date, end: Date }]
+function downtime(windows, from, to) {
+  const byReason = {};
+  windows.forEach((w) => {
+    const hoursDown = overlapHours([w], from, to);
+    if (hoursDown > 0) byReason[w.reason] = round2((byReason[w.reason] || 0) + hoursDown);
+  });
+  return { hours: round2(overlapHours(mergeIntervals(windows), from, to)), byReason };
+}
+
+module.exports = {
+  GROUP_BY,
+  OFFICE_HOURS,
+  periodKey,
+  periodKeys,
+  officeDays,
+  utilization,
+  downtime,
+};
@@ -0,0 +1,78 @@
+// lib/storage.js
+// Opslaglaag: kiest de database-backend op basis van STORAGE_BACKEND.
+//   - "supabase" (standaard): Supabase project via SUPABASE_URL + key
+//   - "memory": lokale database in het geheugen, optioneel bewaard in STORAGE_FILE
+// Beide backends hebben dezelfde query-interface (from().select().eq()...),
+// zodat routes en scripts niet hoeven te weten waar de data staat.
+
+const path = require("path");
+const { createClient } = require("@supabase/supabase-js");
+const { MemoryStore } = require("./memory-store");
+
+// Tabellen die de app gebruikt
+const TABLES = [
+  "organizations",
+  "users",
+  "cars",
+  "car_unavailability",
+  "extra_cars",
+  "bookings",
+  "booking_series",
+  "trips",
+  "meeting_rooms",
+  "meeting_bookings",
+  "meeting_series",
+  "calendar_feeds",
+  "booking_cancellations",
+  "booking_rejections",
+  "waitlist_entries",
+  "booking_policies",
+  "user_invitations",
+];
+
+// Unieke sleutels, gelijk aan de constraints in supabase/migrations
+const UNIQUE_KEYS = {
+  organizations: [["code"]],
+  users: [["org_id", "email"]],
+  calendar_feeds: [["token"]],
+  trips: [["booking_id"]],
+  booking_policies: [["org_id", "kind"]],
+  user_invitations: [["token"]],
+};
+
+// Geen overlappende reserveringen per auto/ruimte, gelijk aan de exclusion constraints
+// in supabase/migrations/015_booking_overlap_constraints.sql
+const EXCLUSIONS = {
+  bookings: [
+    { column: "car_id", start: "start", end: "end" },
+    { column: "extra_car_id", start: "start", end: "end" },
+  ],
+  meeting_bookings: [{ column: "room_id", start: "start_time", end: "end_time" }],
+};
+
+function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "supabase").toLowerCase();
+
+  if (backend === "memory") {
+    const file = env.STORAGE_FILE ? path.resolve(env.STORAGE_FILE) : null;
+    const store = new MemoryStore({ file, tables: TABLES, unique: UNIQUE_KEYS, exclusions: EXCLUSIONS });
+    return { db: store, backend, description: file ? `lokaal (${file})` : "lokaal (in-memory)" };
+  }
+
+  if (backend !== "supabase") {
+    throw new Error(`Onbekende STORAGE_BACKEND '${backend}'. Gebruik 'supabase' of 'memory'.`);
+  }
+
+  const url = env.SUPABASE_URL || "";
+  const key = env.SUPABASE_SERVICE_ROLE_KEY || env.SUPABASE_ANON_KEY || "";
+
+  if (!url || !key) {
+    console.warn(
+      "⚠️ SUPABASE_URL en/of SUPABASE_[ANON/SERVICE_ROLE]_KEY ontbreken. Zet deze in .env / Render env vars, of gebruik STORAGE_BACKEND=memory."
+    );
+  }
+
+  return { db: createClient(url, key), backend, description: "Supabase" };
+}
+
+module.exports = { createStorage, TABLES };
@@ -6,9 +6,21 @@ const helmet = require("helmet");
 const rateLimit = require("express-rate-limit");
 const fs = require("fs");
 const path = require("path");
-const { createClient } = require("@supabase/supabase-js");
+const crypto = require("crypto");
 const bcrypt = require("bcrypt");
 const jwt = require("jsonwebtoken");
+const { createStorage } = require("./lib/storage");
+const { parseRecurrence, expandOccurrences, localDateKey, shiftDateKey, isDateKey, fromZonedParts } = require("./lib/recurrence");
+const { createMailer } = require("./lib/mailer");
+const mailTemplates = require("./lib/mail-templates");
+const { buildCalendar } = require("./lib/ical");
+const { toCsv, toXlsx } = require("./lib/export");
+const stats = require("./lib/stats");
+const { POLICY_KINDS, parsePolicy, slotViolation, formatMinutes } = require("./lib/booking-policy");
+const { ROLES, ROLE_NAMES, DEFAULT_ROLE, permissionsFor, hasPermission, roleLabel } = require("./lib/roles");
+const {
+  normalizeEmail, isValidEmail, isEmailAllowed, parseEmailDomains, newInvitation, isInvitationOpen,
+} = require("./lib/registration");
 
 // --- JWT CONFIG ---
 const JWT_SECRET = process.env.JWT_SECRET;
@@ -22,18 +34,11 @@ if (!JWT_SECRET) {
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// --- SUPABASE CLIENT ---
-const SUPABASE_URL = process.env.SUPABASE_URL || "";
-const SUPABASE_KEY =
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY || "";
+// --- DATABASE (Supabase of lokaal, zie lib/storage.js) ---
+const { db, description: storageDescription } = createStorage();
 
-if (!SUPABASE_URL || !SUPABASE_KEY) {
-  console.warn(
-    "⚠️ SUPABASE_URL en/of SUPABASE_[ANON/SERVICE_ROLE]_KEY ontbreken. Zet deze in .env / Render env vars."
-  );
-}
-
-const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+// --- E-MAIL (bestand, SMTP of uit, zie lib/mailer.js) ---
+const mailer = createMailer();
 
 // --- MIDDLEWARE & STATIC ---
 
@@ -58,6 +63,7 @@ const ALLOWED_ORIGINS = process.env.ALLOWED_ORIGINS
 app.use(cors({
   origin: ALLOWED_ORIGINS,
   methods: ["GET", "POST", "PATCH", "DELETE"],
+  exposedHeaders: ["X-Next-Cursor"],
 }));
 
 // Rate limiting op auth endpoints
@@ -81,6 +87,9 @@ app.get("/", (req, res) => {
 });
 
 // ---- ACCOUNTS (nog steeds lokaal uit JSON) ----
+// Alleen gebruikt door de oude login met alleen een organisatiecode (/api/login).
+// Die staat standaard uit; zet LEGACY_CODE_LOGIN=true om hem tijdelijk toe te staan.
+const LEGACY_CODE_LOGIN = process.env.LEGACY_CODE_LOGIN === "true";
 const ACCOUNTS_FILE = path.join(__dirname, "accounts.json");
 let accounts = [];
 
@@ -104,26 +113,127 @@ function loadAccounts() {
 }
 loadAccounts();
 
-// Helper: verlopen garage-periodes automatisch terugzetten naar 'ok'
-async function autoResetExpiredGarage() {
-  const now = new Date().toISOString();
-  const { error } = await supabase
-    .from("cars")
-    .update({ status: "ok", unavailable_from: null, unavailable_until: null })
-    .eq("status", "garage")
-    .not("unavailable_until", "is", null)
-    .lt("unavailable_until", now);
-
-  if (error) {
-    console.error("Fout bij auto-reset garage:", error);
-  }
-}
+// Redenen waarom een auto (tijdelijk) niet beschikbaar is.
+// De oude status "garage" telt als onderhoud.
+const UNAVAILABILITY_REASONS = {
+  maintenance: "Onderhoud",
+  damage: "Schade",
+  apk: "APK-keuring",
+  tyres: "Bandenwissel",
+  management: "Gereserveerd voor directie",
+};
+const OPEN_END = new Date(8640000000000000); // periode zonder einddatum
 
 // Helper overlap
 function isOverlap(startA, endA, startB, endB) {
   return startA < endB && startB < endA;
 }
 
+// Helper: is een insert/update mislukt op de exclusion constraint tegen overlappende
+// reserveringen (migratie 015)? Dan heeft een gelijktijdig verzoek het tijdvak net gekregen.
+function isOverlapViolation(error) {
+  return Boolean(error && error.code === "23P01");
+}
+
+// Helper: car_unavailability-rij → API response (camelCase)
+function normalizeUnavailability(w) {
+  return {
+    id: w.id,
+    carId: w.car_id,
+    reason: w.reason,
+    reasonLabel: UNAVAILABILITY_REASONS[w.reason] || w.reason,
+    note: w.note || "",
+    from: w.start,
+    until: w.end || null,
+    createdBy: w.created_by || null,
+  };
+}
+
+// Helper: de onbeschikbaarheidsperiode die dit tijdvak (deels) blokkeert, of null
+function findBlockingWindow(windows, startDate, endDate) {
+  return (windows || []).find((w) =>
+    isOverlap(startDate, endDate, new Date(w.start), w.end ? new Date(w.end) : OPEN_END)
+  ) || null;
+}
+
+function unavailableMessage(window) {
+  const label = UNAVAILABILITY_REASONS[window.reason] || window.reason;
+  return `Deze auto is in deze periode niet beschikbaar (${label.toLowerCase()}).`;
+}
+
+// Helper: onbeschikbaarheidsperiodes per car_id die [from, to) raken.
+// Zonder `to` ook alle latere periodes, zonder `from` ook de geschiedenis.
+async function loadUnavailability(carIds, from, to) {
+  if (!carIds.length) return { windows: {} };
+
+  let query = db
+    .from("car_unavailability")
+    .select("*")
+    .in("car_id", carIds)
+    .order("start", { ascending: true });
+  if (to) query = query.lt("start", to.toISOString());
+
+  const { data, error } = await query;
+  if (error) return { error, windows: {} };
+
+  const windows = {};
+  (data || []).forEach((w) => {
+    // Periodes zonder einde lopen door, daarom hier filteren i.p.v. in de query
+    if (from && w.end && new Date(w.end) <= from) return;
+    if (!windows[w.car_id]) windows[w.car_id] = [];
+    windows[w.car_id].push(w);
+  });
+  return { windows };
+}
+
+// Helper: blokkeert een onbeschikbaarheidsperiode deze auto in dit tijdvak?
+// Geeft { error } (DB fout) of { blocking } (periode of null) terug.
+async function checkCarUnavailable(carId, startDate, endDate) {
+  const { error, windows } = await loadUnavailability([carId], startDate, endDate);
+  if (error) return { error };
+  return { blocking: findBlockingWindow(windows[carId], startDate, endDate) };
+}
+
+// Helper: booking_series-rij → API response (camelCase)
+function normalizeBookingSeries(s) {
+  return {
+    id: s.id,
+    orgId: s.org_id,
+    carId: s.car_id,
+    userId: s.user_id,
+    userName: s.user_name,
+    note: s.note,
+    start: s.start,
+    end: s.end,
+    recurrence: {
+      frequency: s.frequency,
+      interval: s.repeat_interval,
+      until: s.until,
+      count: s.count,
+      exceptions: s.exceptions || [],
+    },
+    cancelledAt: s.cancelled_at || null,
+  };
+}
+
+// Helper: booking-rij (snake_case) → API response (camelCase)
+function normalizeBooking(b) {
+  return {
+    id: b.id,
+    orgId: b.org_id,
+    sourceOrgId: b.source_org_id || b.org_id,
+    carId: b.car_id,
+    extraCarId: b.extra_car_id,
+    userId: b.user_id,  // Voor ownership check in frontend
+    userName: b.user_name,
+    start: b.start,
+    end: b.end,
+    note: b.note,
+    seriesId: b.series_id || null,
+    status: b.status || "confirmed",
+  };
+}
+
 // Helper: YYYY-MM-DD in UTC start/end
 function dayStartIso(dateStr) {
   return new Date(dateStr + "T00:00:00.000Z").toISOString();
@@ -149,8 +259,16 @@ function toDayEndIso(dateStr) {
 
 // ---- API ROUTES ----
 
-// Inloggen met organisatiecode (nog steeds via accounts.json) - LEGACY, blijft werken
+// Inloggen met organisatiecode (via accounts.json) - LEGACY, alleen met LEGACY_CODE_LOGIN=true.
+// Geeft een beperkt token zonder gebruiker (userId null, rol "user"): je kunt ermee
+// reserveren en kijken, maar geen bestaande reserveringen wijzigen of verwijderen.
 app.post("/api/login", (req, res) => {
+  if (!LEGACY_CODE_LOGIN) {
+    return res.status(410).json({
+      error: "Inloggen met alleen een organisatiecode is uitgeschakeld. Log in met e-mail en wachtwoord."
+    });
+  }
+
   const { code } = req.body;
   if (!code) return res.status(400).json({ error: "Code is verplicht" });
 
@@ -160,7 +278,18 @@ app.post("/api/login", (req, res) => {
 
   if (!account) return res.status(401).json({ error: "Onbekende code" });
 
-  res.json({ orgId: account.id, name: account.name });
+  const token = jwt.sign({
+    userId: null,
+    orgId: account.id,
+    name: account.name,
+    role: "user",
+    allowedSections: ["cars", "meetings"],
+    meetingOrgId: account.id,
+    carOrgId: account.id,
+    legacy: true
+  }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+  res.json({ orgId: account.id, name: account.name, token });
 });
 
 //
@@ -173,9 +302,9 @@ app.post("/api/auth/verify-org", async (req, res) => {
   if (!code) return res.status(400).json({ error: "Code is verplicht" });
 
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("organizations")
-      .select("id, name, allowed_sections, meeting_org_id")
+      .select("id, name, allowed_sections, meeting_org_id, allowed_email_domains")
       .ilike("code", code)
       .single();
 
@@ -187,13 +316,59 @@ app.post("/api/auth/verify-org", async (req, res) => {
     const allowedSections = data.allowed_sections || ["cars", "meetings"];
     const meetingOrgId = data.meeting_org_id || data.id;
 
-    res.json({ orgId: data.id, orgName: data.name, allowedSections, meetingOrgId });
+    res.json({
+      orgId: data.id,
+      orgName: data.name,
+      allowedSections,
+      meetingOrgId,
+      allowedEmailDomains: data.allowed_email_domains || [],
+    });
   } catch (err) {
     console.error("Serverfout /api/auth/verify-org:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
+// Helper: JWT + user-object voor de app na registreren, inloggen of een uitnodiging accepteren.
+// allowed_sections, meeting_org_id en car_org_id komen van de organisatie.
+async function issueSession(user) {
+  const { data: org } = await db
+    .from("organizations")
+    .select("allowed_sections, meeting_org_id, car_org_id")
+    .eq("id", user.org_id)
+    .single();
+
+  const allowedSections = org?.allowed_sections || ["cars", "meetings"];
+  const meetingOrgId = org?.meeting_org_id || user.org_id;
+  const carOrgId = org?.car_org_id || user.org_id;
+
+  const token = jwt.sign({
+    userId: user.id,
+    orgId: user.org_id,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    allowedSections,
+    meetingOrgId,
+    carOrgId
+  }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+
+  return {
+    token,
+    user: {
+      id: user.id,
+      orgId: user.org_id,
+      email: user.email,
+      name: user.name,
+      role: user.role,
+      permissions: permissionsFor(user.role),
+      allowedSections,
+      meetingOrgId,
+      carOrgId
+    }
+  };
+}
+
 // Register new user (stap 2a van nieuwe login flow)
 app.post("/api/auth/register", async (req, res) => {
   const { orgId, email, password, name } = req.body;
@@ -206,12 +381,33 @@ app.post("/api/auth/register", async (req, res) => {
     return res.status(400).json({ error: "Wachtwoord moet minimaal 8 tekens bevatten" });
   }
 
-  const emailLower = email.toLowerCase().trim();
+  const emailLower = normalizeEmail(email);
   const nameTrimmed = name.trim();
 
+  if (!isValidEmail(emailLower)) {
+    return res.status(400).json({ error: "Vul een geldig e-mailadres in" });
+  }
+
   try {
+    // Zelf registreren kan beperkt zijn tot bepaalde e-maildomeinen (uitnodigen kan altijd)
+    const { data: org } = await db
+      .from("organizations")
+      .select("id, allowed_email_domains")
+      .eq("id", orgId)
+      .maybeSingle();
+
+    if (!org) {
+      return res.status(404).json({ error: "Onbekende organisatie" });
+    }
+    if (!isEmailAllowed(emailLower, org.allowed_email_domains)) {
+      const domains = org.allowed_email_domains.map((d) => "@" + d).join(", ");
+      return res.status(403).json({
+        error: `Registreren kan alleen met een e-mailadres op ${domains}. Vraag anders je beheerder om een uitnodiging.`
+      });
+    }
+
     // Check of email al bestaat in deze org
-    const { data: existing } = await supabase
+    const { data: existing } = await db
       .from("users")
       .select("id")
       .eq("org_id", orgId)
@@ -226,14 +422,14 @@ app.post("/api/auth/register", async (req, res) => {
     const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
 
     // Insert nieuwe user
-    const { data: user, error } = await supabase
+    const { data: user, error } = await db
       .from("users")
       .insert([{
         org_id: orgId,
         email: emailLower,
         password_hash: passwordHash,
         name: nameTrimmed,
-        role: "user"
+        role: DEFAULT_ROLE
       }])
       .select("id, org_id, email, name, role")
       .single();
@@ -243,39 +439,7 @@ app.post("/api/auth/register", async (req, res) => {
       return res.status(500).json({ error: "Kon account niet aanmaken" });
     }
 
-    // Haal org settings op voor allowed_sections en meeting_org_id
-    const { data: org } = await supabase
-      .from("organizations")
-      .select("allowed_sections, meeting_org_id")
-      .eq("id", orgId)
-      .single();
-
-    const allowedSections = org?.allowed_sections || ["cars", "meetings"];
-    const meetingOrgId = org?.meeting_org_id || orgId;
-
-    // Genereer JWT token
-    const token = jwt.sign({
-      userId: user.id,
-      orgId: user.org_id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-      allowedSections,
-      meetingOrgId
-    }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
-
-    res.status(201).json({
-      token,
-      user: {
-        id: user.id,
-        orgId: user.org_id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        allowedSections,
-        meetingOrgId
-      }
-    });
+    res.status(201).json(await issueSession(user));
   } catch (err) {
     console.error("Serverfout /api/auth/register:", err);
     res.status(500).json({ error: "Interne serverfout." });
@@ -290,12 +454,12 @@ app.post("/api/auth/login", async (req, res) => {
     return res.status(400).json({ error: "Alle velden zijn verplicht" });
   }
 
-  const emailLower = email.toLowerCase().trim();
+  const emailLower = normalizeEmail(email);
 
   try {
-    const { data: user, error } = await supabase
+    const { data: user, error } = await db
       .from("users")
-      .select("id, org_id, email, name, role, password_hash")
+      .select("id, org_id, email, name, role, password_hash, deactivated_at")
       .eq("org_id", orgId)
       .eq("email", emailLower)
       .single();
@@ -310,70 +474,31 @@ app.post("/api/auth/login", async (req, res) => {
       return res.status(401).json({ error: "Onjuist e-mailadres of wachtwoord" });
     }
 
-    // Haal org settings op voor allowed_sections en meeting_org_id
-    const { data: org } = await supabase
-      .from("organizations")
-      .select("allowed_sections, meeting_org_id")
-      .eq("id", orgId)
-      .single();
-
-    const allowedSections = org?.allowed_sections || ["cars", "meetings"];
-    const meetingOrgId = org?.meeting_org_id || orgId;
-
-    // Genereer JWT token
-    const token = jwt.sign({
-      userId: user.id,
-      orgId: user.org_id,
-      email: user.email,
-      name: user.name,
-      role: user.role,
-      allowedSections,
-      meetingOrgId
-    }, JWT_SECRET, { expiresIn: JWT_EXPIRES_IN });
+    if (user.deactivated_at) {
+      return res.status(403).json({ error: DEACTIVATED_ERROR });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user.id,
-        orgId: user.org_id,
-        email: user.email,
-        name: user.name,
-        role: user.role,
-        allowedSections,
-        meetingOrgId
-      }
-    });
+    res.json(await issueSession(user));
   } catch (err) {
     console.error("Serverfout /api/auth/login:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// Get current user from token
-app.get("/api/auth/me", async (req, res) => {
-  const authHeader = req.headers.authorization;
-
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
-    return res.status(401).json({ error: "Geen toegangstoken meegegeven" });
-  }
-
-  const token = authHeader.split(" ")[1];
-
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    res.json({
-      userId: decoded.userId,
-      orgId: decoded.orgId,
-      email: decoded.email,
-      name: decoded.name,
-      role: decoded.role
-    });
-  } catch (err) {
-    return res.status(401).json({ error: "Ongeldig of verlopen token" });
-  }
+// Get current user from token (rol en naam zoals ze nu in de database staan, zie requireAuth)
+app.get("/api/auth/me", requireAuth, (req, res) => {
+  const user = req.user;
+  res.json({
+    userId: user.userId,
+    orgId: user.orgId,
+    email: user.email,
+    name: user.name,
+    role: user.role,
+    permissions: permissionsFor(user.role)
+  });
 });
 
-// Helper: Extract user from token (returns null if no/invalid token - for backwards compatibility)
+// Helper: Extract user from token (returns null if no/invalid token; routes gebruiken requireAuth)
 function getUserFromToken(req) {
   const authHeader = req.headers.authorization;
   if (!authHeader || !authHeader.startsWith("Bearer ")) {
@@ -387,85 +512,229 @@ function getUserFromToken(req) {
   }
 }
 
+const DEACTIVATED_ERROR = "Dit account is gedeactiveerd. Neem contact op met je beheerder.";
+
+// Middleware: geldig token verplicht, de payload komt in req.user.
+// Rol en naam komen uit de database, zodat een nieuwe rol of een deactivering direct geldt
+// en niet pas na opnieuw inloggen (oude org-tokens zonder userId slaan dit over).
+async function requireAuth(req, res, next) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+    return res.status(401).json({ error: "Geen toegangstoken meegegeven" });
+  }
+  const user = getUserFromToken(req);
+  if (!user) {
+    return res.status(401).json({ error: "Ongeldig of verlopen token" });
+  }
+  if (user.userId) {
+    const { data: current, error } = await db
+      .from("users")
+      .select("id, name, role, deactivated_at")
+      .eq("id", user.userId)
+      .maybeSingle();
+    if (error) {
+      console.error("DB fout requireAuth:", error);
+      return res.status(500).json({ error: "Interne serverfout." });
+    }
+    if (!current) {
+      return res.status(401).json({ error: "Ongeldig of verlopen token" });
+    }
+    if (current.deactivated_at) {
+      return res.status(401).json({ error: DEACTIVATED_ERROR });
+    }
+    user.role = current.role;
+    user.name = current.name;
+  }
+  req.user = user;
+  next();
+}
+
+// Middleware (na requireAuth): bepaalt de organisatie uit het token en zet req.orgId.
+// "cars" gebruikt de carOrgId (gedeeld wagenpark), "meetings" de meetingOrgId
+// (gedeelde vergaderruimtes); zonder deling is dat de eigen org.
+// Een meegegeven orgId (query of body) die daar niet mee overeenkomt wordt geweigerd.
+function orgScope(section) {
+  return (req, res, next) => {
+    const user = req.user;
+    const allowedSections = user.allowedSections || ["cars", "meetings"];
+    if (!allowedSections.includes(section)) {
+      return res.status(403).json({ error: "Je organisatie heeft geen toegang tot dit onderdeel." });
+    }
+
+    const sharedOrgId = section === "meetings" ? user.meetingOrgId : user.carOrgId;
+    const orgId = Number(sharedOrgId || user.orgId);
+    const requested = req.query.orgId ?? req.body?.orgId;
+    if (requested !== undefined && requested !== null && requested !== "" && Number(requested) !== orgId) {
+      return res.status(403).json({ error: "Geen toegang tot deze organisatie." });
+    }
+
+    req.orgId = orgId;
+    next();
+  };
+}
+
+// Centrale rechtencheck: heeft deze gebruiker (via de rol) dit recht? Zie lib/roles.js.
+function can(tokenUser, permission) {
+  return Boolean(tokenUser && hasPermission(tokenUser.role, permission));
+}
+
+// Recht voor een soort reservering: kindPermission("room", "manage") → "rooms.manage"
+function kindPermission(kind, action) {
+  return `${kind === "room" ? "rooms" : "cars"}.${action}`;
+}
+
+const PERMISSION_ERRORS = {
+  "org.manage": "Alleen admins kunnen dit doen.",
+  "cars.manage": "Alleen wagenparkbeheerders en admins kunnen dit doen.",
+  "rooms.manage": "Alleen facilitair beheerders en admins kunnen dit doen.",
+  "cars.approve": "Je mag geen aanvragen voor auto's afhandelen.",
+  "rooms.approve": "Je mag geen aanvragen voor vergaderruimtes afhandelen.",
+  "cars.book": "Je hebt alleen leesrechten; je kunt geen auto's reserveren.",
+  "rooms.book": "Je hebt alleen leesrechten; je kunt geen vergaderruimtes reserveren.",
+};
+
+// Middleware (na requireAuth): alleen gebruikers met dit recht
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!can(req.user, permission)) {
+      return res.status(403).json({ error: PERMISSION_ERRORS[permission] || "Je hebt geen rechten om dit te doen." });
+    }
+    next();
+  };
+}
+
+// Status van een nieuwe (of verplaatste) reservering: 'pending' als de auto of ruimte
+// goedkeuring nodig heeft, behalve als iemand die mag goedkeuren zelf boekt
+function initialBookingStatus(kind, resource, tokenUser) {
+  return resource && resource.requires_approval && !can(tokenUser, kindPermission(kind, "approve")) ? "pending" : "confirmed";
+}
+
+// Helper: mag deze gebruiker de reservering wijzigen/verwijderen?
+// Geeft { status, error } terug als het niet mag, anders null.
+function bookingAccessError(booking, tokenUser, verb) {
+  if (!tokenUser) {
+    return { status: 401, error: `Je moet ingelogd zijn om te ${verb}` };
+  }
+
+  // Bij gedeelde auto's/ruimtes is een beheerder alleen beheerder over de eigen org.
+  // Vergaderingen hebben een room_id, autoreserveringen (en ritten) niet.
+  const kind = booking.room_id !== undefined ? "room" : "car";
+  const bookingOrgId = booking.source_org_id || booking.org_id;
+  const isOwner = booking.user_id === tokenUser.userId;
+  const isManager = can(tokenUser, kindPermission(kind, "manage")) && Number(bookingOrgId) === Number(tokenUser.orgId);
+  const isLegacy = booking.user_id === null;
+
+  if (!isOwner && !isManager) {
+    return { status: 403, error: `Je kunt alleen je eigen reserveringen ${verb}` };
+  }
+  if (isLegacy && !isManager) {
+    return { status: 403, error: `Oude reserveringen kunnen alleen door beheerders ${verb} worden` };
+  }
+  return null;
+}
+
 //
-// ---------- EXTRA BESCHIKBARE AUTO'S (Supabase) ----------
+// ---------- EXTRA BESCHIKBARE AUTO'S ----------
 //
 
-// GET /api/extra-cars?orgId=1&date=2025-12-15
-app.get("/api/extra-cars", async (req, res) => {
-  const { orgId, date } = req.query;
+// Helper: extra_cars-rij → API response (camelCase)
+function normalizeExtraCar(x) {
+  return {
+    id: x.id,
+    orgId: x.org_id,
+    license: x.license,
+    name: x.name || "",
+    from: x.available_from,
+    to: x.available_to,
+  };
+}
+
+// Helper: de lokale dagen die een reservering raakt. Een einde om middernacht telt
+// niet als extra dag. Geeft { firstDay, lastDay } als 'YYYY-MM-DD' terug.
+function bookingDays(startDate, endDate) {
+  return { firstDay: localDateKey(startDate), lastDay: localDateKey(new Date(endDate.getTime() - 1)) };
+}
 
-  if (!orgId) return res.status(400).json({ error: "orgId is verplicht" });
+// Helper: is de extra auto elke dag van de reservering beschikbaar?
+function extraCarCovers(extraCar, startDate, endDate) {
+  const { firstDay, lastDay } = bookingDays(startDate, endDate);
+  return extraCar.available_from <= firstDay && extraCar.available_to >= lastDay;
+}
 
-  const orgIdNum = Number(orgId);
-  const d = date || new Date().toISOString().slice(0, 10);
+// GET /api/extra-cars?date=2025-12-15 (beschikbaar op die dag, standaard vandaag)
+// of ?from=2025-12-15&to=2025-12-17 (ergens in die periode beschikbaar)
+app.get("/api/extra-cars", requireAuth, orgScope("cars"), async (req, res) => {
+  const { date, from, to } = req.query;
+
+  const orgIdNum = req.orgId;
+  const today = localDateKey(new Date());
+  const firstDay = from || date || today;
+  const lastDay = to || from || date || today;
+  if (![firstDay, lastDay].every(isDateKey)) {
+    return res.status(400).json({ error: "Ongeldige datum (gebruik YYYY-MM-DD)." });
+  }
 
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("extra_cars")
-      .select("id, org_id, license, name, date")
+      .select("id, org_id, license, name, available_from, available_to")
       .eq("org_id", orgIdNum)
-      .eq("date", d)
+      .lte("available_from", lastDay)
+      .gte("available_to", firstDay)
       .order("id", { ascending: true });
 
     if (error) {
-      console.error("Supabase fout GET /api/extra-cars:", error);
+      console.error("DB fout GET /api/extra-cars:", error);
       return res.status(500).json({ error: "Kon extra auto's niet ophalen." });
     }
 
     // ✅ camelCase teruggeven
-    res.json(
-      (data || []).map((x) => ({
-        id: x.id,
-        orgId: x.org_id,
-        license: x.license,
-        name: x.name || "",
-        date: x.date,
-      }))
-    );
+    res.json((data || []).map(normalizeExtraCar));
   } catch (err) {
     console.error("Serverfout GET /api/extra-cars:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// POST /api/extra-cars  { orgId, license, name?, date? }
-app.post("/api/extra-cars", async (req, res) => {
-  const { orgId, license, name, date } = req.body;
+// POST /api/extra-cars  { license, name?, from?, to? }
+// Zonder from: vandaag. Zonder to: alleen die ene dag. `date` mag nog in plaats van from.
+app.post("/api/extra-cars", requireAuth, orgScope("cars"), requirePermission("cars.book"), async (req, res) => {
+  const { license, name, date } = req.body;
 
-  if (!orgId) return res.status(400).json({ error: "orgId is verplicht" });
   if (!license) return res.status(400).json({ error: "license is verplicht" });
 
-  const orgIdNum = Number(orgId);
-  const d = date || new Date().toISOString().slice(0, 10);
+  const orgIdNum = req.orgId;
+  const from = req.body.from || date || localDateKey(new Date());
+  const to = req.body.to || from;
+  if (!isDateKey(from) || !isDateKey(to)) {
+    return res.status(400).json({ error: "Ongeldige datum in from/to (gebruik YYYY-MM-DD)." });
+  }
+  if (to < from) {
+    return res.status(400).json({ error: "De einddatum moet op of na de begindatum liggen." });
+  }
 
   try {
     const payload = {
       org_id: orgIdNum,
       license: String(license).trim(),
       name: name ? String(name).trim() : null,
-      date: d,
+      available_from: from,
+      available_to: to,
     };
 
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("extra_cars")
       .insert([payload])
-      .select("id, org_id, license, name, date")
+      .select("id, org_id, license, name, available_from, available_to")
       .single();
 
     if (error) {
-      console.error("Supabase fout POST /api/extra-cars:", error);
+      console.error("DB fout POST /api/extra-cars:", error);
       return res.status(500).json({ error: "Kon extra auto niet opslaan." });
     }
 
     // ✅ camelCase teruggeven
-    res.status(201).json({
-      id: data.id,
-      orgId: data.org_id,
-      license: data.license,
-      name: data.name || "",
-      date: data.date,
-    });
+    res.status(201).json(normalizeExtraCar(data));
   } catch (err) {
     console.error("Serverfout POST /api/extra-cars:", err);
     res.status(500).json({ error: "Interne serverfout." });
@@ -473,836 +742,6070 @@ app.post("/api/extra-cars", async (req, res) => {
 });
 
 //
-// ---------- AUTO'S (Supabase + garage-periode) ----------
+// ---------- AUTO'S (incl. onbeschikbaarheid) ----------
 //
 
-// Alle auto's uit Supabase (incl. status + garage-periode)
-app.get("/api/cars", async (req, res) => {
+const FUEL_TYPES = ["benzine", "diesel", "hybride", "elektrisch"];
+
+// Helper: cars-rij → API response (camelCase)
+// shared = auto van een andere org (via car_org_id), alleen te boeken, niet te beheren
+// windows = lopende en komende onbeschikbaarheidsperiodes van deze auto
+function normalizeCar(c, userOrgId, windows = []) {
+  const now = new Date();
+  const current = findBlockingWindow(windows, now, new Date(now.getTime() + 1));
+  const upcoming = windows.filter((w) => !w.end || new Date(w.end) > now);
+  const shown = current || upcoming[0] || null;
+
+  return {
+    id: c.id,
+    orgId: c.org_id,
+    name: c.name,
+    license: c.license,
+    seats: c.seats ?? null,
+    fuelType: c.fuel_type || null,
+    notes: c.notes || "",
+    requiresApproval: Boolean(c.requires_approval),
+    // "ok" of de reden van de periode die nu loopt
+    status: current ? current.reason : "ok",
+    statusNote: current ? current.note || "" : "",
+    unavailableFrom: shown ? shown.start : null,
+    unavailableUntil: shown ? shown.end || null : null,
+    unavailability: upcoming.map(normalizeUnavailability),
+    archived: Boolean(c.archived_at),
+    archivedAt: c.archived_at || null,
+    shared: c.org_id !== Number(userOrgId),
+  };
+}
+
+// Helper: auto-gegevens uit de request body → kolommen.
+// Bij aanmaken (partial = false) zijn naam en kenteken verplicht.
+// Geeft { values } of { error } terug.
+function parseCarFields(body, partial) {
+  const values = {};
+  const { name, license, seats, fuelType, notes, requiresApproval } = body;
+
+  if (name !== undefined || !partial) {
+    if (!name || !String(name).trim()) return { error: "Naam is verplicht" };
+    values.name = String(name).trim();
+  }
+  if (license !== undefined || !partial) {
+    if (!license || !String(license).trim()) return { error: "Kenteken is verplicht" };
+    values.license = String(license).trim().toUpperCase();
+  }
+  if (seats !== undefined) {
+    const n = seats === null || seats === "" ? null : Number(seats);
+    if (n !== null && (!Number.isInteger(n) || n < 1 || n > 99)) {
+      return { error: "Aantal zitplaatsen moet een heel getal tussen 1 en 99 zijn" };
+    }
+    values.seats = n;
+  }
+  if (fuelType !== undefined) {
+    if (fuelType && !FUEL_TYPES.includes(fuelType)) {
+      return { error: `Ongeldige brandstof. Gebruik ${FUEL_TYPES.map((f) => `'${f}'`).join(", ")}.` };
+    }
+    values.fuel_type = fuelType || null;
+  }
+  if (notes !== undefined) values.notes = notes ? String(notes).trim() : "";
+  if (requiresApproval !== undefined) values.requires_approval = Boolean(requiresApproval);
+
+  return { values };
+}
+
+// Helper: van-/tot-datum uit de request → ISO. Een losse datum (YYYY-MM-DD)
+// telt vanaf het begin van de dag (van) of tot en met het einde van de dag (tot).
+function parsePeriodBound(value, endOfDay) {
+  if (!value) return null;
+  const iso = endOfDay ? toDayEndIso(String(value)) : toDayStartIso(String(value));
+  return Number.isNaN(new Date(iso).getTime()) ? undefined : iso;
+}
+
+// Helper: onbeschikbaarheidsperiode uit de request body → kolommen.
+// Bij aanmaken (partial = false) is de reden verplicht en begint de periode standaard nu.
+function parseUnavailabilityFields(body, partial) {
+  const values = {};
+  const { reason, note, from, until } = body;
+
+  if (reason !== undefined || !partial) {
+    const key = reason === "garage" ? "maintenance" : reason;
+    if (!UNAVAILABILITY_REASONS[key]) {
+      return {
+        error: `Ongeldige reden. Gebruik ${Object.keys(UNAVAILABILITY_REASONS).map((r) => `'${r}'`).join(", ")}.`,
+      };
+    }
+    values.reason = key;
+  }
+  if (note !== undefined) values.note = note ? String(note).trim() : "";
+  if (from !== undefined || !partial) {
+    const start = from ? parsePeriodBound(from, false) : new Date().toISOString();
+    if (!start) return { error: "Ongeldige begindatum" };
+    values.start = start;
+  }
+  if (until !== undefined) {
+    const end = parsePeriodBound(until, true);
+    if (end === undefined) return { error: "Ongeldige einddatum" };
+    values.end = end;
+  }
+  if (values.start && values.end && new Date(values.end) <= new Date(values.start)) {
+    return { error: "Einddatum moet na begindatum liggen" };
+  }
+
+  return { values };
+}
+
+// Helper: auto ophalen en controleren dat hij bij de eigen org van de admin hoort.
+// Geeft { car } of { status, error } terug.
+async function findOwnCar(id, user) {
+  const { data: car } = await db
+    .from("cars")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (!car) return { status: 404, error: "Auto niet gevonden." };
+  if (car.org_id !== Number(user.orgId)) {
+    return { status: 403, error: "Je kunt alleen auto's van je eigen organisatie beheren." };
+  }
+  return { car };
+}
+
+// Helper: auto met actuele status als response (na een wijziging)
+async function carResponse(car, userOrgId) {
+  const { windows } = await loadUnavailability([car.id], new Date(), null);
+  return normalizeCar(car, userOrgId, windows[car.id]);
+}
+
+// Helper: reserveringen die nog moeten komen of nu lopen voor een auto of ruimte
+// (table/column/endColumn: "bookings"/"car_id"/"end" of "meeting_bookings"/"room_id"/"end_time")
+async function findFutureBookings(table, column, id, endColumn) {
+  const { data, error } = await db
+    .from(table)
+    .select("*")
+    .eq(column, id)
+    .gt(endColumn, new Date().toISOString())
+    .order(endColumn, { ascending: true });
+  return { error, bookings: data || [] };
+}
+
+// Auto's van het wagenpark van deze org (incl. actuele status + komende onbeschikbaarheid)
+// Gearchiveerde auto's alleen met ?includeArchived=true
+app.get("/api/cars", requireAuth, orgScope("cars"), async (req, res) => {
   try {
-    await autoResetExpiredGarage();
-    const { data, error } = await supabase
+    let query = db
       .from("cars")
-      .select("id, name, license, status, unavailable_from, unavailable_until")
+      .select("*")
+      .eq("org_id", req.orgId)
       .order("id", { ascending: true });
 
+    if (req.query.includeArchived !== "true") {
+      query = query.is("archived_at", null);
+    }
+
+    const { data, error } = await query;
+
     if (error) {
-      console.error("Supabase fout GET /api/cars:", error);
+      console.error("DB fout GET /api/cars:", error);
       return res.status(500).json({ error: "Kon auto's niet ophalen." });
     }
 
-    res.json(
-      (data || []).map((c) => ({
-        id: c.id,
-        name: c.name,
-        license: c.license,
-        status: c.status || "ok",
-        unavailableFrom: c.unavailable_from,
-        unavailableUntil: c.unavailable_until,
-      }))
-    );
+    const { error: unavailErr, windows } = await loadUnavailability((data || []).map((c) => c.id), new Date(), null);
+    if (unavailErr) {
+      console.error("DB fout (car_unavailability) GET /api/cars:", unavailErr);
+      return res.status(500).json({ error: "Kon beschikbaarheid van auto's niet ophalen." });
+    }
+
+    res.json((data || []).map((c) => normalizeCar(c, req.user.orgId, windows[c.id])));
   } catch (err) {
     console.error("Serverfout GET /api/cars:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// Auto status + garage-periode aanpassen
-app.patch("/api/cars/:id", async (req, res) => {
-  const id = Number(req.params.id);
-  const { status, unavailableFrom, unavailableUntil } = req.body;
-
-  if (!["ok", "garage"].includes(status)) {
-    return res
-      .status(400)
-      .json({ error: "Ongeldige status. Gebruik 'ok' of 'garage'." });
+// Nieuwe auto (admin only) { name, license, seats?, fuelType?, notes? }
+app.post("/api/cars", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  if (req.orgId !== Number(req.user.orgId)) {
+    return res.status(403).json({
+      error: "Je organisatie gebruikt het wagenpark van een andere organisatie; auto's toevoegen kan daar.",
+    });
   }
 
-  let updatePayload = { status };
-
-  if (unavailableFrom || unavailableUntil) {
-    updatePayload.unavailable_from = unavailableFrom
-      ? toDayStartIso(unavailableFrom)
-      : null;
-    updatePayload.unavailable_until = unavailableUntil
-      ? toDayEndIso(unavailableUntil)
-      : null;
-  } else {
-    updatePayload.unavailable_from = null;
-    updatePayload.unavailable_until = null;
-  }
+  const parsed = parseCarFields(req.body, false);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
 
   try {
-    const { data, error } = await supabase
+    const { data, error } = await db
       .from("cars")
-      .update(updatePayload)
-      .eq("id", id)
-      .select("id, name, license, status, unavailable_from, unavailable_until")
+      .insert([{ ...parsed.values, org_id: req.orgId }])
+      .select()
       .single();
 
     if (error) {
-      console.error("Supabase fout PATCH /api/cars/:id:", error);
-      return res
-        .status(500)
-        .json({ error: "Kon status niet bijwerken in de database." });
+      console.error("DB fout POST /api/cars:", error);
+      return res.status(500).json({ error: "Kon auto niet opslaan." });
     }
 
-    if (!data) return res.status(404).json({ error: "Auto niet gevonden." });
-
-    res.json({
-      id: data.id,
-      name: data.name,
-      license: data.license,
-      status: data.status,
-      unavailableFrom: data.unavailable_from,
-      unavailableUntil: data.unavailable_until,
-    });
+    res.status(201).json(normalizeCar(data, req.user.orgId));
   } catch (err) {
-    console.error("Serverfout PATCH /api/cars/:id:", err);
+    console.error("Serverfout POST /api/cars:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-//
-// ---------- AVAILABILITY (pool + extra) ----------
-//
+// Auto aanpassen (admin only, alleen auto's van de eigen org):
+// gegevens (name, license, seats, fuelType, notes) en/of archived (true = uit de roulatie).
+// `status` blijft werken zoals vroeger: "ok" beëindigt de lopende onbeschikbaarheid,
+// een reden (of "garage") met unavailableFrom/unavailableUntil/statusNote plant een nieuwe periode.
+// Reserveringen in die periode komen terug als affectedBookings; met reassign: true worden ze
+// omgeboekt naar een vrije auto, en de boekers krijgen een mail (tenzij notify: false).
+app.patch("/api/cars/:id", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  const { status, statusNote, unavailableFrom, unavailableUntil, archived, reassign, notify } = req.body;
 
-// GET /api/cars/availability?orgId=1&start=...&end=...
-app.get("/api/cars/availability", async (req, res) => {
-  const { start, end, orgId } = req.query;
+  const parsed = parseCarFields(req.body, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const updatePayload = parsed.values;
 
-  if (!start || !end || !orgId) {
-    return res.status(400).json({ error: "start, end en orgId zijn verplicht" });
+  let newWindow = null;
+  if (status !== undefined && status !== "ok") {
+    const parsedWindow = parseUnavailabilityFields(
+      { reason: status, note: statusNote, from: unavailableFrom, until: unavailableUntil || undefined },
+      false
+    );
+    if (parsedWindow.error) {
+      return res.status(400).json({
+        error: status === "garage" || UNAVAILABILITY_REASONS[status]
+          ? parsedWindow.error
+          : `Ongeldige status. Gebruik 'ok' of ${Object.keys(UNAVAILABILITY_REASONS).map((r) => `'${r}'`).join(", ")}.`,
+      });
+    }
+    newWindow = parsedWindow.values;
   }
 
-  await autoResetExpiredGarage();
+  if (archived !== undefined) {
+    updatePayload.archived_at = archived ? new Date().toISOString() : null;
+  }
 
-  const orgIdNum = Number(orgId);
-  const startDate = new Date(start);
-  const endDate = new Date(end);
-  const day = isoDay(startDate);
+  if (Object.keys(updatePayload).length === 0 && status === undefined) {
+    return res.status(400).json({ error: "Niets om bij te werken." });
+  }
 
   try {
-    // 1) Poolauto's
-    const { data: carsData, error: carsError } = await supabase
-      .from("cars")
-      .select("id, name, license, status, unavailable_from, unavailable_until")
-      .order("id", { ascending: true });
-
-    if (carsError) {
-      console.error("Supabase fout (cars) /api/cars/availability:", carsError);
-      return res.status(500).json({ error: "Kon auto's niet ophalen." });
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    let car = found.car;
+
+    // Archiveren kan pas als er geen toekomstige reserveringen meer op staan
+    if (archived && !car.archived_at) {
+      const { error: futureErr, bookings } = await findFutureBookings("bookings", "car_id", id, "end");
+      if (futureErr) {
+        console.error("DB fout toekomstige bookings PATCH /api/cars/:id:", futureErr);
+        return res.status(500).json({ error: "Kon reserveringen niet controleren." });
+      }
+      if (bookings.length > 0) {
+        return res.status(409).json({
+          error: `Deze auto heeft nog ${bookings.length} toekomstige reservering(en). Verplaats of annuleer die eerst.`,
+          bookings: bookings.map(normalizeBooking),
+        });
+      }
     }
 
-    // 2) Extra auto's voor die dag
-    const { data: extraCarsData, error: extraErr } = await supabase
-      .from("extra_cars")
-      .select("id, org_id, license, name, date")
-      .eq("org_id", orgIdNum)
-      .eq("date", day)
-      .order("id", { ascending: true });
+    if (Object.keys(updatePayload).length > 0) {
+      const { data, error } = await db
+        .from("cars")
+        .update(updatePayload)
+        .eq("id", id)
+        .select()
+        .single();
 
-    if (extraErr) {
-      console.error("Supabase fout (extra_cars) /api/cars/availability:", extraErr);
-      return res.status(500).json({ error: "Kon extra auto's niet ophalen." });
+      if (error) {
+        console.error("DB fout PATCH /api/cars/:id:", error);
+        return res
+          .status(500)
+          .json({ error: "Kon auto niet bijwerken in de database." });
+      }
+      car = data;
     }
 
-    // 3) Alle bookings voor deze org
-    const { data: bookingsData, error: bookingsError } = await supabase
-      .from("bookings")
-      .select("*")
-      .eq("org_id", orgIdNum);
+    if (status === "ok") {
+      // Lopende periodes nu laten eindigen; ze blijven in de geschiedenis staan
+      const now = new Date();
+      const { error: unavailErr, windows } = await loadUnavailability([id], now, new Date(now.getTime() + 1));
+      if (unavailErr) {
+        console.error("DB fout onbeschikbaarheid status ok PATCH /api/cars/:id:", unavailErr);
+        return res.status(500).json({ error: "Kon status niet bijwerken in de database." });
+      }
+      for (const w of windows[id] || []) {
+        const { error } = await db
+          .from("car_unavailability")
+          .update({ end: now.toISOString() })
+          .eq("id", w.id);
+        if (error) {
+          console.error("DB fout status ok PATCH /api/cars/:id:", error);
+          return res.status(500).json({ error: "Kon status niet bijwerken in de database." });
+        }
+      }
+    } else if (newWindow) {
+      const { data: window, error } = await db
+        .from("car_unavailability")
+        .insert([{ ...newWindow, car_id: id, created_by: req.user.userId || null }])
+        .select()
+        .single();
+      if (error) {
+        console.error("DB fout INSERT car_unavailability:", error);
+        return res.status(500).json({ error: "Kon status niet bijwerken in de database." });
+      }
 
-    if (bookingsError) {
-      console.error("Supabase fout (bookings) /api/cars/availability:", bookingsError);
-      return res.status(500).json({ error: "Kon reserveringen niet ophalen." });
+      const handled = await handleAffectedBookings(car, window, { reassign: reassign === true, notify: notify !== false });
+      if (handled.error) {
+        console.error("DB fout getroffen reserveringen PATCH /api/cars/:id:", handled.error);
+        return res.status(500).json({ error: "Status is opgeslagen, maar getroffen reserveringen konden niet worden verwerkt." });
+      }
+      return res.json({ ...(await carResponse(car, req.user.orgId)), affectedBookings: handled.affected });
     }
 
-    const cars = carsData || [];
-    const extraCars = extraCarsData || [];
-    const bookings = bookingsData || [];
-
-    const result = [];
+    res.json(await carResponse(car, req.user.orgId));
+  } catch (err) {
+    console.error("Serverfout PATCH /api/cars/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
 
-    // Poolauto availability (incl. garage-periode)
-    cars.forEach((car) => {
-      const status = car.status || "ok";
+// Auto verwijderen (admin only). Alleen als er nooit op gereden is;
+// met toekomstige reserveringen of rithistorie → 409 (archiveer de auto dan).
+app.delete("/api/cars/:id", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const id = Number(req.params.id);
 
-      let isGarageForThisRequest = false;
-      if (status === "garage") {
-        if (car.unavailable_from && car.unavailable_until) {
-          isGarageForThisRequest = isOverlap(
-            startDate,
-            endDate,
-            new Date(car.unavailable_from),
-            new Date(car.unavailable_until)
-          );
-        } else {
-          isGarageForThisRequest = true;
-        }
-      }
+  try {
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
 
-      const conflict = bookings.some((b) => {
-        if (b.car_id !== car.id) return false;
-        return isOverlap(startDate, endDate, new Date(b.start), new Date(b.end));
+    const { error: futureErr, bookings } = await findFutureBookings("bookings", "car_id", id, "end");
+    if (futureErr) {
+      console.error("DB fout toekomstige bookings DELETE /api/cars/:id:", futureErr);
+      return res.status(500).json({ error: "Kon reserveringen niet controleren." });
+    }
+    if (bookings.length > 0) {
+      return res.status(409).json({
+        error: `Deze auto heeft nog ${bookings.length} toekomstige reservering(en). Verplaats of annuleer die eerst.`,
+        bookings: bookings.map(normalizeBooking),
       });
+    }
 
-      result.push({
-        type: "pool",
-        id: car.id,
-        name: car.name,
-        license: car.license,
-        status,
-        unavailableFrom: car.unavailable_from,
-        unavailableUntil: car.unavailable_until,
-        available: !isGarageForThisRequest && !conflict,
-      });
-    });
+    const { count: historyCount, error: historyErr } = await db
+      .from("bookings")
+      .select("id", { count: "exact", head: true })
+      .eq("car_id", id);
 
-    // Extra cars availability
-    extraCars.forEach((c) => {
-      const conflict = bookings.some((b) => {
-        if (b.extra_car_id !== c.id) return false;
-        return isOverlap(startDate, endDate, new Date(b.start), new Date(b.end));
+    if (historyErr) {
+      console.error("DB fout rithistorie DELETE /api/cars/:id:", historyErr);
+      return res.status(500).json({ error: "Kon rithistorie niet controleren." });
+    }
+    if (historyCount > 0) {
+      return res.status(409).json({
+        error: "Deze auto heeft eerdere ritten. Archiveer de auto in plaats van hem te verwijderen.",
       });
+    }
 
-      result.push({
-        type: "extra",
-        id: c.id,
-        name: c.name || "Extra auto",
-        license: c.license,
-        status: "ok",
-        unavailableFrom: null,
-        unavailableUntil: null,
-        available: !conflict,
-      });
-    });
+    const { error } = await db.from("cars").delete().eq("id", id);
 
-    res.json(result);
+    if (error) {
+      console.error("DB fout DELETE /api/cars/:id:", error);
+      return res.status(500).json({ error: "Kon auto niet verwijderen." });
+    }
+
+    // In Supabase ruimt on delete cascade dit al op; de lokale database doet dat niet
+    const { error: unavailErr } = await db.from("car_unavailability").delete().eq("car_id", id);
+    if (unavailErr) console.error("DB fout onbeschikbaarheid opruimen DELETE /api/cars/:id:", unavailErr);
+
+    res.json({ success: true });
   } catch (err) {
-    console.error("Serverfout /api/cars/availability:", err);
+    console.error("Serverfout DELETE /api/cars/:id:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
 //
-// ---------- BOOKINGS (Supabase) ----------
+// ---------- E-MAIL NOTIFICATIES ----------
 //
 
-// Alle bookings (gefilterd op org + optioneel datum)
-app.get("/api/bookings", async (req, res) => {
-  const { date, orgId } = req.query;
+// Herinnering zoveel minuten vóór het begin van een reservering (0 = geen herinneringen)
+const REMINDER_MINUTES = Number(process.env.REMINDER_MINUTES ?? 60);
+const REMINDER_CHECK_MS = 60 * 1000;
 
-  if (!orgId) {
-    return res.status(400).json({ error: "orgId is verplicht" });
+// Helper: mail versturen zonder dat een mailfout de request laat mislukken.
+// Geeft true terug als het transport de mail heeft aangenomen.
+async function sendMail(message) {
+  if (!message.to) return false;
+  try {
+    await mailer.send(message);
+    return true;
+  } catch (err) {
+    console.error("Mailfout:", err);
+    return false;
   }
+}
 
-  const orgIdNum = Number(orgId);
-
-  try {
-    let query = supabase
-      .from("bookings")
-      .select("*")
-      .eq("org_id", orgIdNum)
-      .order("start", { ascending: true });
+// Helper: e-mailadressen van gebruikers → { userId: email }
+async function loadUserEmails(userIds) {
+  const ids = [...new Set(userIds.filter(Boolean))];
+  if (!ids.length) return {};
 
-    if (date) {
-      query = query.gte("start", dayStartIso(date)).lt("start", dayEndIso(date));
-    }
+  const { data, error } = await db.from("users").select("id, email").in("id", ids);
+  if (error) {
+    console.error("DB fout (users) e-mailadressen:", error);
+    return {};
+  }
 
-    const { data, error } = await query;
+  const emails = {};
+  (data || []).forEach((u) => {
+    emails[u.id] = u.email;
+  });
+  return emails;
+}
 
-    if (error) {
-      console.error("Supabase fout GET /api/bookings:", error);
-      return res.status(500).json({ error: "Kon reserveringen niet ophalen." });
-    }
+function carLabel(car) {
+  return car.license ? `${car.name || "Extra auto"} (${car.license})` : car.name || "auto";
+}
 
-    // ✅ DIT FIXT JOUW “car undefined”:
-    // snake_case → camelCase
-    const normalized = (data || []).map((b) => ({
-      id: b.id,
-      orgId: b.org_id,
-      carId: b.car_id,
-      extraCarId: b.extra_car_id,
-      userId: b.user_id,  // Voor ownership check in frontend
-      userName: b.user_name,
-      start: b.start,
-      end: b.end,
-      note: b.note,
-    }));
+// Helper: omschrijvingen van de auto's van bookings → { "car:1": "...", "extra:3": "..." }
+async function loadCarLabels(bookings) {
+  const labels = {};
+  const carIds = [...new Set(bookings.map((b) => b.car_id).filter(Boolean))];
+  const extraIds = [...new Set(bookings.map((b) => b.extra_car_id).filter(Boolean))];
 
-    res.json(normalized);
-  } catch (err) {
-    console.error("Serverfout GET /api/bookings:", err);
-    res.status(500).json({ error: "Interne serverfout." });
+  if (carIds.length) {
+    const { data } = await db.from("cars").select("id, name, license").in("id", carIds);
+    (data || []).forEach((c) => {
+      labels[`car:${c.id}`] = carLabel(c);
+    });
   }
-});
-
-// Nieuwe booking (poolauto óf extra-auto)
-app.post("/api/bookings", async (req, res) => {
-  const { userName, start, end, note, orgId, carId, extraCarId } = req.body;
+  if (extraIds.length) {
+    const { data } = await db.from("extra_cars").select("id, name, license").in("id", extraIds);
+    (data || []).forEach((c) => {
+      labels[`extra:${c.id}`] = carLabel(c);
+    });
+  }
+  return labels;
+}
 
-  if (!orgId) return res.status(400).json({ error: "orgId is verplicht" });
-  if (!userName || !start || !end) {
-    return res.status(400).json({ error: "userName, start en end zijn verplicht" });
+// Helper: namen van de ruimtes van vergaderreserveringen → { "room:1": "Vergaderruimte A" }
+async function loadRoomLabels(meetingBookings) {
+  const labels = {};
+  const roomIds = [...new Set(meetingBookings.map((b) => b.room_id).filter(Boolean))];
+  if (roomIds.length) {
+    const { data } = await db.from("meeting_rooms").select("id, name").in("id", roomIds);
+    (data || []).forEach((r) => {
+      labels[`room:${r.id}`] = r.name;
+    });
   }
+  return labels;
+}
 
-  // Haal user uit token als aanwezig (voor user_id koppeling)
-  const tokenUser = getUserFromToken(req);
-  const userId = tokenUser ? tokenUser.userId : null;
+// Helper: booking-rij → item voor lib/mail-templates
+function carMailItem(b, labels, count = 1) {
+  const key = b.car_id ? `car:${b.car_id}` : `extra:${b.extra_car_id}`;
+  return { kind: "car", what: labels[key] || "auto", title: null, userName: b.user_name, start: b.start, end: b.end, count };
+}
 
-  const orgIdNum = Number(orgId);
-  const startDate = new Date(start);
-  const endDate = new Date(end);
+// Helper: meeting_bookings-rij → item voor lib/mail-templates
+function roomMailItem(b, labels, count = 1) {
+  return {
+    kind: "room",
+    what: labels[`room:${b.room_id}`] || "vergaderruimte",
+    title: b.title || null,
+    userName: b.organizer,
+    start: b.start_time,
+    end: b.end_time,
+    count,
+  };
+}
 
-  if (endDate <= startDate) {
-    return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+// Helper: mail aan de boekers van reserveringen, één mail per boeker (een reeks telt als één).
+// kind = "car" (bookings) of "room" (meeting_bookings); template(item, toItem) → { subject, text }.
+// Opties: skipUserId (wie het zelf deed krijgt geen mail), related (extra rijen voor toItem, bijv.
+// de reservering vóór een wijziging).
+async function notifyBookers(kind, rows, template, options = {}) {
+  const { skipUserId = null, related = [] } = options;
+
+  const byUser = {};
+  rows.forEach((row) => {
+    if (!row.user_id || row.user_id === skipUserId) return;
+    (byUser[row.user_id] = byUser[row.user_id] || []).push(row);
+  });
+  const userIds = Object.keys(byUser).map(Number);
+  if (!userIds.length) return;
+
+  const emails = await loadUserEmails(userIds);
+  const labels = kind === "room"
+    ? await loadRoomLabels([...rows, ...related])
+    : await loadCarLabels([...rows, ...related]);
+  const toItem = (row, count) => (kind === "room" ? roomMailItem : carMailItem)(row, labels, count);
+  const startColumn = kind === "room" ? "start_time" : "start";
+
+  for (const userId of userIds) {
+    if (!emails[userId]) continue;
+    const own = byUser[userId].sort((a, b) => new Date(a[startColumn]) - new Date(b[startColumn]));
+    await sendMail({ to: emails[userId], ...template(toItem(own[0], own.length), toItem) });
   }
+}
 
-  const hasPoolCar =
-    carId !== null && carId !== undefined && String(carId).trim() !== "";
-  const hasExtraCar =
-    extraCarId !== null && extraCarId !== undefined && String(extraCarId).trim() !== "";
+// Helper: verzoek om goedkeuring aan iedereen die in de org van de reserveringen (de org van
+// de auto of ruimte) aanvragen van deze soort mag afhandelen, behalve aan de boeker zelf
+async function notifyApprovers(kind, rows) {
+  const { data, error } = await db
+    .from("users")
+    .select("id, email, role")
+    .eq("org_id", rows[0].org_id)
+    .is("deactivated_at", null);
+  if (error) {
+    console.error("DB fout (users) goedkeurders:", error);
+    return;
+  }
 
-  if (!hasPoolCar && !hasExtraCar) {
-    return res.status(400).json({ error: "carId of extraCarId is verplicht" });
+  const approvers = (data || []).filter((u) => hasPermission(u.role, kindPermission(kind, "approve")) && u.id !== rows[0].user_id);
+  if (!approvers.length) return;
+
+  const labels = kind === "room" ? await loadRoomLabels(rows) : await loadCarLabels(rows);
+  const startColumn = kind === "room" ? "start_time" : "start";
+  const first = [...rows].sort((a, b) => new Date(a[startColumn]) - new Date(b[startColumn]))[0];
+  const item = (kind === "room" ? roomMailItem : carMailItem)(first, labels, rows.length);
+
+  for (const approver of approvers) {
+    await sendMail({ to: approver.email, ...mailTemplates.approvalRequested(item) });
   }
-  if (hasPoolCar && hasExtraCar) {
-    return res.status(400).json({ error: "Gebruik óf carId óf extraCarId (niet allebei)" });
+}
+
+// Helper: mails na het aanmaken van reserveringen. Wachten ze op goedkeuring, dan krijgt de
+// boeker een ontvangstbevestiging en de goedkeurders een verzoek; anders een bevestiging.
+async function notifyNewBookings(kind, rows) {
+  if (!rows.length) return;
+  if (rows[0].status !== "pending") {
+    await notifyBookers(kind, rows, mailTemplates.bookingConfirmed);
+    return;
   }
+  await notifyBookers(kind, rows, mailTemplates.bookingPending);
+  await notifyApprovers(kind, rows);
+}
 
-  try {
-    // -----------------------------
-    // CASE 1: POOLAUTO
-    // -----------------------------
-    if (hasPoolCar) {
-      const carIdNum = Number(carId);
+// Helper: mails versturen zonder dat de request erop wacht
+function notifyInBackground(task) {
+  task().catch((err) => console.error("Mailfout:", err));
+}
 
-      // Check of auto bestaat en status / periode dit tijdvak blokkeren
-      const { data: carData, error: carError } = await supabase
-        .from("cars")
-        .select("id, status, unavailable_from, unavailable_until")
-        .eq("id", carIdNum)
-        .single();
+// Herinneringen: reserveringen die binnen REMINDER_MINUTES beginnen en nog geen herinnering
+// hebben gehad. reminder_sent_at wordt vóór het versturen gezet, zodat een trage mailserver
+// niet tot dubbele herinneringen leidt.
+let reminderRunning = false;
+async function sendDueReminders() {
+  if (reminderRunning) return;
+  reminderRunning = true;
 
-      if (carError || !carData) {
-        console.error("Supabase fout auto-check /api/bookings:", carError);
-        return res.status(400).json({ error: "Onbekende auto." });
-      }
+  try {
+    const now = new Date();
+    const until = new Date(now.getTime() + REMINDER_MINUTES * 60 * 1000);
+
+    for (const [kind, table, startColumn] of [["car", "bookings", "start"], ["room", "meeting_bookings", "start_time"]]) {
+      const { data, error } = await db
+        .from(table)
+        .select("*")
+        .is("reminder_sent_at", null)
+        .not("status", "eq", "pending")
+        .gt(startColumn, now.toISOString())
+        .lte(startColumn, until.toISOString());
 
-      const status = carData.status || "ok";
-      let isGarageForThisRequest = false;
-
-      if (status === "garage") {
-        if (carData.unavailable_from && carData.unavailable_until) {
-          isGarageForThisRequest = isOverlap(
-            startDate,
-            endDate,
-            new Date(carData.unavailable_from),
-            new Date(carData.unavailable_until)
-          );
-        } else {
-          isGarageForThisRequest = true;
-        }
+      if (error) {
+        console.error(`DB fout herinneringen (${table}):`, error);
+        continue;
       }
 
-      if (isGarageForThisRequest) {
-        return res.status(409).json({
-          error: "Deze auto staat in deze periode op 'garage / niet beschikbaar'.",
-        });
-      }
+      const due = (data || []).filter((b) => b.user_id);
+      if (!due.length) continue;
 
-      // Overlap check poolauto
-      const { data: overlapping, error: overlapErr } = await supabase
-        .from("bookings")
-        .select("id")
-        .eq("org_id", orgIdNum)
-        .eq("car_id", carIdNum)
-        .lt("start", endDate.toISOString())
-        .gt("end", startDate.toISOString());
+      const { error: markErr } = await db
+        .from(table)
+        .update({ reminder_sent_at: now.toISOString() })
+        .in("id", due.map((b) => b.id));
 
-      if (overlapErr) {
-        console.error("Supabase fout overlap-check poolauto:", overlapErr);
-        return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+      if (markErr) {
+        console.error(`DB fout herinneringen markeren (${table}):`, markErr);
+        continue;
       }
 
-      if (overlapping && overlapping.length > 0) {
-        return res.status(409).json({ error: "Deze auto is in deze periode al geboekt." });
+      for (const booking of due) {
+        await notifyBookers(kind, [booking], mailTemplates.bookingReminder);
       }
+    }
+  } catch (err) {
+    console.error("Fout bij versturen herinneringen:", err);
+  } finally {
+    reminderRunning = false;
+  }
+}
 
-      const insertPayload = {
-        org_id: orgIdNum,
-        car_id: carIdNum,
-        extra_car_id: null,
-        user_id: userId,  // Koppel aan user als ingelogd, anders null
-        user_name: userName,
-        start: startDate.toISOString(),
-        end: endDate.toISOString(),
-        note: note || "",
-      };
+//
+// ---------- GETROFFEN RESERVERINGEN BIJ ONBESCHIKBAARHEID ----------
+//
 
-      const { data, error } = await supabase
-        .from("bookings")
-        .insert([insertPayload])
-        .select()
-        .single();
+// Helper: reserveringen van een auto die in een onbeschikbaarheidsperiode vallen en nog
+// niet voorbij zijn. Met `previous` (de periode vóór een wijziging) alleen de reserveringen
+// die er door de wijziging bij komen.
+async function findAffectedBookings(carId, window, previous) {
+  const now = new Date();
+  const windowStart = new Date(window.start);
+  const from = windowStart > now ? windowStart : now;
+
+  let query = db
+    .from("bookings")
+    .select("*")
+    .eq("car_id", carId)
+    .gt("end", from.toISOString())
+    .order("start", { ascending: true });
+  if (window.end) query = query.lt("start", window.end);
+
+  const { data, error } = await query;
+  if (error) return { error, bookings: [] };
+
+  const bookings = (data || []).filter(
+    (b) => !previous || !findBlockingWindow([previous], new Date(b.start), new Date(b.end))
+  );
+  return { bookings };
+}
 
-      if (error) {
-        console.error("Supabase fout INSERT /api/bookings (poolauto):", error);
-        return res.status(500).json({ error: "Kon reservering niet opslaan." });
-      }
+// Helper: zet elke reservering op een andere vrije poolauto van hetzelfde wagenpark.
+// Geeft { error } of { results: [{ booking, replacement }] } terug (replacement = null
+// als er in dat tijdvak geen auto vrij was).
+async function reassignBookings(car, bookings) {
+  const { data: candidates, error } = await db
+    .from("cars")
+    .select("*")
+    .eq("org_id", car.org_id)
+    .is("archived_at", null)
+    .neq("id", car.id)
+    .order("id", { ascending: true });
+  if (error) return { error };
+
+  // Al opgehaalde auto's blijven bij hun rit
+  const { error: tripErr, trips } = await loadTripsByBooking(bookings.map((b) => b.id));
+  if (tripErr) return { error: tripErr };
+
+  // Net als bij pickBestCar: niet omboeken naar een auto waarvoor goedkeuring nodig is
+  const eligible = (candidates || []).filter((c) => !c.requires_approval);
+  const ids = eligible.map((c) => c.id);
+  const results = [];
+
+  for (const booking of bookings) {
+    const startDate = new Date(booking.start);
+    const endDate = new Date(booking.end);
+    let replacement = null;
+
+    if (ids.length && !trips[booking.id]) {
+      // Na elke omboeking opnieuw kijken, anders krijgen twee ritten dezelfde auto
+      const { data: busy, error: busyErr } = await db
+        .from("bookings")
+        .select("car_id")
+        .in("car_id", ids)
+        .lt("start", booking.end)
+        .gt("end", booking.start);
+      if (busyErr) return { error: busyErr };
+
+      const { error: unavailErr, windows } = await loadUnavailability(ids, startDate, endDate);
+      if (unavailErr) return { error: unavailErr };
+
+      const busyIds = new Set((busy || []).map((b) => b.car_id));
+      replacement = eligible.find(
+        (c) => !busyIds.has(c.id) && !findBlockingWindow(windows[c.id], startDate, endDate)
+      ) || null;
+    }
 
-      // ✅ camelCase response
-      return res.status(201).json({
-        id: data.id,
-        orgId: data.org_id,
-        carId: data.car_id,
-        extraCarId: data.extra_car_id,
-        userName: data.user_name,
-        start: data.start,
-        end: data.end,
-        note: data.note,
-      });
+    if (replacement) {
+      const { error: updateErr } = await db
+        .from("bookings")
+        .update({ car_id: replacement.id, sequence: (booking.sequence || 0) + 1 })
+        .eq("id", booking.id);
+      // Net door een ander geboekt: dan geen vervangende auto
+      if (isOverlapViolation(updateErr)) replacement = null;
+      else if (updateErr) return { error: updateErr };
     }
 
-    // -----------------------------
-    // CASE 2: EXTRA AUTO
-    // -----------------------------
-    const extraIdNum = Number(extraCarId);
-    const startDay = isoDay(startDate);
+    results.push({ booking, replacement });
+  }
 
-    const { data: extraData, error: extraErr } = await supabase
-      .from("extra_cars")
-      .select("id, org_id, license, name, date")
-      .eq("id", extraIdNum)
-      .eq("org_id", orgIdNum)
-      .eq("date", startDay)
-      .single();
+  return { results };
+}
 
-    if (extraErr || !extraData) {
-      console.error("Supabase fout extra-car check:", extraErr);
-      return res
-        .status(400)
-        .json({ error: "Extra auto niet gevonden (of niet beschikbaar vandaag)." });
-    }
+// Helper: getroffen reserveringen afhandelen na een nieuwe of gewijzigde periode.
+// Opties: previous (periode vóór de wijziging), reassign (omboeken naar een vrije auto),
+// notify (boekers mailen), notifyUnresolved (ook mailen als er niet omgeboekt is).
+// Geeft { error } of { affected } terug; affected gaat mee in de response naar de admin.
+async function handleAffectedBookings(car, window, options = {}) {
+  const { previous = null, reassign = false, notify = true, notifyUnresolved = true } = options;
+
+  const found = await findAffectedBookings(car.id, window, previous);
+  if (found.error) return { error: found.error };
+
+  let results = found.bookings.map((booking) => ({ booking, replacement: null }));
+  if (reassign && results.length) {
+    const reassigned = await reassignBookings(car, found.bookings);
+    if (reassigned.error) return { error: reassigned.error };
+    results = reassigned.results;
+  }
 
-    // Overlap check extra auto
-    const { data: overlappingExtra, error: overlapExtraErr } = await supabase
-      .from("bookings")
+  const emails = notify ? await loadUserEmails(results.map((r) => r.booking.user_id)) : {};
+  const affected = [];
+
+  const reasonLabel = UNAVAILABILITY_REASONS[window.reason] || window.reason;
+
+  for (const { booking, replacement } of results) {
+    const to = emails[booking.user_id];
+    const shouldNotify = notify && to && (replacement || notifyUnresolved);
+    const item = carMailItem(booking, { [`car:${car.id}`]: carLabel(car) });
+    const notified = shouldNotify
+      ? await sendMail({ to, ...mailTemplates.carUnavailable(item, reasonLabel, window.note, replacement) })
+      : false;
+
+    affected.push({
+      ...normalizeBooking(replacement ? { ...booking, car_id: replacement.id } : booking),
+      reassignedTo: replacement
+        ? { id: replacement.id, name: replacement.name, license: replacement.license }
+        : null,
+      notified,
+    });
+  }
+
+  return { affected };
+}
+
+//
+// ---------- ONBESCHIKBAARHEID VAN AUTO'S ----------
+//
+
+// Lopende en komende periodes van een auto; ?history=true geeft ook de afgelopen periodes
+app.get("/api/cars/:id/unavailability", requireAuth, orgScope("cars"), async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    const { data: car } = await db
+      .from("cars")
       .select("id")
-      .eq("org_id", orgIdNum)
-      .eq("extra_car_id", extraIdNum)
-      .lt("start", endDate.toISOString())
-      .gt("end", startDate.toISOString());
+      .eq("id", id)
+      .eq("org_id", req.orgId)
+      .maybeSingle();
 
-    if (overlapExtraErr) {
-      console.error("Supabase fout overlap-check extra auto:", overlapExtraErr);
-      return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
-    }
+    if (!car) return res.status(404).json({ error: "Auto niet gevonden." });
 
-    if (overlappingExtra && overlappingExtra.length > 0) {
-      return res.status(409).json({ error: "Deze extra auto is in deze periode al geboekt." });
+    const history = req.query.history === "true";
+    const { error, windows } = await loadUnavailability([id], history ? null : new Date(), null);
+    if (error) {
+      console.error("DB fout GET /api/cars/:id/unavailability:", error);
+      return res.status(500).json({ error: "Kon periodes niet ophalen." });
     }
 
-    const insertPayloadExtra = {
-      org_id: orgIdNum,
-      car_id: null,
-      extra_car_id: extraIdNum,
-      user_id: userId,  // Koppel aan user als ingelogd, anders null
-      user_name: userName,
-      start: startDate.toISOString(),
-      end: endDate.toISOString(),
-      note: note || "",
-    };
+    const list = (windows[id] || []).map(normalizeUnavailability);
+    // Geschiedenis: nieuwste eerst
+    res.json(history ? list.reverse() : list);
+  } catch (err) {
+    console.error("Serverfout GET /api/cars/:id/unavailability:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
 
-    const { data: inserted, error: insErr } = await supabase
-      .from("bookings")
-      .insert([insertPayloadExtra])
+// Nieuwe periode (admin only) { reason, note?, from?, until?, reassign?, notify? }; zonder until = tot nader order.
+// Response bevat affectedBookings: reserveringen in de periode (eventueel omgeboekt via reassign: true).
+app.post("/api/cars/:id/unavailability", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+
+  const parsed = parseUnavailabilityFields(req.body, false);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    const { data, error } = await db
+      .from("car_unavailability")
+      .insert([{ ...parsed.values, car_id: id, created_by: req.user.userId || null }])
       .select()
       .single();
 
-    if (insErr) {
-      console.error("Supabase fout INSERT /api/bookings (extra):", insErr);
-      return res.status(500).json({ error: "Kon reservering niet opslaan." });
+    if (error) {
+      console.error("DB fout POST /api/cars/:id/unavailability:", error);
+      return res.status(500).json({ error: "Kon periode niet opslaan." });
     }
 
-    // ✅ camelCase response
-    return res.status(201).json({
-      id: inserted.id,
-      orgId: inserted.org_id,
-      carId: inserted.car_id,
-      extraCarId: inserted.extra_car_id,
-      userName: inserted.user_name,
-      start: inserted.start,
-      end: inserted.end,
-      note: inserted.note,
+    const handled = await handleAffectedBookings(found.car, data, {
+      reassign: req.body.reassign === true,
+      notify: req.body.notify !== false,
     });
+    if (handled.error) {
+      console.error("DB fout getroffen reserveringen POST /api/cars/:id/unavailability:", handled.error);
+      return res.status(500).json({ error: "Periode is opgeslagen, maar getroffen reserveringen konden niet worden verwerkt." });
+    }
+
+    res.status(201).json({ ...normalizeUnavailability(data), affectedBookings: handled.affected });
   } catch (err) {
-    console.error("Serverfout POST /api/bookings:", err);
+    console.error("Serverfout POST /api/cars/:id/unavailability:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// Reservering verwijderen (met ownership check)
-app.delete("/api/bookings/:id", async (req, res) => {
+// Periode aanpassen (admin only): reason, note, from en/of until (null = tot nader order).
+// Reserveringen die er door de wijziging bij komen, komen terug als affectedBookings.
+app.patch("/api/cars/:id/unavailability/:windowId", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
   const id = Number(req.params.id);
-  const tokenUser = getUserFromToken(req);
+  const windowId = Number(req.params.windowId);
 
-  try {
-    // Eerst de booking ophalen om ownership te checken
-    const { data: booking, error: fetchError } = await supabase
-      .from("bookings")
-      .select("id, user_id, org_id")
-      .eq("id", id)
-      .single();
+  const parsed = parseUnavailabilityFields(req.body, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  if (Object.keys(parsed.values).length === 0) {
+    return res.status(400).json({ error: "Niets om bij te werken." });
+  }
 
-    if (fetchError || !booking) {
-      return res.status(404).json({ error: "Reservering niet gevonden" });
-    }
+  try {
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
 
-    // Authenticatie verplicht
-    if (!tokenUser) {
-      return res.status(401).json({ error: "Je moet ingelogd zijn om te verwijderen" });
-    }
+    const { data: existing } = await db
+      .from("car_unavailability")
+      .select("*")
+      .eq("id", windowId)
+      .eq("car_id", id)
+      .maybeSingle();
 
-    const isOwner = booking.user_id === tokenUser.userId;
-    const isAdmin = tokenUser.role === "admin";
-    const isLegacy = booking.user_id === null;
+    if (!existing) return res.status(404).json({ error: "Periode niet gevonden." });
 
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({
-        error: "Je kunt alleen je eigen reserveringen verwijderen"
-      });
-    }
-    if (isLegacy && !isAdmin) {
-      return res.status(403).json({
-        error: "Oude reserveringen kunnen alleen door admins verwijderd worden"
-      });
+    const start = parsed.values.start || existing.start;
+    const end = parsed.values.end !== undefined ? parsed.values.end : existing.end;
+    if (end && new Date(end) <= new Date(start)) {
+      return res.status(400).json({ error: "Einddatum moet na begindatum liggen" });
     }
 
-    const { data, error } = await supabase
-      .from("bookings")
-      .delete()
-      .eq("id", id)
+    const { data, error } = await db
+      .from("car_unavailability")
+      .update(parsed.values)
+      .eq("id", windowId)
       .select()
       .single();
 
     if (error) {
-      console.error("Supabase fout DELETE /api/bookings/:id:", error);
-      return res.status(500).json({ error: "Kon reservering niet verwijderen." });
+      console.error("DB fout PATCH /api/cars/:id/unavailability/:windowId:", error);
+      return res.status(500).json({ error: "Kon periode niet bijwerken." });
+    }
+
+    const handled = await handleAffectedBookings(found.car, data, {
+      previous: existing,
+      reassign: req.body.reassign === true,
+      notify: req.body.notify !== false,
+    });
+    if (handled.error) {
+      console.error("DB fout getroffen reserveringen PATCH /api/cars/:id/unavailability/:windowId:", handled.error);
+      return res.status(500).json({ error: "Periode is bijgewerkt, maar getroffen reserveringen konden niet worden verwerkt." });
     }
 
-    res.json({ success: true, deleted: data });
+    res.json({ ...normalizeUnavailability(data), affectedBookings: handled.affected });
   } catch (err) {
-    console.error("Serverfout DELETE /api/bookings/:id:", err);
+    console.error("Serverfout PATCH /api/cars/:id/unavailability/:windowId:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// Voeg deze code toe VOOR de "START SERVER" regel in je server.js
+// Reserveringen in een periode omboeken naar een vrije auto van hetzelfde wagenpark (admin only).
+// Alleen boekers van wie de reservering is omgezet krijgen een mail (tenzij notify: false);
+// reserveringen waarvoor geen auto vrij was komen terug met reassignedTo: null.
+app.post("/api/cars/:id/unavailability/:windowId/reassign", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  const windowId = Number(req.params.windowId);
+  const { notify } = req.body || {};
 
-//
-// ---------- MEETING ROOMS (Supabase) ----------
-//
+  try {
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
 
-// GET alle vergaderruimtes voor een organisatie
-app.get("/api/meeting-rooms", async (req, res) => {
-  const { orgId } = req.query;
+    const { data: window } = await db
+      .from("car_unavailability")
+      .select("*")
+      .eq("id", windowId)
+      .eq("car_id", id)
+      .maybeSingle();
+
+    if (!window) return res.status(404).json({ error: "Periode niet gevonden." });
+
+    const handled = await handleAffectedBookings(found.car, window, {
+      reassign: true,
+      notify: notify !== false,
+      notifyUnresolved: false,
+    });
+    if (handled.error) {
+      console.error("DB fout POST /api/cars/:id/unavailability/:windowId/reassign:", handled.error);
+      return res.status(500).json({ error: "Kon reserveringen niet omboeken." });
+    }
 
-  if (!orgId) {
-    return res.status(400).json({ error: "orgId is verplicht" });
+    res.json({ affectedBookings: handled.affected });
+  } catch (err) {
+    console.error("Serverfout POST /api/cars/:id/unavailability/:windowId/reassign:", err);
+    res.status(500).json({ error: "Interne serverfout." });
   }
+});
 
-  const orgIdNum = Number(orgId);
+// Periode verwijderen (admin only). Een periode die al begonnen is wordt nu beëindigd
+// en blijft in de geschiedenis; een toekomstige periode wordt echt verwijderd.
+app.delete("/api/cars/:id/unavailability/:windowId", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  const windowId = Number(req.params.windowId);
 
   try {
-    const { data, error } = await supabase
-      .from("meeting_rooms")
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    const { data: existing } = await db
+      .from("car_unavailability")
       .select("*")
-      .eq("org_id", orgIdNum)
-      .order("id", { ascending: true });
+      .eq("id", windowId)
+      .eq("car_id", id)
+      .maybeSingle();
+
+    if (!existing) return res.status(404).json({ error: "Periode niet gevonden." });
+
+    const now = new Date();
+    if (new Date(existing.start) > now) {
+      const { error } = await db.from("car_unavailability").delete().eq("id", windowId);
+      if (error) {
+        console.error("DB fout DELETE /api/cars/:id/unavailability/:windowId:", error);
+        return res.status(500).json({ error: "Kon periode niet verwijderen." });
+      }
+      return res.json({ success: true, deleted: true });
+    }
+
+    if (existing.end && new Date(existing.end) <= now) {
+      return res.status(400).json({ error: "Deze periode is al voorbij en hoort bij de geschiedenis." });
+    }
+
+    const { data, error } = await db
+      .from("car_unavailability")
+      .update({ end: now.toISOString() })
+      .eq("id", windowId)
+      .select()
+      .single();
 
     if (error) {
-      console.error("Supabase fout GET /api/meeting-rooms:", error);
-      return res.status(500).json({ error: "Kon vergaderruimtes niet ophalen." });
+      console.error("DB fout DELETE /api/cars/:id/unavailability/:windowId:", error);
+      return res.status(500).json({ error: "Kon periode niet beëindigen." });
     }
 
-    // camelCase response
-    res.json(
-      (data || []).map((r) => ({
-        id: r.id,
-        orgId: r.org_id,
-        name: r.name,
-        capacity: r.capacity,
-      }))
-    );
+    res.json({ success: true, deleted: false, ended: normalizeUnavailability(data) });
   } catch (err) {
-    console.error("Serverfout GET /api/meeting-rooms:", err);
+    console.error("Serverfout DELETE /api/cars/:id/unavailability/:windowId:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
 //
-// ---------- MEETING BOOKINGS (Supabase) ----------
+// ---------- AVAILABILITY (pool + extra) ----------
 //
 
-// GET alle vergaderreserveringen (gefilterd op org + optioneel datum)
-app.get("/api/meeting-bookings", async (req, res) => {
-  const { date, orgId } = req.query;
+// Helper: beschikbaarheid van alle poolauto's en extra auto's van de org voor [start, end).
+// Geeft { cars } (zelfde vorm als GET /api/cars/availability) of { status, error } terug;
+// DB-fouten zijn dan al gelogd onder `context`.
+async function loadCarAvailability(orgIdNum, startDate, endDate, context) {
+  const { firstDay, lastDay } = bookingDays(startDate, endDate);
 
-  if (!orgId) {
-    return res.status(400).json({ error: "orgId is verplicht" });
+  // 1) Poolauto's van het wagenpark
+  const { data: carsData, error: carsError } = await db
+    .from("cars")
+    .select("id, name, license, requires_approval")
+    .eq("org_id", orgIdNum)
+    .is("archived_at", null)
+    .order("id", { ascending: true });
+
+  if (carsError) {
+    console.error(`DB fout (cars) ${context}:`, carsError);
+    return { status: 500, error: "Kon auto's niet ophalen." };
   }
 
-  const orgIdNum = Number(orgId);
+  // 2) Extra auto's die ergens in de periode beschikbaar zijn
+  const { data: extraCarsData, error: extraErr } = await db
+    .from("extra_cars")
+    .select("id, org_id, license, name, available_from, available_to")
+    .eq("org_id", orgIdNum)
+    .lte("available_from", lastDay)
+    .gte("available_to", firstDay)
+    .order("id", { ascending: true });
+
+  if (extraErr) {
+    console.error(`DB fout (extra_cars) ${context}:`, extraErr);
+    return { status: 500, error: "Kon extra auto's niet ophalen." };
+  }
 
-  try {
-    let query = supabase
-      .from("meeting_bookings")
-      .select("*")
-      .eq("org_id", orgIdNum)
-      .order("start_time", { ascending: true });
+  // 3) Alleen bookings die het gevraagde tijdvak overlappen
+  const { data: bookingsData, error: bookingsError } = await db
+    .from("bookings")
+    .select("id, car_id, extra_car_id, start, end")
+    .eq("org_id", orgIdNum)
+    .lt("start", endDate.toISOString())
+    .gt("end", startDate.toISOString());
+
+  if (bookingsError) {
+    console.error(`DB fout (bookings) ${context}:`, bookingsError);
+    return { status: 500, error: "Kon reserveringen niet ophalen." };
+  }
 
-    if (date) {
-      query = query.gte("start_time", dayStartIso(date)).lt("start_time", dayEndIso(date));
+  const cars = carsData || [];
+  const extraCars = extraCarsData || [];
+  const bookings = bookingsData || [];
+
+  // 4) Onbeschikbaarheidsperiodes die dit tijdvak raken
+  const { windows, error: unavailErr } = await loadUnavailability(cars.map((c) => c.id), startDate, endDate);
+
+  if (unavailErr) {
+    console.error(`DB fout (car_unavailability) ${context}:`, unavailErr);
+    return { status: 500, error: "Kon beschikbaarheid van auto's niet ophalen." };
+  }
+
+  const result = [];
+
+  // Poolauto availability (incl. onbeschikbaarheid)
+  cars.forEach((car) => {
+    const blocking = findBlockingWindow(windows[car.id], startDate, endDate);
+
+    const conflict = bookings.some((b) => {
+      if (b.car_id !== car.id) return false;
+      return isOverlap(startDate, endDate, new Date(b.start), new Date(b.end));
+    });
+
+    result.push({
+      type: "pool",
+      id: car.id,
+      name: car.name,
+      license: car.license,
+      status: blocking ? blocking.reason : "ok",
+      statusLabel: blocking ? UNAVAILABILITY_REASONS[blocking.reason] || blocking.reason : null,
+      unavailableFrom: blocking ? blocking.start : null,
+      unavailableUntil: blocking ? blocking.end || null : null,
+      requiresApproval: Boolean(car.requires_approval),
+      available: !blocking && !conflict,
+    });
+  });
+
+  // Extra cars availability: alleen beschikbaar als de auto de hele periode er is
+  extraCars.forEach((c) => {
+    const conflict = bookings.some((b) => {
+      if (b.extra_car_id !== c.id) return false;
+      return isOverlap(startDate, endDate, new Date(b.start), new Date(b.end));
+    });
+    const covers = extraCarCovers(c, startDate, endDate);
+
+    result.push({
+      type: "extra",
+      id: c.id,
+      name: c.name || "Extra auto",
+      license: c.license,
+      status: covers ? "ok" : "partial",
+      statusLabel: covers ? null : "Niet de hele periode beschikbaar",
+      availableFrom: c.available_from,
+      availableTo: c.available_to,
+      unavailableFrom: null,
+      unavailableUntil: null,
+      requiresApproval: false,
+      available: covers && !conflict,
+    });
+  });
+
+  return { cars: result };
+}
+
+// GET /api/cars/availability?start=...&end=...
+app.get("/api/cars/availability", requireAuth, orgScope("cars"), async (req, res) => {
+  const { start, end } = req.query;
+
+  if (!start || !end) {
+    return res.status(400).json({ error: "start en end zijn verplicht" });
+  }
+
+  const orgIdNum = req.orgId;
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+    return res.status(400).json({ error: "Ongeldige start of end" });
+  }
+  if (endDate <= startDate) {
+    return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+  }
+
+  try {
+    const { cars, status, error } = await loadCarAvailability(orgIdNum, startDate, endDate, "/api/cars/availability");
+    if (error) return res.status(status).json({ error });
+
+    res.json(cars);
+  } catch (err) {
+    console.error("Serverfout /api/cars/availability:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- SUGGESTIES (alternatieven als een auto bezet is) ----------
+//
+
+// Zo ver zoeken we vooruit en terug naar een vrij moment met dezelfde auto
+const SUGGESTION_SEARCH_DAYS = 7;
+const SUGGESTION_SLOT_LIMIT = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: het dichtstbijzijnde vrije moment met dezelfde duur vóór en na [start, end),
+// gegeven de bezette intervallen van één auto en het zoekvenster { from, to }.
+// Geeft een lijst van 0–2 slots { start, end, shiftMinutes } terug (negatief = eerder).
+function nearestFreeSlots(busy, startDate, endDate, bounds) {
+  const duration = endDate - startDate;
+  const slots = [];
+
+  // Later: steeds schuiven tot na de booking die in de weg zit
+  let laterStart = startDate.getTime();
+  for (const b of [...busy].sort((x, y) => x.start - y.start)) {
+    if (b.start.getTime() < laterStart + duration && b.end.getTime() > laterStart) {
+      laterStart = b.end.getTime();
+    }
+  }
+  if (laterStart !== startDate.getTime() && laterStart + duration <= bounds.to.getTime()) {
+    slots.push({ start: new Date(laterStart), end: new Date(laterStart + duration) });
+  }
+
+  // Eerder: steeds schuiven tot vóór de booking die in de weg zit
+  let earlierEnd = endDate.getTime();
+  for (const b of [...busy].sort((x, y) => y.end - x.end)) {
+    if (b.start.getTime() < earlierEnd && b.end.getTime() > earlierEnd - duration) {
+      earlierEnd = b.start.getTime();
+    }
+  }
+  if (earlierEnd !== endDate.getTime() && earlierEnd - duration >= Math.max(bounds.from.getTime(), Date.now())) {
+    slots.push({ start: new Date(earlierEnd - duration), end: new Date(earlierEnd) });
+  }
+
+  return slots.map((slot) => ({
+    start: slot.start.toISOString(),
+    end: slot.end.toISOString(),
+    shiftMinutes: Math.round((slot.start - startDate) / 60000),
+  }));
+}
+
+// Helper: bezette intervallen (reserveringen + onbeschikbaarheid) per auto binnen het zoekvenster.
+// `targets` = [{ type: "pool" | "extra", id }]. Geeft { busy: { "pool:1": [...] } } of { error } terug.
+async function loadBusyIntervals(orgIdNum, targets, from, to) {
+  const poolIds = targets.filter((t) => t.type === "pool").map((t) => t.id);
+  const extraIds = targets.filter((t) => t.type === "extra").map((t) => t.id);
+  const busy = {};
+  targets.forEach((t) => {
+    busy[`${t.type}:${t.id}`] = [];
+  });
+
+  const { data: bookings, error } = await db
+    .from("bookings")
+    .select("id, car_id, extra_car_id, start, end")
+    .eq("org_id", orgIdNum)
+    .lt("start", to.toISOString())
+    .gt("end", from.toISOString());
+  if (error) return { error };
+
+  (bookings || []).forEach((b) => {
+    const key = b.car_id ? `pool:${b.car_id}` : `extra:${b.extra_car_id}`;
+    if (busy[key]) busy[key].push({ start: new Date(b.start), end: new Date(b.end) });
+  });
+
+  const { windows, error: unavailErr } = await loadUnavailability(poolIds, from, to);
+  if (unavailErr) return { error: unavailErr };
+  poolIds.forEach((id) => {
+    (windows[id] || []).forEach((w) => {
+      busy[`pool:${id}`].push({ start: new Date(w.start), end: w.end ? new Date(w.end) : OPEN_END });
+    });
+  });
+
+  // Een extra auto is buiten zijn beschikbare dagen ook "bezet"
+  if (extraIds.length) {
+    const { data: extraCars, error: extraErr } = await db
+      .from("extra_cars")
+      .select("id, available_from, available_to")
+      .in("id", extraIds);
+    if (extraErr) return { error: extraErr };
+    (extraCars || []).forEach((x) => {
+      const [fy, fm, fd] = x.available_from.split("-").map(Number);
+      const [ty, tm, td] = shiftDateKey(x.available_to, 1).split("-").map(Number);
+      busy[`extra:${x.id}`].push(
+        { start: new Date(0), end: fromZonedParts({ year: fy, month: fm, day: fd }) },
+        { start: fromZonedParts({ year: ty, month: tm, day: td }), end: OPEN_END }
+      );
+    });
+  }
+
+  return { busy };
+}
+
+// Helper: alternatieven voor een 409 bij POST /api/bookings.
+// `requested` = { type: "pool" | "extra", id } of null (bij "willekeurige auto").
+// Geeft { cars, slots } terug:
+//   cars  = andere auto's die in hetzelfde tijdvak vrij zijn (poolauto's eerst)
+//   slots = dichtstbijzijnde vrije momenten met dezelfde auto (of, zonder requested,
+//           met een willekeurige poolauto), dichtstbij eerst
+// Bij een DB fout: { error } (al gelogd).
+async function findAlternatives(orgIdNum, requested, startDate, endDate) {
+  const availability = await loadCarAvailability(orgIdNum, startDate, endDate, "alternatieven /api/bookings");
+  if (availability.error) return { error: availability.error };
+
+  const cars = availability.cars
+    .filter((c) => c.available && !(requested && c.type === requested.type && c.id === requested.id))
+    .map((c) => ({ type: c.type, id: c.id, name: c.name, license: c.license }));
+
+  const targets = requested ? [requested] : availability.cars.filter((c) => c.type === "pool");
+  const from = new Date(startDate.getTime() - SUGGESTION_SEARCH_DAYS * DAY_MS);
+  const to = new Date(endDate.getTime() + SUGGESTION_SEARCH_DAYS * DAY_MS);
+  const { busy, error } = await loadBusyIntervals(orgIdNum, targets, from, to);
+  if (error) {
+    console.error("DB fout (bezetting) alternatieven /api/bookings:", error);
+    return { error: "Kon alternatieven niet ophalen." };
+  }
+
+  const describe = (t) => availability.cars.find((c) => c.type === t.type && c.id === t.id) || {};
+  const slots = targets
+    .flatMap((t) =>
+      nearestFreeSlots(busy[`${t.type}:${t.id}`], startDate, endDate, { from, to }).map((slot) => ({
+        type: t.type,
+        id: t.id,
+        name: describe(t).name || null,
+        license: describe(t).license || null,
+        ...slot,
+      }))
+    )
+    .sort((a, b) => Math.abs(a.shiftMinutes) - Math.abs(b.shiftMinutes) || a.shiftMinutes - b.shiftMinutes)
+    .slice(0, SUGGESTION_SLOT_LIMIT);
+
+  return { cars, slots };
+}
+
+// Helper: 409 met alternatieven; lukt het ophalen daarvan niet, dan alleen de foutmelding
+async function sendConflictWithAlternatives(res, message, orgIdNum, requested, startDate, endDate) {
+  const alternatives = await findAlternatives(orgIdNum, requested, startDate, endDate);
+  if (alternatives.error) return res.status(409).json({ error: message });
+  return res.status(409).json({ error: message, alternatives });
+}
+
+// Helper: de beste vrije auto voor "willekeurige auto". Poolauto's gaan voor extra auto's;
+// daarbinnen de auto waar de reservering het krapst tussen andere reserveringen past, zodat
+// auto's met veel ruimte vrij blijven voor langere ritten. Auto's die goedkeuring nodig hebben
+// worden nooit zomaar gekozen. Geeft { car } (of car null) of { status, error }.
+async function pickBestCar(orgIdNum, startDate, endDate) {
+  const availability = await loadCarAvailability(orgIdNum, startDate, endDate, "willekeurige auto /api/bookings");
+  if (availability.error) return { status: availability.status, error: availability.error };
+
+  const free = availability.cars.filter((c) => c.available && !c.requiresApproval);
+  if (!free.length) return { car: null };
+
+  const from = new Date(startDate.getTime() - DAY_MS);
+  const to = new Date(endDate.getTime() + DAY_MS);
+  const { busy, error } = await loadBusyIntervals(orgIdNum, free, from, to);
+  if (error) {
+    console.error("DB fout (bezetting) willekeurige auto /api/bookings:", error);
+    return { status: 500, error: "Kon beschikbaarheid niet controleren." };
+  }
+
+  // Vrije ruimte vóór en na de reservering, elk begrensd op een dag
+  const gap = (c) => {
+    const intervals = busy[`${c.type}:${c.id}`];
+    const before = Math.max(from.getTime(), ...intervals.filter((i) => i.end <= startDate).map((i) => i.end.getTime()));
+    const after = Math.min(to.getTime(), ...intervals.filter((i) => i.start >= endDate).map((i) => i.start.getTime()));
+    return startDate.getTime() - before + (after - endDate.getTime());
+  };
+
+  const ranked = free
+    .map((c) => ({ car: c, gap: gap(c) }))
+    .sort((a, b) => (a.car.type === b.car.type ? 0 : a.car.type === "pool" ? -1 : 1) || a.gap - b.gap || a.car.id - b.car.id);
+  return { car: ranked[0].car };
+}
+
+//
+// ---------- LIJSTEN (filters en paginering) ----------
+//
+
+const PAGE_SIZE_DEFAULT = 500;
+const PAGE_SIZE_MAX = 1000;
+
+// Helper: ?from=&to= (YYYY-MM-DD of ISO) en de opgegeven id-filters (bijv. carId, userId).
+// Geeft { values: { from, to, ...ids } } of { error } terug.
+function parseListFilters(query, idFilters) {
+  const from = parsePeriodBound(query.from, false);
+  const to = parsePeriodBound(query.to, true);
+  if (from === undefined || to === undefined) {
+    return { error: "Ongeldige datum in from/to (gebruik YYYY-MM-DD)." };
+  }
+  if (from && to && from > to) {
+    return { error: "from moet vóór to liggen." };
+  }
+
+  const values = { from, to };
+  for (const key of idFilters) {
+    if (query[key] === undefined || query[key] === "") continue;
+    const id = Number(query[key]);
+    if (!Number.isInteger(id) || id < 1) return { error: `Ongeldige ${key}.` };
+    values[key] = id;
+  }
+  return { values };
+}
+
+// Cursor = positie van de laatste rij van de vorige pagina (begintijd + id), base64url
+function encodeCursor(start, id) {
+  return Buffer.from(JSON.stringify([start, id])).toString("base64url");
+}
+
+function decodeCursor(value) {
+  try {
+    const [start, id] = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    if (Number.isNaN(new Date(start).getTime()) || !Number.isInteger(id)) return null;
+    return { start, id };
+  } catch {
+    return null;
+  }
+}
+
+// Helper: ?limit= en ?cursor=. Geeft { values: { limit, cursor } } of { error } terug.
+// Zonder limit en cursor is limit null (alles in één keer, zoals vóór de paginering),
+// tenzij alwaysPaged: dan geldt PAGE_SIZE_DEFAULT.
+function parsePageQuery(query, { alwaysPaged = false } = {}) {
+  const paged = alwaysPaged || (query.limit !== undefined && query.limit !== "") || Boolean(query.cursor);
+  if (!paged) return { values: { limit: null, cursor: null } };
+
+  const limit = query.limit === undefined || query.limit === "" ? PAGE_SIZE_DEFAULT : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > PAGE_SIZE_MAX) {
+    return { error: `limit moet een heel getal tussen 1 en ${PAGE_SIZE_MAX} zijn.` };
+  }
+
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor) return { error: "Ongeldige cursor." };
+  }
+  return { values: { limit, cursor } };
+}
+
+// Eén pagina rijen, gesorteerd op begintijd en daarna id (keyset-paginering).
+// buildQuery() geeft telkens een nieuwe, al gefilterde query. Met een cursor eerst de rest
+// van de rijen met dezelfde begintijd, dan de rijen die later beginnen.
+// Met ascending: false andersom (nieuwste eerst, daarna de rijen die eerder beginnen).
+// Zonder limit alle rijen in één keer (nextCursor null).
+// Geeft { rows, nextCursor } of { error } terug.
+async function fetchPage(buildQuery, startColumn, { limit, cursor, ascending = true }) {
+  if (!limit) {
+    const { data, error } = await buildQuery()
+      .order(startColumn, { ascending })
+      .order("id", { ascending });
+    if (error) return { error };
+    return { rows: data || [], nextCursor: null };
+  }
+
+  const rows = [];
+  const after = ascending ? "gt" : "lt";
+
+  if (cursor) {
+    const { data, error } = await buildQuery()
+      .eq(startColumn, cursor.start)
+      [after]("id", cursor.id)
+      .order("id", { ascending })
+      .limit(limit + 1);
+    if (error) return { error };
+    rows.push(...(data || []));
+  }
+
+  if (rows.length <= limit) {
+    let query = buildQuery();
+    if (cursor) query = query[after](startColumn, cursor.start);
+    const { data, error } = await query
+      .order(startColumn, { ascending })
+      .order("id", { ascending })
+      .limit(limit + 1 - rows.length);
+    if (error) return { error };
+    rows.push(...(data || []));
+  }
+
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+  return {
+    rows: page,
+    nextCursor: rows.length > limit ? encodeCursor(last[startColumn], last.id) : null,
+  };
+}
+
+// Helper: cursor voor de volgende pagina als header meesturen (de body blijft een array)
+function setNextCursor(res, nextCursor) {
+  if (nextCursor) res.set("X-Next-Cursor", nextCursor);
+}
+
+//
+// ---------- RESERVERINGSREGELS (per org, auto's en ruimtes) ----------
+//
+// De regels van de org van de auto of ruimte gelden. Admins zijn vrijgesteld, behalve van
+// de buffer tussen reserveringen (die is er om de auto op te laden of de ruimte op te ruimen).
+
+const POLICY_SOURCES = {
+  car: { table: "bookings", start: "start", end: "end", noun: "een auto", resourceNoun: "deze auto" },
+  room: { table: "meeting_bookings", start: "start_time", end: "end_time", noun: "een vergaderruimte", resourceNoun: "deze ruimte" },
+};
+
+function normalizePolicy(kind, p) {
+  return {
+    kind,
+    maxDurationMinutes: p ? p.max_duration_minutes ?? null : null,
+    maxDaysAhead: p ? p.max_days_ahead ?? null : null,
+    minNoticeMinutes: p ? p.min_notice_minutes ?? null : null,
+    maxFutureBookings: p ? p.max_future_bookings ?? null : null,
+    allowedDays: p ? p.allowed_days || null : null,
+    hoursFrom: p && p.hours_from ? String(p.hours_from).slice(0, 5) : null,
+    hoursUntil: p && p.hours_until ? String(p.hours_until).slice(0, 5) : null,
+    bufferMinutes: p ? p.buffer_minutes || 0 : 0,
+    updatedAt: p ? p.updated_at || null : null,
+  };
+}
+
+async function loadPolicy(kind, orgId) {
+  const { data, error } = await db
+    .from("booking_policies")
+    .select("*")
+    .eq("org_id", Number(orgId))
+    .eq("kind", kind)
+    .maybeSingle();
+  return { policy: data || null, error };
+}
+
+// Helper: controleert nieuwe of gewijzigde tijdvakken (meerdere bij een reeks) tegen de regels.
+//   kind    = "car" | "room", orgId = org van de auto of ruimte
+//   options = { userId (de boeker), resource: { column, id } (voor de buffer),
+//               excludeIds (de reserveringen die gewijzigd worden), checkStart }
+// Geeft null of { status, error } terug.
+async function checkBookingPolicy(kind, orgId, tokenUser, slots, options = {}) {
+  const source = POLICY_SOURCES[kind];
+  const { userId = null, resource = null, excludeIds = [], checkStart = true } = options;
+
+  const { policy, error } = await loadPolicy(kind, orgId);
+  if (error) {
+    console.error("DB fout (booking_policies):", error);
+    return { status: 500, error: "Kon reserveringsregels niet controleren." };
+  }
+  if (!policy || !slots.length) return null;
+
+  const now = new Date();
+  if (!can(tokenUser, kindPermission(kind, "manage"))) {
+    for (const slot of slots) {
+      const violation = slotViolation(policy, slot, { now, noun: source.noun, checkStart });
+      if (violation) return { status: 400, error: violation };
+    }
+
+    if (policy.max_future_bookings !== null && policy.max_future_bookings !== undefined && userId) {
+      const { data: upcoming, error: countErr } = await db
+        .from(source.table)
+        .select("id")
+        .eq("org_id", Number(orgId))
+        .eq("user_id", userId)
+        .gt(source.end, now.toISOString());
+      if (countErr) {
+        console.error(`DB fout (${source.table}) aantal komende reserveringen:`, countErr);
+        return { status: 500, error: "Kon reserveringsregels niet controleren." };
+      }
+      const count = (upcoming || []).filter((b) => !excludeIds.includes(b.id)).length;
+      if (count + slots.length > policy.max_future_bookings) {
+        return {
+          status: 400,
+          error: `Je mag maximaal ${policy.max_future_bookings} komende reserveringen voor ${source.noun} hebben` +
+            ` (nu ${count}). Annuleer eerst een andere reservering.`,
+        };
+      }
+    }
+  }
+
+  // Buffer: reserveringen die niet overlappen maar te dicht op elkaar liggen.
+  // Echte overlap laat de route zelf als conflict (409) zien.
+  if (policy.buffer_minutes > 0 && resource) {
+    const bufferMs = policy.buffer_minutes * 60 * 1000;
+    const first = new Date(Math.min(...slots.map((s) => s.start.getTime())) - bufferMs);
+    const last = new Date(Math.max(...slots.map((s) => s.end.getTime())) + bufferMs);
+    const { data: nearby, error: nearErr } = await db
+      .from(source.table)
+      .select(`id, ${source.start}, ${source.end}`)
+      .eq(resource.column, resource.id)
+      .lt(source.start, last.toISOString())
+      .gt(source.end, first.toISOString());
+    if (nearErr) {
+      console.error(`DB fout (${source.table}) buffer-check:`, nearErr);
+      return { status: 500, error: "Kon reserveringsregels niet controleren." };
+    }
+
+    const others = (nearby || []).filter((b) => !excludeIds.includes(b.id));
+    const tooClose = slots.some((slot) => others.some((b) => {
+      const bStart = new Date(b[source.start]);
+      const bEnd = new Date(b[source.end]);
+      return !isOverlap(slot.start, slot.end, bStart, bEnd) &&
+        isOverlap(new Date(slot.start.getTime() - bufferMs), new Date(slot.end.getTime() + bufferMs), bStart, bEnd);
+    }));
+    if (tooClose) {
+      return {
+        status: 400,
+        error: `Tussen twee reserveringen van ${source.resourceNoun} moet minstens ${formatMinutes(policy.buffer_minutes)} zitten.`,
+      };
+    }
+  }
+
+  return null;
+}
+
+// Regels voor de auto's en ruimtes die de gebruiker kan boeken (van de eigen of gedeelde org)
+app.get("/api/booking-policies", requireAuth, async (req, res) => {
+  const allowedSections = req.user.allowedSections || ["cars", "meetings"];
+  const sources = [
+    { kind: "car", section: "cars", orgId: req.user.carOrgId },
+    { kind: "room", section: "meetings", orgId: req.user.meetingOrgId },
+  ].filter((s) => allowedSections.includes(s.section));
+
+  try {
+    const result = {};
+    for (const source of sources) {
+      const { policy, error } = await loadPolicy(source.kind, source.orgId || req.user.orgId);
+      if (error) {
+        console.error("DB fout GET /api/booking-policies:", error);
+        return res.status(500).json({ error: "Kon reserveringsregels niet ophalen." });
+      }
+      result[source.kind] = normalizePolicy(source.kind, policy);
+    }
+    res.json(result);
+  } catch (err) {
+    console.error("Serverfout GET /api/booking-policies:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Middleware (na requireAuth): orgScope op basis van :kind, zodat de regels bij dezelfde org
+// horen als de auto's of ruimtes waarop ze gecontroleerd worden
+function policyScope(req, res, next) {
+  return orgScope(req.params.kind === "room" ? "meetings" : "cars")(req, res, next);
+}
+
+// Regels van de eigen org instellen (admin). De body vervangt alle regels; weggelaten = geen grens.
+// Gebruikt de org de auto's of ruimtes van een andere org, dan stelt die org de regels in.
+app.put("/api/booking-policies/:kind", requireAuth, policyScope, async (req, res) => {
+  const kind = req.params.kind;
+  if (!POLICY_KINDS.includes(kind)) {
+    return res.status(400).json({ error: "Ongeldig type. Gebruik 'car' of 'room'." });
+  }
+  const permission = kindPermission(kind, "manage");
+  if (!can(req.user, permission)) return res.status(403).json({ error: PERMISSION_ERRORS[permission] });
+
+  const orgId = req.orgId;
+  if (orgId !== Number(req.user.orgId)) {
+    return res.status(403).json({
+      error: kind === "room"
+        ? "Deze vergaderruimtes zijn van een andere organisatie; die stelt de regels in."
+        : "Deze auto's zijn van een andere organisatie; die stelt de regels in.",
+    });
+  }
+
+  const parsed = parsePolicy(req.body || {});
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  const values = { ...parsed.values, updated_by: req.user.userId, updated_at: new Date().toISOString() };
+
+  try {
+    const { policy: existing, error: loadErr } = await loadPolicy(kind, orgId);
+    if (loadErr) {
+      console.error("DB fout PUT /api/booking-policies/:kind:", loadErr);
+      return res.status(500).json({ error: "Kon reserveringsregels niet opslaan." });
+    }
+
+    const { data, error } = existing
+      ? await db.from("booking_policies").update(values).eq("id", existing.id).select().single()
+      : await db.from("booking_policies").insert([{ org_id: orgId, kind, ...values }]).select().single();
+    if (error) {
+      console.error("DB fout PUT /api/booking-policies/:kind:", error);
+      return res.status(500).json({ error: "Kon reserveringsregels niet opslaan." });
+    }
+
+    res.json(normalizePolicy(kind, data));
+  } catch (err) {
+    console.error("Serverfout PUT /api/booking-policies/:kind:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- BOOKINGS ----------
+//
+
+// Reserveringen van de org, oudste eerst.
+// ?date=YYYY-MM-DD (begint op die dag) of ?from=&to= (overlapt met de periode),
+// ?carId=, ?extraCarId=, ?userId=, ?limit= (max 1000) en ?cursor=. Zonder limit en cursor
+// komen alle reserveringen in één keer; met een cursor maar zonder limit zijn het er 500.
+// Is er meer, dan staat de cursor voor de volgende pagina in de header X-Next-Cursor.
+app.get("/api/bookings", requireAuth, orgScope("cars"), async (req, res) => {
+  const { date } = req.query;
+
+  const orgIdNum = req.orgId;
+
+  const filters = parseListFilters(req.query, ["carId", "extraCarId", "userId"]);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  const page = parsePageQuery(req.query);
+  if (page.error) return res.status(400).json({ error: page.error });
+  const { from, to, carId, extraCarId, userId } = filters.values;
+
+  try {
+    const buildQuery = () => {
+      let query = db.from("bookings").select("*").eq("org_id", orgIdNum);
+      if (date) query = query.gte("start", dayStartIso(date)).lt("start", dayEndIso(date));
+      if (from) query = query.gt("end", from);
+      if (to) query = query.lte("start", to);
+      if (carId) query = query.eq("car_id", carId);
+      if (extraCarId) query = query.eq("extra_car_id", extraCarId);
+      if (userId) query = query.eq("user_id", userId);
+      return query;
+    };
+
+    const { rows: data, nextCursor, error } = await fetchPage(buildQuery, "start", page.values);
+
+    if (error) {
+      console.error("DB fout GET /api/bookings:", error);
+      return res.status(500).json({ error: "Kon reserveringen niet ophalen." });
+    }
+
+    const { error: tripErr, trips } = await loadTripsByBooking((data || []).map((b) => b.id));
+    if (tripErr) {
+      console.error("DB fout (trips) GET /api/bookings:", tripErr);
+      return res.status(500).json({ error: "Kon ritten niet ophalen." });
+    }
+
+    // ✅ DIT FIXT JOUW “car undefined”:
+    // snake_case → camelCase, met de rit (ophalen/terugbrengen) als die er is
+    setNextCursor(res, nextCursor);
+    res.json((data || []).map((b) => ({
+      ...normalizeBooking(b),
+      trip: trips[b.id] ? normalizeTrip(trips[b.id]) : null,
+    })));
+  } catch (err) {
+    console.error("Serverfout GET /api/bookings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Reeks van herhalende poolauto-reserveringen aanmaken.
+// Elke herhaling wordt op onbeschikbaarheid en overlap gecontroleerd; bij conflicten
+// komt er een 409 met per herhaling de status terug, tenzij skipConflicts is gezet.
+async function createCarBookingSeries(res, params) {
+  const { orgIdNum, sourceOrgId, carIdNum, userId, userName, note, startDate, endDate, rule, skipConflicts, tokenUser } = params;
+
+  const { data: carData, error: carError } = await db
+    .from("cars")
+    .select("id, requires_approval")
+    .eq("id", carIdNum)
+    .eq("org_id", orgIdNum)
+    .is("archived_at", null)
+    .single();
+
+  if (carError || !carData) {
+    console.error("DB fout auto-check reeks /api/bookings:", carError);
+    return res.status(400).json({ error: "Onbekende auto." });
+  }
+
+  let occurrences;
+  try {
+    occurrences = expandOccurrences(startDate, endDate, rule);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (occurrences.length === 0) {
+    return res.status(400).json({ error: "Deze herhaling levert geen reserveringen op." });
+  }
+  for (let i = 1; i < occurrences.length; i++) {
+    if (occurrences[i].start < occurrences[i - 1].end) {
+      return res.status(400).json({
+        error: "Herhalingen overlappen elkaar. Kies een kortere duur of een grotere tussenpoos.",
+      });
+    }
+  }
+
+  const policyError = await checkBookingPolicy("car", orgIdNum, tokenUser, occurrences, {
+    userId,
+    resource: { column: "car_id", id: carIdNum },
+  });
+  if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+
+  // Eén query voor alle bestaande bookings in de hele reeks-periode
+  const seriesStart = occurrences[0].start;
+  const seriesEnd = occurrences[occurrences.length - 1].end;
+  const { data: existing, error: overlapErr } = await db
+    .from("bookings")
+    .select("id, start, end")
+    .eq("org_id", orgIdNum)
+    .eq("car_id", carIdNum)
+    .lt("start", seriesEnd.toISOString())
+    .gt("end", seriesStart.toISOString());
+
+  const { windows, error: unavailErr } = await loadUnavailability([carIdNum], seriesStart, seriesEnd);
+
+  if (overlapErr || unavailErr) {
+    console.error("DB fout overlap-check reeks:", overlapErr || unavailErr);
+    return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+  }
+
+  const report = occurrences.map((o) => {
+    const item = { date: o.date, start: o.start.toISOString(), end: o.end.toISOString() };
+    const blocking = findBlockingWindow(windows[carIdNum], o.start, o.end);
+    if (blocking) {
+      const label = UNAVAILABILITY_REASONS[blocking.reason] || blocking.reason;
+      return { ...item, status: "unavailable", reason: blocking.reason, error: `Auto is niet beschikbaar (${label.toLowerCase()}).` };
+    }
+    const clash = (existing || []).find((b) =>
+      isOverlap(o.start, o.end, new Date(b.start), new Date(b.end))
+    );
+    if (clash) {
+      return { ...item, status: "conflict", conflictBookingId: clash.id, error: "Auto is al geboekt." };
+    }
+    return { ...item, status: "ok" };
+  });
+
+  const free = report.filter((r) => r.status === "ok");
+  const blocked = report.filter((r) => r.status !== "ok");
+
+  if (free.length === 0 || (blocked.length > 0 && !skipConflicts)) {
+    recordRejection({
+      kind: "car",
+      org_id: orgIdNum,
+      car_id: carIdNum,
+      user_id: userId,
+      start: blocked[0].start,
+      end: blocked[0].end,
+      reason: blocked.some((r) => r.status === "conflict") ? "conflict" : "unavailable",
+      occurrences: blocked.length,
+    });
+    return res.status(409).json({
+      error: `${blocked.length} van de ${report.length} herhalingen zijn niet beschikbaar.`,
+      occurrences: report,
+    });
+  }
+
+  const { data: series, error: seriesErr } = await db
+    .from("booking_series")
+    .insert([{
+      org_id: orgIdNum,
+      car_id: carIdNum,
+      user_id: userId,
+      user_name: userName,
+      note: note || "",
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      frequency: rule.frequency,
+      repeat_interval: rule.interval,
+      until: rule.until,
+      count: rule.count,
+      // Overgeslagen (bezette) datums worden uitzonderingen van de reeks
+      exceptions: [...rule.exceptions, ...blocked.map((r) => r.date)],
+    }])
+    .select()
+    .single();
+
+  if (seriesErr) {
+    console.error("DB fout INSERT booking_series:", seriesErr);
+    return res.status(500).json({ error: "Kon reeks niet opslaan." });
+  }
+
+  const { data: inserted, error: insErr } = await db
+    .from("bookings")
+    .insert(free.map((r) => ({
+      org_id: orgIdNum,
+      source_org_id: sourceOrgId,
+      car_id: carIdNum,
+      extra_car_id: null,
+      user_id: userId,
+      user_name: userName,
+      start: r.start,
+      end: r.end,
+      note: note || "",
+      series_id: series.id,
+      status: initialBookingStatus("car", carData, tokenUser),
+    })))
+    .select();
+
+  if (insErr) {
+    await db.from("booking_series").delete().eq("id", series.id);
+    if (isOverlapViolation(insErr)) {
+      return res.status(409).json({ error: "Deze auto is in deze periode al geboekt." });
+    }
+    console.error("DB fout INSERT /api/bookings (reeks):", insErr);
+    return res.status(500).json({ error: "Kon reserveringen niet opslaan." });
+  }
+
+  notifyInBackground(() => notifyNewBookings("car", inserted || []));
+
+  return res.status(201).json({
+    series: normalizeBookingSeries(series),
+    bookings: (inserted || []).map(normalizeBooking),
+    occurrences: report,
+  });
+}
+
+// Nieuwe booking (poolauto óf extra-auto), optioneel herhalend via `recurrence`.
+// Met anyCar: true (zonder carId/extraCarId) kiest de server de beste vrije auto.
+// Is de auto bezet, dan staan in de 409 onder `alternatives` vrije auto's voor hetzelfde
+// tijdvak en de dichtstbijzijnde vrije momenten met de gevraagde auto.
+app.post("/api/bookings", requireAuth, orgScope("cars"), requirePermission("cars.book"), async (req, res) => {
+  const { userName, start, end, note, recurrence, skipConflicts, anyCar } = req.body;
+  let { carId, extraCarId } = req.body;
+
+  if (!userName || !start || !end) {
+    return res.status(400).json({ error: "userName, start en end zijn verplicht" });
+  }
+
+  // user_id koppeling (null bij een legacy token zonder gebruiker)
+  const userId = req.user.userId || null;
+  const sourceOrgId = Number(req.user.orgId); // Echte org van de user
+
+  const orgIdNum = req.orgId;
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+
+  if (endDate <= startDate) {
+    return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+  }
+
+  let hasPoolCar =
+    carId !== null && carId !== undefined && String(carId).trim() !== "";
+  let hasExtraCar =
+    extraCarId !== null && extraCarId !== undefined && String(extraCarId).trim() !== "";
+
+  if (anyCar) {
+    if (hasPoolCar || hasExtraCar) {
+      return res.status(400).json({ error: "Gebruik anyCar zonder carId of extraCarId" });
+    }
+    if (recurrence) {
+      return res.status(400).json({ error: "Kies voor een herhalende reservering zelf een poolauto." });
+    }
+  } else if (!hasPoolCar && !hasExtraCar) {
+    return res.status(400).json({ error: "carId of extraCarId is verplicht" });
+  }
+  if (hasPoolCar && hasExtraCar) {
+    return res.status(400).json({ error: "Gebruik óf carId óf extraCarId (niet allebei)" });
+  }
+
+  let rule = null;
+  if (recurrence) {
+    if (!hasPoolCar) {
+      return res.status(400).json({ error: "Herhalende reserveringen kunnen alleen met een poolauto." });
+    }
+    const parsed = parseRecurrence(recurrence);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    rule = parsed.rule;
+  }
+
+  try {
+    // -----------------------------
+    // WILLEKEURIGE AUTO: de server kiest de beste vrije auto
+    // -----------------------------
+    if (anyCar) {
+      const picked = await pickBestCar(orgIdNum, startDate, endDate);
+      if (picked.error) return res.status(picked.status).json({ error: picked.error });
+
+      if (!picked.car) {
+        recordRejection({
+          kind: "car",
+          org_id: orgIdNum,
+          user_id: userId,
+          start: startDate.toISOString(),
+          end: endDate.toISOString(),
+          reason: "conflict",
+        });
+        return await sendConflictWithAlternatives(
+          res, "Er is in deze periode geen auto vrij.", orgIdNum, null, startDate, endDate
+        );
+      }
+
+      if (picked.car.type === "pool") carId = picked.car.id;
+      else extraCarId = picked.car.id;
+      hasPoolCar = picked.car.type === "pool";
+      hasExtraCar = !hasPoolCar;
+    }
+
+    // -----------------------------
+    // CASE 0: HERHALENDE REEKS (POOLAUTO)
+    // -----------------------------
+    if (rule) {
+      return await createCarBookingSeries(res, {
+        orgIdNum,
+        sourceOrgId,
+        carIdNum: Number(carId),
+        userId,
+        userName,
+        note,
+        startDate,
+        endDate,
+        rule,
+        skipConflicts: Boolean(skipConflicts),
+        tokenUser: req.user,
+      });
+    }
+
+    // -----------------------------
+    // CASE 1: POOLAUTO
+    // -----------------------------
+    if (hasPoolCar) {
+      const carIdNum = Number(carId);
+
+      // Check of auto bestaat en of een onbeschikbaarheidsperiode dit tijdvak blokkeert
+      const { data: carData, error: carError } = await db
+        .from("cars")
+        .select("id, requires_approval")
+        .eq("id", carIdNum)
+        .eq("org_id", orgIdNum)
+        .is("archived_at", null)
+        .single();
+
+      if (carError || !carData) {
+        console.error("DB fout auto-check /api/bookings:", carError);
+        return res.status(400).json({ error: "Onbekende auto." });
+      }
+
+      const policyError = await checkBookingPolicy("car", orgIdNum, req.user, [{ start: startDate, end: endDate }], {
+        userId,
+        resource: { column: "car_id", id: carIdNum },
+      });
+      if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+
+      const unavailable = await checkCarUnavailable(carIdNum, startDate, endDate);
+      if (unavailable.error) {
+        console.error("DB fout onbeschikbaarheid-check poolauto:", unavailable.error);
+        return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+      }
+      const rejection = {
+        kind: "car",
+        org_id: orgIdNum,
+        car_id: carIdNum,
+        user_id: userId,
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+      };
+      const requested = { type: "pool", id: carIdNum };
+      if (unavailable.blocking) {
+        recordRejection({ ...rejection, reason: "unavailable" });
+        return await sendConflictWithAlternatives(
+          res, unavailableMessage(unavailable.blocking), orgIdNum, requested, startDate, endDate
+        );
+      }
+
+      // Overlap check poolauto
+      const { data: overlapping, error: overlapErr } = await db
+        .from("bookings")
+        .select("id")
+        .eq("org_id", orgIdNum)
+        .eq("car_id", carIdNum)
+        .lt("start", endDate.toISOString())
+        .gt("end", startDate.toISOString());
+
+      if (overlapErr) {
+        console.error("DB fout overlap-check poolauto:", overlapErr);
+        return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+      }
+
+      if (overlapping && overlapping.length > 0) {
+        recordRejection({ ...rejection, reason: "conflict" });
+        return await sendConflictWithAlternatives(
+          res, "Deze auto is in deze periode al geboekt.", orgIdNum, requested, startDate, endDate
+        );
+      }
+
+      const insertPayload = {
+        org_id: orgIdNum,
+        source_org_id: sourceOrgId, // Echte org van de user (bij gedeeld wagenpark)
+        car_id: carIdNum,
+        extra_car_id: null,
+        user_id: userId,  // Koppel aan user als ingelogd, anders null
+        user_name: userName,
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+        note: note || "",
+        // Auto met goedkeuring: voorlopig, tot een goedkeurder de aanvraag afhandelt
+        status: initialBookingStatus("car", carData, req.user),
+      };
+
+      const { data, error } = await db
+        .from("bookings")
+        .insert([insertPayload])
+        .select()
+        .single();
+
+      // Gelijktijdig verzoek was net eerder: dezelfde 409 als bij de overlapcheck hierboven
+      if (isOverlapViolation(error)) {
+        recordRejection({ ...rejection, reason: "conflict" });
+        return await sendConflictWithAlternatives(
+          res, "Deze auto is in deze periode al geboekt.", orgIdNum, requested, startDate, endDate
+        );
+      }
+      if (error) {
+        console.error("DB fout INSERT /api/bookings (poolauto):", error);
+        return res.status(500).json({ error: "Kon reservering niet opslaan." });
+      }
+
+      notifyInBackground(() => notifyNewBookings("car", [data]));
+
+      // ✅ camelCase response
+      return res.status(201).json(normalizeBooking(data));
+    }
+
+    // -----------------------------
+    // CASE 2: EXTRA AUTO
+    // -----------------------------
+    const extraIdNum = Number(extraCarId);
+
+    const { data: extraData, error: extraErr } = await db
+      .from("extra_cars")
+      .select("id, org_id, license, name, available_from, available_to")
+      .eq("id", extraIdNum)
+      .eq("org_id", orgIdNum)
+      .single();
+
+    if (extraErr || !extraData) {
+      console.error("DB fout extra-car check:", extraErr);
+      return res.status(400).json({ error: "Extra auto niet gevonden." });
+    }
+    if (!extraCarCovers(extraData, startDate, endDate)) {
+      return res.status(400).json({
+        error: `Deze extra auto is alleen beschikbaar van ${extraData.available_from} tot en met ${extraData.available_to}.`,
+      });
+    }
+
+    const policyError = await checkBookingPolicy("car", orgIdNum, req.user, [{ start: startDate, end: endDate }], {
+      userId,
+      resource: { column: "extra_car_id", id: extraIdNum },
+    });
+    if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+
+    // Overlap check extra auto
+    const { data: overlappingExtra, error: overlapExtraErr } = await db
+      .from("bookings")
+      .select("id")
+      .eq("org_id", orgIdNum)
+      .eq("extra_car_id", extraIdNum)
+      .lt("start", endDate.toISOString())
+      .gt("end", startDate.toISOString());
+
+    if (overlapExtraErr) {
+      console.error("DB fout overlap-check extra auto:", overlapExtraErr);
+      return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+    }
+
+    const rejectExtra = () => {
+      recordRejection({
+        kind: "car",
+        org_id: orgIdNum,
+        extra_car_id: extraIdNum,
+        user_id: userId,
+        start: startDate.toISOString(),
+        end: endDate.toISOString(),
+        reason: "conflict",
+      });
+      return sendConflictWithAlternatives(
+        res, "Deze extra auto is in deze periode al geboekt.", orgIdNum, { type: "extra", id: extraIdNum }, startDate, endDate
+      );
+    };
+
+    if (overlappingExtra && overlappingExtra.length > 0) {
+      return await rejectExtra();
+    }
+
+    const insertPayloadExtra = {
+      org_id: orgIdNum,
+      source_org_id: sourceOrgId,
+      car_id: null,
+      extra_car_id: extraIdNum,
+      user_id: userId,  // Koppel aan user als ingelogd, anders null
+      user_name: userName,
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+      note: note || "",
+    };
+
+    const { data: inserted, error: insErr } = await db
+      .from("bookings")
+      .insert([insertPayloadExtra])
+      .select()
+      .single();
+
+    if (isOverlapViolation(insErr)) {
+      return await rejectExtra();
+    }
+    if (insErr) {
+      console.error("DB fout INSERT /api/bookings (extra):", insErr);
+      return res.status(500).json({ error: "Kon reservering niet opslaan." });
+    }
+
+    notifyInBackground(() => notifyNewBookings("car", [inserted]));
+
+    // ✅ camelCase response
+    return res.status(201).json(normalizeBooking(inserted));
+  } catch (err) {
+    console.error("Serverfout POST /api/bookings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Reservering wijzigen: tijd, auto (pool of extra), naam en/of notitie in één update.
+// Zelfde beschikbaarheids- en overlapcontroles als bij aanmaken, met de booking zelf uitgesloten.
+app.patch("/api/bookings/:id", requireAuth, orgScope("cars"), async (req, res) => {
+  const id = Number(req.params.id);
+  const tokenUser = req.user;
+  const { start, end, note, userName, carId, extraCarId } = req.body;
+
+  try {
+    const { data: booking, error: fetchError } = await db
+      .from("bookings")
+      .select("*")
+      .eq("id", id)
+      .eq("org_id", req.orgId)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({ error: "Reservering niet gevonden" });
+    }
+
+    const accessError = bookingAccessError(booking, tokenUser, "wijzigen");
+    if (accessError) return res.status(accessError.status).json({ error: accessError.error });
+
+    if (userName !== undefined && !String(userName).trim()) {
+      return res.status(400).json({ error: "Naam mag niet leeg zijn" });
+    }
+
+    const startDate = start ? new Date(start) : new Date(booking.start);
+    const endDate = end ? new Date(end) : new Date(booking.end);
+    if (Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+      return res.status(400).json({ error: "Ongeldige start- of eindtijd" });
+    }
+    if (endDate <= startDate) {
+      return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+    }
+
+    const hasValue = (v) => v !== null && v !== undefined && String(v).trim() !== "";
+    if (hasValue(carId) && hasValue(extraCarId)) {
+      return res.status(400).json({ error: "Gebruik óf carId óf extraCarId (niet allebei)" });
+    }
+
+    // Zonder nieuwe auto blijft de huidige auto staan
+    let carIdNum = booking.car_id;
+    let extraIdNum = booking.extra_car_id;
+    if (hasValue(carId)) {
+      carIdNum = Number(carId);
+      extraIdNum = null;
+    } else if (hasValue(extraCarId)) {
+      carIdNum = null;
+      extraIdNum = Number(extraCarId);
+    }
+
+    // Een opgehaalde auto kan niet meer omgewisseld worden (de kilometerstanden horen bij die auto)
+    if (carIdNum !== booking.car_id || extraIdNum !== booking.extra_car_id) {
+      const { data: trip } = await db.from("trips").select("id").eq("booking_id", id).maybeSingle();
+      if (trip) {
+        return res.status(409).json({ error: "Deze auto is al opgehaald; de auto kan niet meer worden gewijzigd." });
+      }
+    }
+
+    // Andere auto of ander tijdvak: opnieuw langs onbeschikbaarheid, de reserveringsregels
+    // en de goedkeuring. Alleen een notitie of naam aanpassen kan altijd.
+    const moved = carIdNum !== booking.car_id || extraIdNum !== booking.extra_car_id ||
+      startDate.getTime() !== new Date(booking.start).getTime() || endDate.getTime() !== new Date(booking.end).getTime();
+
+    let carData = null;
+    if (carIdNum) {
+      const { data: found, error: carError } = await db
+        .from("cars")
+        .select("id, requires_approval")
+        .eq("id", carIdNum)
+        .eq("org_id", booking.org_id)
+        .is("archived_at", null)
+        .single();
+
+      if (carError || !found) {
+        return res.status(400).json({ error: "Onbekende auto." });
+      }
+      carData = found;
+      if (moved) {
+        const unavailable = await checkCarUnavailable(carIdNum, startDate, endDate);
+        if (unavailable.error) {
+          console.error("DB fout onbeschikbaarheid-check PATCH /api/bookings/:id:", unavailable.error);
+          return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+        }
+        if (unavailable.blocking) {
+          return res.status(409).json({ error: unavailableMessage(unavailable.blocking) });
+        }
+      }
+    } else {
+      const { data: extraData } = await db
+        .from("extra_cars")
+        .select("id, available_from, available_to")
+        .eq("id", extraIdNum)
+        .eq("org_id", booking.org_id)
+        .maybeSingle();
+
+      if (!extraData) {
+        return res.status(400).json({ error: "Extra auto niet gevonden." });
+      }
+      if (!extraCarCovers(extraData, startDate, endDate)) {
+        return res.status(400).json({
+          error: `Deze extra auto is alleen beschikbaar van ${extraData.available_from} tot en met ${extraData.available_to}.`,
+        });
+      }
+    }
+
+    if (moved) {
+      // Het quotum telt voor de boeker; wie wijzigt bepaalt of de regels gelden (admins niet)
+      const policyError = await checkBookingPolicy("car", booking.org_id, tokenUser, [{ start: startDate, end: endDate }], {
+        userId: booking.user_id,
+        resource: carIdNum ? { column: "car_id", id: carIdNum } : { column: "extra_car_id", id: extraIdNum },
+        excludeIds: [id],
+        checkStart: startDate.getTime() !== new Date(booking.start).getTime(),
+      });
+      if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+    }
+
+    // Overlap check, de booking zelf telt niet mee
+    const { data: overlapping, error: overlapErr } = await db
+      .from("bookings")
+      .select("id")
+      .eq("org_id", booking.org_id)
+      .eq(carIdNum ? "car_id" : "extra_car_id", carIdNum || extraIdNum)
+      .neq("id", id)
+      .lt("start", endDate.toISOString())
+      .gt("end", startDate.toISOString());
+
+    if (overlapErr) {
+      console.error("DB fout overlap-check PATCH /api/bookings/:id:", overlapErr);
+      return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+    }
+
+    if (overlapping && overlapping.length > 0) {
+      return res.status(409).json({
+        error: carIdNum
+          ? "Deze auto is in deze periode al geboekt."
+          : "Deze extra auto is in deze periode al geboekt.",
+      });
+    }
+
+    const changes = {
+      car_id: carIdNum,
+      extra_car_id: extraIdNum,
+      start: startDate.toISOString(),
+      end: endDate.toISOString(),
+    };
+    if (note !== undefined) changes.note = note || "";
+    if (userName !== undefined) changes.user_name = String(userName).trim();
+    // Nieuwe begintijd = nieuwe herinnering
+    if (startDate.getTime() !== new Date(booking.start).getTime()) changes.reminder_sent_at = null;
+    // Andere auto of ander tijdvak: opnieuw goedkeuring nodig als de auto dat vraagt
+    if (moved) changes.status = initialBookingStatus("car", carData, tokenUser);
+    // Agenda-apps nemen een wijziging alleen over met een hoger volgnummer
+    changes.sequence = (booking.sequence || 0) + 1;
+
+    const { data, error } = await db
+      .from("bookings")
+      .update(changes)
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (isOverlapViolation(error)) {
+      return res.status(409).json({
+        error: carIdNum
+          ? "Deze auto is in deze periode al geboekt."
+          : "Deze extra auto is in deze periode al geboekt.",
+      });
+    }
+    if (error) {
+      console.error("DB fout PATCH /api/bookings/:id:", error);
+      return res.status(500).json({ error: "Kon reservering niet bijwerken." });
+    }
+
+    // Gewijzigd door een ander (admin): de boeker krijgt een mail
+    notifyInBackground(() => notifyBookers(
+      "car",
+      [data],
+      (item, toItem) => mailTemplates.bookingChanged(item, tokenUser.name, toItem(booking)),
+      { skipUserId: tokenUser.userId, related: [booking] }
+    ));
+    // Verplaatst naar (of binnen) een auto met goedkeuring: opnieuw een aanvraag
+    if (data.status === "pending" && booking.status !== "pending") {
+      notifyInBackground(() => notifyApprovers("car", [data]));
+    }
+
+    res.json(normalizeBooking(data));
+  } catch (err) {
+    console.error("Serverfout PATCH /api/bookings/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Reservering verwijderen (met ownership check)
+// ?scope=series annuleert bij een herhalende reeks alle nog niet begonnen herhalingen
+app.delete("/api/bookings/:id", requireAuth, orgScope("cars"), async (req, res) => {
+  const id = Number(req.params.id);
+  const tokenUser = req.user;
+  const scope = req.query.scope === "series" ? "series" : "occurrence";
+
+  try {
+    // Eerst de booking ophalen om ownership te checken
+    const { data: booking, error: fetchError } = await db
+      .from("bookings")
+      .select("*")
+      .eq("id", id)
+      .eq("org_id", req.orgId)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({ error: "Reservering niet gevonden" });
+    }
+
+    // Authenticatie verplicht + eigenaar of admin
+    const accessError = bookingAccessError(booking, tokenUser, "verwijderen");
+    if (accessError) return res.status(accessError.status).json({ error: accessError.error });
+
+    if (scope === "series") {
+      if (!booking.series_id) {
+        return res.status(400).json({ error: "Deze reservering hoort niet bij een reeks." });
+      }
+
+      // Gereden (of al opgehaalde) ritten blijven staan als historie
+      const now = new Date().toISOString();
+      const { data: upcoming, error: upcomingErr } = await db
+        .from("bookings")
+        .select("id")
+        .eq("series_id", booking.series_id)
+        .gte("start", now);
+
+      const { error: tripErr, trips } = await loadTripsByBooking((upcoming || []).map((b) => b.id));
+      if (upcomingErr || tripErr) {
+        console.error("DB fout DELETE /api/bookings/:id (reeks):", upcomingErr || tripErr);
+        return res.status(500).json({ error: "Kon reeks niet annuleren." });
+      }
+
+      const { data: deletedRows, error: seriesDelErr } = await db
+        .from("bookings")
+        .delete()
+        .in("id", (upcoming || []).filter((b) => !trips[b.id]).map((b) => b.id))
+        .select();
+
+      if (seriesDelErr) {
+        console.error("DB fout DELETE /api/bookings/:id (reeks):", seriesDelErr);
+        return res.status(500).json({ error: "Kon reeks niet annuleren." });
+      }
+
+      await recordCancellations("car", deletedRows || []);
+      notifyInBackground(() => notifyBookers(
+        "car",
+        deletedRows || [],
+        (item) => mailTemplates.bookingCancelled(item, tokenUser.name),
+        { skipUserId: tokenUser.userId }
+      ));
+      processWaitlistInBackground("car", deletedRows || []);
+
+      await db
+        .from("booking_series")
+        .update({ cancelled_at: now })
+        .eq("id", booking.series_id);
+
+      return res.json({ success: true, scope, deleted: deletedRows || [] });
+    }
+
+    const { data: trip } = await db.from("trips").select("id").eq("booking_id", id).maybeSingle();
+    if (trip) {
+      return res.status(409).json({ error: "Deze auto is al opgehaald; de rit kan niet meer worden verwijderd." });
+    }
+
+    const { data, error } = await db
+      .from("bookings")
+      .delete()
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout DELETE /api/bookings/:id:", error);
+      return res.status(500).json({ error: "Kon reservering niet verwijderen." });
+    }
+
+    await recordCancellations("car", [booking]);
+
+    // Geannuleerd door een ander (admin): de boeker krijgt een mail
+    notifyInBackground(() => notifyBookers(
+      "car",
+      [booking],
+      (item) => mailTemplates.bookingCancelled(item, tokenUser.name),
+      { skipUserId: tokenUser.userId }
+    ));
+
+    // Vrijgekomen plek naar de wachtlijst
+    processWaitlistInBackground("car", [booking]);
+
+    // Losse herhaling geannuleerd: datum vastleggen als uitzondering van de reeks
+    if (booking.series_id) {
+      const { data: series } = await db
+        .from("booking_series")
+        .select("id, exceptions")
+        .eq("id", booking.series_id)
+        .maybeSingle();
+      if (series) {
+        await db
+          .from("booking_series")
+          .update({ exceptions: [...(series.exceptions || []), localDateKey(new Date(booking.start))] })
+          .eq("id", series.id);
+      }
+    }
+
+    res.json({ success: true, scope, deleted: data });
+  } catch (err) {
+    console.error("Serverfout DELETE /api/bookings/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Voeg deze code toe VOOR de "START SERVER" regel in je server.js
+
+//
+// ---------- RITREGISTRATIE (ophalen / terugbrengen) ----------
+//
+
+// Soort rit, zoals de Belastingdienst die onderscheidt in de rittenregistratie
+const TRIP_CATEGORIES = {
+  business: "Zakelijk",
+  commute: "Woon-werk",
+  private: "Privé",
+};
+
+// Helper: trips-rij → API response (camelCase)
+function normalizeTrip(t) {
+  const done = t.odometer_end !== null && t.odometer_end !== undefined;
+  return {
+    id: t.id,
+    bookingId: t.booking_id,
+    carId: t.car_id,
+    userId: t.user_id,
+    checkedOutAt: t.checked_out_at,
+    odometerStart: t.odometer_start,
+    fuelStart: t.fuel_start ?? null,
+    damageAtCheckOut: t.damage_at_checkout || "",
+    checkedInAt: t.checked_in_at || null,
+    odometerEnd: done ? t.odometer_end : null,
+    fuelEnd: t.fuel_end ?? null,
+    damageAtCheckIn: t.damage_at_checkin || "",
+    distance: done ? t.odometer_end - t.odometer_start : null,
+    category: t.category || null,
+    categoryLabel: t.category ? TRIP_CATEGORIES[t.category] : null,
+    destination: t.destination || "",
+    purpose: t.purpose || "",
+  };
+}
+
+// Helper: soort rit, bestemming en doel uit de request body → kolommen.
+// Alleen meegestuurde velden worden gezet. Een zakelijke rit heeft een bestemming nodig.
+// `current` = bestaande rit (bij aanvullen/wijzigen), zodat de controle over het geheel gaat.
+// Geeft { values } of { error } terug.
+function parseTripDetails(body, current) {
+  const values = {};
+  const { category, destination, purpose } = body || {};
+
+  if (category !== undefined) {
+    if (category && !TRIP_CATEGORIES[category]) {
+      return {
+        error: `Ongeldig soort rit. Gebruik ${Object.keys(TRIP_CATEGORIES).map((c) => `'${c}'`).join(", ")}.`,
+      };
+    }
+    values.category = category || null;
+  }
+  if (destination !== undefined) values.destination = destination ? String(destination).trim() : "";
+  if (purpose !== undefined) values.purpose = purpose ? String(purpose).trim() : "";
+
+  const merged = { ...(current || {}), ...values };
+  if (merged.category === "business" && !merged.destination) {
+    return { error: "Vul bij een zakelijke rit de bestemming in." };
+  }
+
+  return { values };
+}
+
+// Helper: ritgegevens uit de request body { odometer, fuelLevel?, at?, damageNotes? }.
+// Zonder `at` geldt nu. Geeft { values } of { error } terug.
+function parseTripFields(body) {
+  const { odometer, fuelLevel, at, damageNotes } = body || {};
+
+  const km = odometer === undefined || odometer === null || odometer === "" ? NaN : Number(odometer);
+  if (!Number.isInteger(km) || km < 0 || km > 9999999) {
+    return { error: "Kilometerstand moet een heel getal (km) zijn." };
+  }
+
+  const fuel = fuelLevel === undefined || fuelLevel === null || fuelLevel === "" ? null : Number(fuelLevel);
+  if (fuel !== null && (!Number.isInteger(fuel) || fuel < 0 || fuel > 100)) {
+    return { error: "Brandstofniveau moet een percentage tussen 0 en 100 zijn." };
+  }
+
+  const time = at ? new Date(at) : new Date();
+  if (Number.isNaN(time.getTime())) return { error: "Ongeldig tijdstip." };
+  if (time.getTime() > Date.now() + 5 * 60 * 1000) {
+    return { error: "Tijdstip mag niet in de toekomst liggen." };
+  }
+
+  return {
+    values: { odometer: km, fuel, at: time, damageNotes: damageNotes ? String(damageNotes).trim() : "" },
+  };
+}
+
+// Helper: kilometerstanden van een auto moeten in de tijd oplopen. Controleert een nieuwe stand
+// tegen alle geregistreerde standen (ophalen en terugbrengen) van die auto.
+// Geeft { error } (DB fout), { message } (ongeldige stand) of {} terug.
+async function checkOdometer(carId, at, odometer) {
+  const { data, error } = await db
+    .from("trips")
+    .select("checked_out_at, odometer_start, checked_in_at, odometer_end")
+    .eq("car_id", carId);
+  if (error) return { error };
+
+  const readings = [];
+  (data || []).forEach((t) => {
+    readings.push({ at: new Date(t.checked_out_at), km: t.odometer_start });
+    if (t.checked_in_at && t.odometer_end !== null && t.odometer_end !== undefined) {
+      readings.push({ at: new Date(t.checked_in_at), km: t.odometer_end });
+    }
+  });
+
+  const earlier = readings.filter((r) => r.at <= at).sort((a, b) => b.km - a.km)[0];
+  if (earlier && odometer < earlier.km) {
+    return {
+      message: `Kilometerstand ${odometer} is lager dan een eerdere stand van deze auto (${earlier.km} km op ${localDateKey(earlier.at)}).`,
+    };
+  }
+
+  const later = readings.filter((r) => r.at > at).sort((a, b) => a.km - b.km)[0];
+  if (later && odometer > later.km) {
+    return {
+      message: `Kilometerstand ${odometer} is hoger dan een latere stand van deze auto (${later.km} km op ${localDateKey(later.at)}).`,
+    };
+  }
+
+  return {};
+}
+
+// Helper: booking + bestaande rit ophalen en controleren wie mag registreren.
+// Geeft { booking, trip } of { status, error } terug.
+async function findTripBooking(req) {
+  const { data: booking } = await db
+    .from("bookings")
+    .select("*")
+    .eq("id", Number(req.params.id))
+    .eq("org_id", req.orgId)
+    .maybeSingle();
+
+  if (!booking) return { status: 404, error: "Reservering niet gevonden" };
+
+  const accessError = bookingAccessError(booking, req.user, "registreren");
+  if (accessError) return accessError;
+
+  if (!booking.car_id) {
+    return { status: 400, error: "Ritregistratie kan alleen bij een poolauto." };
+  }
+
+  const { data: trip, error } = await db
+    .from("trips")
+    .select("*")
+    .eq("booking_id", booking.id)
+    .maybeSingle();
+  if (error) return { status: 500, error: "Kon rit niet ophalen." };
+
+  return { booking, trip };
+}
+
+// Helper: ritten per booking_id (voor lijsten met reserveringen)
+async function loadTripsByBooking(bookingIds) {
+  if (!bookingIds.length) return { trips: {} };
+
+  const { data, error } = await db.from("trips").select("*").in("booking_id", bookingIds);
+  if (error) return { error, trips: {} };
+
+  const trips = {};
+  (data || []).forEach((t) => {
+    trips[t.booking_id] = t;
+  });
+  return { trips };
+}
+
+// Auto ophalen: { odometer, fuelLevel?, at?, damageNotes? } (damageNotes = schade die er al was)
+app.post("/api/bookings/:id/check-out", requireAuth, orgScope("cars"), async (req, res) => {
+  const parsed = parseTripFields(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { odometer, fuel, at, damageNotes } = parsed.values;
+
+  // Soort rit en bestemming mogen al bij ophalen, verplicht zijn ze pas bij terugbrengen
+  const details = parseTripDetails(req.body);
+  if (details.error) return res.status(400).json({ error: details.error });
+
+  try {
+    const found = await findTripBooking(req);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    const { booking, trip } = found;
+
+    if (trip) return res.status(409).json({ error: "Deze auto is al opgehaald." });
+    if (booking.status === "pending") {
+      return res.status(409).json({ error: "Deze reservering is nog niet goedgekeurd." });
+    }
+
+    const check = await checkOdometer(booking.car_id, at, odometer);
+    if (check.error) {
+      console.error("DB fout kilometerstand-check check-out:", check.error);
+      return res.status(500).json({ error: "Kon kilometerstand niet controleren." });
+    }
+    if (check.message) return res.status(400).json({ error: check.message });
+
+    const { data, error } = await db
+      .from("trips")
+      .insert([{
+        booking_id: booking.id,
+        car_id: booking.car_id,
+        org_id: booking.org_id,
+        user_id: booking.user_id,
+        checked_out_at: at.toISOString(),
+        checked_out_by: req.user.userId || null,
+        odometer_start: odometer,
+        fuel_start: fuel,
+        damage_at_checkout: damageNotes,
+        ...details.values,
+      }])
+      .select()
+      .single();
+
+    if (error && error.code === "23505") {
+      return res.status(409).json({ error: "Deze auto is al opgehaald." });
+    }
+    if (error) {
+      console.error("DB fout POST /api/bookings/:id/check-out:", error);
+      return res.status(500).json({ error: "Kon ophalen niet registreren." });
+    }
+
+    res.status(201).json(normalizeTrip(data));
+  } catch (err) {
+    console.error("Serverfout POST /api/bookings/:id/check-out:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Auto terugbrengen: { odometer, fuelLevel?, at?, damageNotes? } (damageNotes = nieuwe schade)
+app.post("/api/bookings/:id/check-in", requireAuth, orgScope("cars"), async (req, res) => {
+  const parsed = parseTripFields(req.body);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { odometer, fuel, at, damageNotes } = parsed.values;
+
+  try {
+    const found = await findTripBooking(req);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+    const { booking, trip } = found;
+
+    if (!trip) return res.status(409).json({ error: "Deze auto is nog niet opgehaald." });
+    if (trip.checked_in_at) return res.status(409).json({ error: "Deze auto is al teruggebracht." });
+
+    const details = parseTripDetails(req.body, trip);
+    if (details.error) return res.status(400).json({ error: details.error });
+    if (!(details.values.category || trip.category)) {
+      return res.status(400).json({ error: "Kies het soort rit: zakelijk, woon-werk of privé." });
+    }
+
+    if (at < new Date(trip.checked_out_at)) {
+      return res.status(400).json({ error: "Terugbrengen kan niet vóór het ophalen liggen." });
+    }
+    if (odometer < trip.odometer_start) {
+      return res.status(400).json({
+        error: `Eindstand kan niet lager zijn dan de beginstand (${trip.odometer_start} km).`,
+      });
+    }
+
+    const check = await checkOdometer(booking.car_id, at, odometer);
+    if (check.error) {
+      console.error("DB fout kilometerstand-check check-in:", check.error);
+      return res.status(500).json({ error: "Kon kilometerstand niet controleren." });
+    }
+    if (check.message) return res.status(400).json({ error: check.message });
+
+    const { data, error } = await db
+      .from("trips")
+      .update({
+        checked_in_at: at.toISOString(),
+        checked_in_by: req.user.userId || null,
+        odometer_end: odometer,
+        fuel_end: fuel,
+        damage_at_checkin: damageNotes,
+        ...details.values,
+      })
+      .eq("id", trip.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout POST /api/bookings/:id/check-in:", error);
+      return res.status(500).json({ error: "Kon terugbrengen niet registreren." });
+    }
+
+    res.json(normalizeTrip(data));
+  } catch (err) {
+    console.error("Serverfout POST /api/bookings/:id/check-in:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Soort rit, bestemming of doel achteraf aanvullen of corrigeren: { category?, destination?, purpose? }
+// Kilometerstanden en tijden liggen vast; die gaan via een beheerder in de database.
+app.patch("/api/trips/:id", requireAuth, orgScope("cars"), async (req, res) => {
+  try {
+    const { data: trip } = await db
+      .from("trips")
+      .select("*")
+      .eq("id", Number(req.params.id))
+      .eq("org_id", req.orgId)
+      .maybeSingle();
+    if (!trip) return res.status(404).json({ error: "Rit niet gevonden." });
+
+    const { data: booking } = await db.from("bookings").select("*").eq("id", trip.booking_id).maybeSingle();
+    const accessError = bookingAccessError(booking || trip, req.user, "wijzigen");
+    if (accessError) return res.status(accessError.status).json({ error: accessError.error });
+
+    const details = parseTripDetails(req.body, trip);
+    if (details.error) return res.status(400).json({ error: details.error });
+    if (trip.checked_in_at && details.values.category === null) {
+      return res.status(400).json({ error: "Een teruggebrachte rit moet een soort rit hebben." });
+    }
+    if (!Object.keys(details.values).length) {
+      return res.json(normalizeTrip(trip));
+    }
+
+    const { data, error } = await db
+      .from("trips")
+      .update(details.values)
+      .eq("id", trip.id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout PATCH /api/trips/:id:", error);
+      return res.status(500).json({ error: "Kon rit niet bijwerken." });
+    }
+
+    res.json(normalizeTrip(data));
+  } catch (err) {
+    console.error("Serverfout PATCH /api/trips/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Helper: lege kilometertelling per soort rit
+function emptyMileage() {
+  return { business: 0, commute: 0, private: 0, unspecified: 0, total: 0 };
+}
+
+// Helper: gereden kilometers van een afgeronde rit optellen bij een telling
+function addMileage(totals, trip) {
+  const km = trip.odometer_end - trip.odometer_start;
+  totals[trip.category || "unspecified"] += km;
+  totals.total += km;
+}
+
+// Kilometerrapport: totalen per soort rit, per gebruiker, per auto en per maand.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (op datum van ophalen), ?userId=, ?carId=
+// Gewone gebruikers zien alleen hun eigen ritten; wagenparkbeheerders en admins de hele organisatie.
+// Zonder userId-filter controleert het rapport ook of de kilometerstanden per auto
+// sluitend zijn (eindstand van een rit = beginstand van de volgende).
+app.get("/api/reports/mileage", requireAuth, orgScope("cars"), async (req, res) => {
+  const from = parsePeriodBound(req.query.from, false);
+  const to = parsePeriodBound(req.query.to, true);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: "Ongeldige datum in from/to (gebruik YYYY-MM-DD)." });
+  }
+
+  const isManager = can(req.user, "cars.manage");
+  if (!isManager && !req.user.userId) {
+    return res.status(403).json({ error: "Log opnieuw in om je kilometerrapport te bekijken." });
+  }
+  const userId = isManager ? (req.query.userId ? Number(req.query.userId) : null) : req.user.userId;
+  const carId = req.query.carId ? Number(req.query.carId) : null;
+  if (Number.isNaN(userId) || Number.isNaN(carId)) {
+    return res.status(400).json({ error: "Ongeldige userId of carId." });
+  }
+
+  try {
+    let query = db
+      .from("trips")
+      .select("*")
+      .eq("org_id", req.orgId)
+      .order("checked_out_at", { ascending: true });
+    if (userId) query = query.eq("user_id", userId);
+    if (carId) query = query.eq("car_id", carId);
+    if (from) query = query.gte("checked_out_at", from);
+    if (to) query = query.lte("checked_out_at", to);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error("DB fout GET /api/reports/mileage:", error);
+      return res.status(500).json({ error: "Kon kilometerrapport niet ophalen." });
+    }
+
+    const trips = data || [];
+    const done = trips.filter((t) => t.checked_in_at && t.odometer_end !== null && t.odometer_end !== undefined);
+
+    // Namen van bestuurders (uit de reservering) en auto's
+    const bookingIds = [...new Set(trips.map((t) => t.booking_id))];
+    const carIds = [...new Set(trips.map((t) => t.car_id))];
+    const [{ data: bookings }, { data: cars }] = await Promise.all([
+      bookingIds.length ? db.from("bookings").select("id, user_name").in("id", bookingIds) : { data: [] },
+      carIds.length ? db.from("cars").select("id, name, license").in("id", carIds) : { data: [] },
+    ]);
+    const userNameByBooking = {};
+    (bookings || []).forEach((b) => {
+      userNameByBooking[b.id] = b.user_name;
+    });
+    const carById = {};
+    (cars || []).forEach((c) => {
+      carById[c.id] = c;
+    });
+
+    const totals = emptyMileage();
+    const byUser = {};
+    const byCar = {};
+    const byMonth = {};
+
+    done.forEach((t) => {
+      addMileage(totals, t);
+
+      const userKey = t.user_id ?? `legacy:${userNameByBooking[t.booking_id] || ""}`;
+      if (!byUser[userKey]) {
+        byUser[userKey] = { userId: t.user_id ?? null, userName: userNameByBooking[t.booking_id] || null, ...emptyMileage() };
+      }
+      addMileage(byUser[userKey], t);
+
+      if (!byCar[t.car_id]) {
+        const car = carById[t.car_id] || {};
+        byCar[t.car_id] = { carId: t.car_id, name: car.name || null, license: car.license || null, ...emptyMileage() };
+      }
+      addMileage(byCar[t.car_id], t);
+
+      const month = localDateKey(new Date(t.checked_out_at)).slice(0, 7);
+      if (!byMonth[month]) byMonth[month] = { month, ...emptyMileage() };
+      addMileage(byMonth[month], t);
+    });
+
+    // Sluitend: per auto moet elke rit beginnen waar de vorige eindigde
+    const gaps = [];
+    if (!userId) {
+      const lastByCar = {};
+      done.forEach((t) => {
+        const previous = lastByCar[t.car_id];
+        if (previous && previous.odometer_end !== t.odometer_start) {
+          gaps.push({
+            carId: t.car_id,
+            license: carById[t.car_id]?.license || null,
+            previousTripId: previous.id,
+            tripId: t.id,
+            fromOdometer: previous.odometer_end,
+            toOdometer: t.odometer_start,
+            distance: t.odometer_start - previous.odometer_end,
+          });
+        }
+        lastByCar[t.car_id] = t;
+      });
+    }
+
+    res.json({
+      from: from || null,
+      to: to || null,
+      categories: TRIP_CATEGORIES,
+      totals,
+      byUser: Object.values(byUser).sort((a, b) => String(a.userName || "").localeCompare(String(b.userName || ""))),
+      byCar: Object.values(byCar).sort((a, b) => String(a.license || "").localeCompare(String(b.license || ""))),
+      byMonth: Object.values(byMonth).sort((a, b) => a.month.localeCompare(b.month)),
+      openTrips: trips.length - done.length,
+      unspecifiedTrips: done.filter((t) => !t.category).length,
+      gaps,
+    });
+  } catch (err) {
+    console.error("Serverfout GET /api/reports/mileage:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Kilometerlog van een auto (admin only, eigen wagenpark), oudste rit eerst.
+// Optioneel ?from=YYYY-MM-DD&to=YYYY-MM-DD (op datum van ophalen).
+app.get("/api/cars/:id/trips", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  const from = parsePeriodBound(req.query.from, false);
+  const to = parsePeriodBound(req.query.to, true);
+  if (from === undefined || to === undefined) {
+    return res.status(400).json({ error: "Ongeldige datum in from/to (gebruik YYYY-MM-DD)." });
+  }
+
+  try {
+    const found = await findOwnCar(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    let query = db
+      .from("trips")
+      .select("*")
+      .eq("car_id", id)
+      .order("checked_out_at", { ascending: true });
+    if (from) query = query.gte("checked_out_at", from);
+    if (to) query = query.lte("checked_out_at", to);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error("DB fout GET /api/cars/:id/trips:", error);
+      return res.status(500).json({ error: "Kon kilometerlog niet ophalen." });
+    }
+
+    const trips = data || [];
+    const { data: bookings } = trips.length
+      ? await db.from("bookings").select("id, user_name, note").in("id", trips.map((t) => t.booking_id))
+      : { data: [] };
+    const bookingById = {};
+    (bookings || []).forEach((b) => {
+      bookingById[b.id] = b;
+    });
+
+    const entries = trips.map((t) => ({
+      ...normalizeTrip(t),
+      userName: bookingById[t.booking_id]?.user_name || null,
+      note: bookingById[t.booking_id]?.note || "",
+    }));
+    const last = entries[entries.length - 1];
+
+    res.json({
+      car: { id: found.car.id, name: found.car.name, license: found.car.license },
+      trips: entries,
+      totalDistance: entries.reduce((sum, t) => sum + (t.distance || 0), 0),
+      lastOdometer: last ? last.odometerEnd ?? last.odometerStart : null,
+    });
+  } catch (err) {
+    console.error("Serverfout GET /api/cars/:id/trips:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- MEETING ROOMS ----------
+//
+
+// Helper: meeting_rooms-rij → API response (camelCase)
+function normalizeMeetingRoom(r) {
+  return {
+    id: r.id,
+    orgId: r.org_id,
+    name: r.name,
+    capacity: r.capacity,
+    equipment: r.equipment || [],
+    requiresApproval: Boolean(r.requires_approval),
+    archived: Boolean(r.archived_at),
+    archivedAt: r.archived_at || null,
+  };
+}
+
+// Helper: ruimte-gegevens uit de request body → kolommen.
+// Bij aanmaken (partial = false) is de naam verplicht.
+function parseRoomFields(body, partial) {
+  const values = {};
+  const { name, capacity, equipment, requiresApproval } = body;
+
+  if (name !== undefined || !partial) {
+    if (!name || !String(name).trim()) return { error: "Naam is verplicht" };
+    values.name = String(name).trim();
+  }
+  if (capacity !== undefined) {
+    const n = capacity === null || capacity === "" ? null : Number(capacity);
+    if (n !== null && (!Number.isInteger(n) || n < 1 || n > 500)) {
+      return { error: "Capaciteit moet een heel getal tussen 1 en 500 zijn" };
+    }
+    values.capacity = n;
+  }
+  if (equipment !== undefined) {
+    // Array of komma-gescheiden tekst ("beamer, whiteboard")
+    const list = Array.isArray(equipment) ? equipment : String(equipment || "").split(",");
+    values.equipment = [...new Set(list.map((e) => String(e).trim()).filter(Boolean))];
+  }
+  if (requiresApproval !== undefined) values.requires_approval = Boolean(requiresApproval);
+
+  return { values };
+}
+
+// Helper: ruimte ophalen en controleren dat hij bij de eigen org van de admin hoort.
+// Geeft { room } of { status, error } terug.
+async function findOwnRoom(id, user) {
+  const { data: room } = await db
+    .from("meeting_rooms")
+    .select("*")
+    .eq("id", id)
+    .maybeSingle();
+
+  if (!room) return { status: 404, error: "Vergaderruimte niet gevonden." };
+  if (room.org_id !== Number(user.orgId)) {
+    return { status: 403, error: "Je kunt alleen vergaderruimtes van je eigen organisatie beheren." };
+  }
+  return { room };
+}
+
+// GET alle vergaderruimtes voor een organisatie
+// Gearchiveerde ruimtes alleen met ?includeArchived=true
+app.get("/api/meeting-rooms", requireAuth, orgScope("meetings"), async (req, res) => {
+  const orgIdNum = req.orgId;
+
+  try {
+    let query = db
+      .from("meeting_rooms")
+      .select("*")
+      .eq("org_id", orgIdNum)
+      .order("id", { ascending: true });
+
+    if (req.query.includeArchived !== "true") {
+      query = query.is("archived_at", null);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      console.error("DB fout GET /api/meeting-rooms:", error);
+      return res.status(500).json({ error: "Kon vergaderruimtes niet ophalen." });
+    }
+
+    // camelCase response
+    res.json((data || []).map(normalizeMeetingRoom));
+  } catch (err) {
+    console.error("Serverfout GET /api/meeting-rooms:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Nieuwe vergaderruimte (admin only) { name, capacity?, equipment? }
+app.post("/api/meeting-rooms", requireAuth, orgScope("meetings"), requirePermission("rooms.manage"), async (req, res) => {
+  if (req.orgId !== Number(req.user.orgId)) {
+    return res.status(403).json({
+      error: "Je organisatie gebruikt de vergaderruimtes van een andere organisatie; ruimtes toevoegen kan daar.",
+    });
+  }
+
+  const parsed = parseRoomFields(req.body, false);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+
+  try {
+    const { data, error } = await db
+      .from("meeting_rooms")
+      .insert([{ ...parsed.values, org_id: req.orgId }])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout POST /api/meeting-rooms:", error);
+      return res.status(500).json({ error: "Kon vergaderruimte niet opslaan." });
+    }
+
+    res.status(201).json(normalizeMeetingRoom(data));
+  } catch (err) {
+    console.error("Serverfout POST /api/meeting-rooms:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Vergaderruimte aanpassen (admin only): name, capacity, equipment en/of archived
+app.patch("/api/meeting-rooms/:id", requireAuth, orgScope("meetings"), requirePermission("rooms.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+  const { archived } = req.body;
+
+  const parsed = parseRoomFields(req.body, true);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const updatePayload = parsed.values;
+
+  if (archived !== undefined) {
+    updatePayload.archived_at = archived ? new Date().toISOString() : null;
+  }
+
+  if (Object.keys(updatePayload).length === 0) {
+    return res.status(400).json({ error: "Niets om bij te werken." });
+  }
+
+  try {
+    const found = await findOwnRoom(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    // Archiveren kan pas als er geen toekomstige vergaderingen meer staan
+    if (archived && !found.room.archived_at) {
+      const { error: futureErr, bookings } = await findFutureBookings("meeting_bookings", "room_id", id, "end_time");
+      if (futureErr) {
+        console.error("DB fout toekomstige vergaderingen PATCH /api/meeting-rooms/:id:", futureErr);
+        return res.status(500).json({ error: "Kon vergaderingen niet controleren." });
+      }
+      if (bookings.length > 0) {
+        return res.status(409).json({
+          error: `Deze ruimte heeft nog ${bookings.length} toekomstige vergadering(en). Verplaats of annuleer die eerst.`,
+          bookings: bookings.map((b) => normalizeMeetingBooking(b)),
+        });
+      }
+    }
+
+    const { data, error } = await db
+      .from("meeting_rooms")
+      .update(updatePayload)
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout PATCH /api/meeting-rooms/:id:", error);
+      return res.status(500).json({ error: "Kon vergaderruimte niet bijwerken." });
+    }
+
+    res.json(normalizeMeetingRoom(data));
+  } catch (err) {
+    console.error("Serverfout PATCH /api/meeting-rooms/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Vergaderruimte verwijderen (admin only). Met toekomstige vergaderingen of
+// eerdere reserveringen → 409 (archiveer de ruimte dan).
+app.delete("/api/meeting-rooms/:id", requireAuth, orgScope("meetings"), requirePermission("rooms.manage"), async (req, res) => {
+  const id = Number(req.params.id);
+
+  try {
+    const found = await findOwnRoom(id, req.user);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    const { error: futureErr, bookings } = await findFutureBookings("meeting_bookings", "room_id", id, "end_time");
+    if (futureErr) {
+      console.error("DB fout toekomstige vergaderingen DELETE /api/meeting-rooms/:id:", futureErr);
+      return res.status(500).json({ error: "Kon vergaderingen niet controleren." });
+    }
+    if (bookings.length > 0) {
+      return res.status(409).json({
+        error: `Deze ruimte heeft nog ${bookings.length} toekomstige vergadering(en). Verplaats of annuleer die eerst.`,
+        bookings: bookings.map((b) => normalizeMeetingBooking(b)),
+      });
+    }
+
+    const { count: historyCount, error: historyErr } = await db
+      .from("meeting_bookings")
+      .select("id", { count: "exact", head: true })
+      .eq("room_id", id);
+
+    if (historyErr) {
+      console.error("DB fout eerdere vergaderingen DELETE /api/meeting-rooms/:id:", historyErr);
+      return res.status(500).json({ error: "Kon eerdere reserveringen niet controleren." });
+    }
+    if (historyCount > 0) {
+      return res.status(409).json({
+        error: "Deze ruimte heeft eerdere reserveringen. Archiveer de ruimte in plaats van hem te verwijderen.",
+      });
+    }
+
+    const { error } = await db.from("meeting_rooms").delete().eq("id", id);
+
+    if (error) {
+      console.error("DB fout DELETE /api/meeting-rooms/:id:", error);
+      return res.status(500).json({ error: "Kon vergaderruimte niet verwijderen." });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Serverfout DELETE /api/meeting-rooms/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- MEETING BOOKINGS ----------
+//
+
+// Helper: meeting_bookings-rij → API response (camelCase)
+function normalizeMeetingBooking(b, orgNames = {}) {
+  return {
+    id: b.id,
+    roomId: b.room_id,
+    orgId: b.org_id,
+    sourceOrgId: b.source_org_id,
+    sourceOrgName: orgNames[b.source_org_id] || null,
+    userId: b.user_id,  // Voor ownership check in frontend
+    title: b.title,
+    organizer: b.organizer,
+    startTime: b.start_time,
+    endTime: b.end_time,
+    seriesId: b.series_id || null,
+    status: b.status || "confirmed",
+  };
+}
+
+// Helper: meeting_series-rij → API response (camelCase)
+function normalizeMeetingSeries(s) {
+  return {
+    id: s.id,
+    roomId: s.room_id,
+    orgId: s.org_id,
+    userId: s.user_id,
+    title: s.title,
+    organizer: s.organizer,
+    startTime: s.start_time,
+    endTime: s.end_time,
+    recurrence: {
+      frequency: s.frequency,
+      interval: s.repeat_interval,
+      until: s.until,
+      count: s.count,
+      exceptions: s.exceptions || [],
+    },
+    cancelledAt: s.cancelled_at || null,
+  };
+}
+
+// Helper: bestaande vergaderingen in een ruimte die overlappen met de gegeven tijdvakken.
+// slots: [{ start: Date, end: Date }], excludeIds: reserveringen die genegeerd worden.
+// Geeft { error, conflicts } terug; conflicts[i] is de botsende rij voor slots[i] of null.
+async function findRoomConflicts(roomId, slots, excludeIds = []) {
+  if (slots.length === 0) return { error: null, conflicts: [] };
+
+  const first = new Date(Math.min(...slots.map((s) => s.start.getTime())));
+  const last = new Date(Math.max(...slots.map((s) => s.end.getTime())));
+
+  const { data, error } = await db
+    .from("meeting_bookings")
+    .select("id, start_time, end_time")
+    .eq("room_id", roomId)
+    .lt("start_time", last.toISOString())
+    .gt("end_time", first.toISOString());
+
+  if (error) return { error, conflicts: [] };
+
+  const existing = (data || []).filter((b) => !excludeIds.includes(b.id));
+  const conflicts = slots.map((slot) =>
+    existing.find((b) =>
+      isOverlap(slot.start, slot.end, new Date(b.start_time), new Date(b.end_time))
+    ) || null
+  );
+  return { error: null, conflicts };
+}
+
+// Scope voor wijzigen/annuleren van een herhaling: alleen deze, deze en volgende, of alles
+function parseSeriesScope(value) {
+  return ["this", "following", "all"].includes(value) ? value : "this";
+}
+
+// GET vergaderreserveringen van de org, oudste eerst.
+// ?date=YYYY-MM-DD (begint op die dag) of ?from=&to= (overlapt met de periode),
+// ?roomId=, ?userId=, ?limit= en ?cursor= (zoals bij GET /api/bookings).
+app.get("/api/meeting-bookings", requireAuth, orgScope("meetings"), async (req, res) => {
+  const { date } = req.query;
+
+  const orgIdNum = req.orgId;
+
+  const filters = parseListFilters(req.query, ["roomId", "userId"]);
+  if (filters.error) return res.status(400).json({ error: filters.error });
+  const page = parsePageQuery(req.query);
+  if (page.error) return res.status(400).json({ error: page.error });
+  const { from, to, roomId, userId } = filters.values;
+
+  try {
+    const buildQuery = () => {
+      let query = db.from("meeting_bookings").select("*").eq("org_id", orgIdNum);
+      if (date) query = query.gte("start_time", dayStartIso(date)).lt("start_time", dayEndIso(date));
+      if (from) query = query.gt("end_time", from);
+      if (to) query = query.lte("start_time", to);
+      if (roomId) query = query.eq("room_id", roomId);
+      if (userId) query = query.eq("user_id", userId);
+      return query;
+    };
+
+    const { rows: data, nextCursor, error } = await fetchPage(buildQuery, "start_time", page.values);
+
+    if (error) {
+      console.error("DB fout GET /api/meeting-bookings:", error);
+      return res.status(500).json({ error: "Kon vergaderreserveringen niet ophalen." });
+    }
+
+    // Haal organisatienamen op voor source_org_ids
+    const sourceOrgIds = [...new Set((data || []).map(b => b.source_org_id).filter(Boolean))];
+    let orgNames = {};
+    if (sourceOrgIds.length > 0) {
+      const { data: orgs } = await db
+        .from("organizations")
+        .select("id, name")
+        .in("id", sourceOrgIds);
+      orgNames = (orgs || []).reduce((acc, o) => ({ ...acc, [o.id]: o.name }), {});
+    }
+
+    // camelCase response
+    setNextCursor(res, nextCursor);
+    res.json((data || []).map((b) => normalizeMeetingBooking(b, orgNames)));
+  } catch (err) {
+    console.error("Serverfout GET /api/meeting-bookings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Reeks van herhalende vergaderingen aanmaken.
+// dryRun: alleen de lijst met (on)beschikbare datums teruggeven, niets opslaan.
+// Bij conflicten een 409 met per herhaling de status, tenzij skipConflicts is gezet.
+async function createMeetingSeries(res, params) {
+  const { roomIdNum, orgIdNum, sourceOrgId, userId, title, organizer, start, end, rule, dryRun, skipConflicts, status, tokenUser } = params;
+
+  let occurrences;
+  try {
+    occurrences = expandOccurrences(start, end, rule);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (occurrences.length === 0) {
+    return res.status(400).json({ error: "Deze herhaling levert geen vergaderingen op." });
+  }
+  for (let i = 1; i < occurrences.length; i++) {
+    if (occurrences[i].start < occurrences[i - 1].end) {
+      return res.status(400).json({
+        error: "Herhalingen overlappen elkaar. Kies een kortere duur of een grotere tussenpoos.",
+      });
+    }
+  }
+
+  const policyError = await checkBookingPolicy("room", orgIdNum, tokenUser, occurrences, {
+    userId,
+    resource: { column: "room_id", id: roomIdNum },
+  });
+  if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+
+  const { error: overlapErr, conflicts } = await findRoomConflicts(roomIdNum, occurrences);
+  if (overlapErr) {
+    console.error("DB fout overlap-check reeks vergadering:", overlapErr);
+    return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+  }
+
+  const report = occurrences.map((o, i) => {
+    const item = { date: o.date, startTime: o.start.toISOString(), endTime: o.end.toISOString() };
+    if (conflicts[i]) {
+      return { ...item, status: "conflict", conflictBookingId: conflicts[i].id, error: "Ruimte is al geboekt." };
+    }
+    return { ...item, status: "ok" };
+  });
+  const free = report.filter((r) => r.status === "ok");
+  const conflictDates = report.filter((r) => r.status !== "ok").map((r) => r.date);
+
+  if (dryRun) {
+    return res.json({ occurrences: report, conflicts: conflictDates });
+  }
+
+  if (free.length === 0 || (conflictDates.length > 0 && !skipConflicts)) {
+    const firstConflict = report.find((r) => r.status !== "ok");
+    recordRejection({
+      kind: "room",
+      org_id: orgIdNum,
+      room_id: roomIdNum,
+      user_id: userId,
+      start: firstConflict.startTime,
+      end: firstConflict.endTime,
+      reason: "conflict",
+      occurrences: conflictDates.length,
+    });
+    return res.status(409).json({
+      error: `${conflictDates.length} van de ${report.length} herhalingen zijn niet beschikbaar.`,
+      occurrences: report,
+      conflicts: conflictDates,
+    });
+  }
+
+  const { data: series, error: seriesErr } = await db
+    .from("meeting_series")
+    .insert([{
+      room_id: roomIdNum,
+      org_id: orgIdNum,
+      source_org_id: Number(sourceOrgId),
+      user_id: userId,
+      title: title || null,
+      organizer,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      frequency: rule.frequency,
+      repeat_interval: rule.interval,
+      until: rule.until,
+      count: rule.count,
+      // Overgeslagen (bezette) datums worden uitzonderingen van de reeks
+      exceptions: [...rule.exceptions, ...conflictDates],
+    }])
+    .select()
+    .single();
+
+  if (seriesErr) {
+    console.error("DB fout INSERT meeting_series:", seriesErr);
+    return res.status(500).json({ error: "Kon reeks niet opslaan." });
+  }
+
+  const { data: inserted, error: insErr } = await db
+    .from("meeting_bookings")
+    .insert(free.map((r) => ({
+      room_id: roomIdNum,
+      org_id: orgIdNum,
+      source_org_id: Number(sourceOrgId),
+      user_id: userId,
+      title: title || null,
+      organizer,
+      start_time: r.startTime,
+      end_time: r.endTime,
+      series_id: series.id,
+      status,
+    })))
+    .select();
+
+  if (insErr) {
+    await db.from("meeting_series").delete().eq("id", series.id);
+    if (isOverlapViolation(insErr)) {
+      return res.status(409).json({ error: "Deze vergaderruimte is in deze periode al geboekt." });
+    }
+    console.error("DB fout INSERT /api/meeting-bookings (reeks):", insErr);
+    return res.status(500).json({ error: "Kon vergaderreserveringen niet opslaan." });
+  }
+
+  notifyInBackground(() => notifyNewBookings("room", inserted || []));
+
+  return res.status(201).json({
+    series: normalizeMeetingSeries(series),
+    bookings: (inserted || []).map((b) => normalizeMeetingBooking(b)),
+    occurrences: report,
+  });
+}
+
+// POST nieuwe vergaderreservering, optioneel herhalend via `recurrence`
+app.post("/api/meeting-bookings", requireAuth, orgScope("meetings"), requirePermission("rooms.book"), async (req, res) => {
+  const { roomId, title, organizer, startTime, endTime, recurrence, dryRun, skipConflicts } = req.body;
+
+  if (!roomId || !organizer || !startTime || !endTime) {
+    return res.status(400).json({
+      error: "roomId, organizer, startTime en endTime zijn verplicht"
+    });
+  }
+
+  // user_id en source_org koppeling uit het token
+  const userId = req.user.userId || null;
+  const sourceOrgId = req.user.orgId; // Echte org van de user
+
+  const orgIdNum = req.orgId;
+  const roomIdNum = Number(roomId);
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+
+  if (end <= start) {
+    return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+  }
+
+  let rule = null;
+  if (recurrence) {
+    const parsed = parseRecurrence(recurrence);
+    if (parsed.error) return res.status(400).json({ error: parsed.error });
+    rule = parsed.rule;
+  }
+
+  try {
+    // Check of kamer bestaat en bij deze org hoort
+    const { data: roomData, error: roomError } = await db
+      .from("meeting_rooms")
+      .select("id, org_id, requires_approval")
+      .eq("id", roomIdNum)
+      .eq("org_id", orgIdNum)
+      .is("archived_at", null)
+      .single();
+
+    if (roomError || !roomData) {
+      console.error("DB fout room-check /api/meeting-bookings:", roomError);
+      return res.status(400).json({ error: "Onbekende vergaderruimte." });
+    }
+
+    if (rule) {
+      return await createMeetingSeries(res, {
+        roomIdNum,
+        orgIdNum,
+        sourceOrgId,
+        userId,
+        title,
+        organizer,
+        start,
+        end,
+        rule,
+        dryRun: Boolean(dryRun),
+        skipConflicts: Boolean(skipConflicts),
+        status: initialBookingStatus("room", roomData, req.user),
+        tokenUser: req.user,
+      });
+    }
+
+    const policyError = await checkBookingPolicy("room", orgIdNum, req.user, [{ start, end }], {
+      userId,
+      resource: { column: "room_id", id: roomIdNum },
+    });
+    if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+
+    // Check overlap
+    const { data: overlapping, error: overlapErr } = await db
+      .from("meeting_bookings")
+      .select("id")
+      .eq("room_id", roomIdNum)
+      .lt("start_time", end.toISOString())
+      .gt("end_time", start.toISOString());
+
+    if (overlapErr) {
+      console.error("DB fout overlap-check vergadering:", overlapErr);
+      return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+    }
+
+    const rejectConflict = () => {
+      recordRejection({
+        kind: "room",
+        org_id: orgIdNum,
+        room_id: roomIdNum,
+        user_id: userId,
+        start: start.toISOString(),
+        end: end.toISOString(),
+        reason: "conflict",
+      });
+      return res.status(409).json({ 
+        error: "Deze vergaderruimte is in deze periode al geboekt." 
+      });
+    };
+
+    if (overlapping && overlapping.length > 0) {
+      return rejectConflict();
+    }
+
+    // Insert nieuwe reservering
+    const insertPayload = {
+      room_id: roomIdNum,
+      org_id: orgIdNum,
+      source_org_id: Number(sourceOrgId), // Echte org van de user (voor weergave)
+      user_id: userId,  // Koppel aan user als ingelogd, anders null
+      title: title || null,
+      organizer: organizer,
+      start_time: start.toISOString(),
+      end_time: end.toISOString(),
+      // Ruimte met goedkeuring: voorlopig, tot een goedkeurder de aanvraag afhandelt
+      status: initialBookingStatus("room", roomData, req.user),
+    };
+
+    const { data, error } = await db
+      .from("meeting_bookings")
+      .insert([insertPayload])
+      .select()
+      .single();
+
+    // Gelijktijdig verzoek was net eerder
+    if (isOverlapViolation(error)) {
+      return rejectConflict();
+    }
+    if (error) {
+      console.error("DB fout INSERT /api/meeting-bookings:", error);
+      return res.status(500).json({ error: "Kon vergaderreservering niet opslaan." });
+    }
+
+    notifyInBackground(() => notifyNewBookings("room", [data]));
+
+    // camelCase response
+    return res.status(201).json(normalizeMeetingBooking(data));
+  } catch (err) {
+    console.error("Serverfout POST /api/meeting-bookings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Helper: welke reserveringen van een reeks vallen onder de scope, gezien vanaf `booking`?
+//   this      → alleen deze reservering
+//   following → deze en alle latere herhalingen
+//   all       → alle herhalingen die nog niet begonnen zijn (plus deze)
+async function meetingScopeTargets(booking, scope) {
+  if (!booking.series_id || scope === "this") return { error: null, targets: [booking] };
+
+  const now = new Date().toISOString();
+  const from = scope === "following" || booking.start_time < now ? booking.start_time : now;
+
+  const { data, error } = await db
+    .from("meeting_bookings")
+    .select("*")
+    .eq("series_id", booking.series_id)
+    .gte("start_time", from)
+    .order("start_time", { ascending: true });
+
+  if (error) return { error, targets: [] };
+  return { error: null, targets: data || [] };
+}
+
+// Vergaderreservering wijzigen (titel, organisator, ruimte en/of tijd)
+// ?scope=this|following|all bepaalt bij een reeks welke herhalingen meeveranderen.
+// Een nieuwe startTime/endTime geldt voor deze herhaling; de andere schuiven evenveel mee.
+app.patch("/api/meeting-bookings/:id", requireAuth, orgScope("meetings"), async (req, res) => {
+  const id = Number(req.params.id);
+  const tokenUser = req.user;
+  const scope = parseSeriesScope(req.query.scope || req.body.scope);
+  const { title, organizer, roomId, startTime, endTime } = req.body;
+
+  try {
+    const { data: booking, error: fetchError } = await db
+      .from("meeting_bookings")
+      .select("*")
+      .eq("id", id)
+      .eq("org_id", req.orgId)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({ error: "Vergaderreservering niet gevonden" });
+    }
+
+    const accessError = bookingAccessError(booking, tokenUser, "wijzigen");
+    if (accessError) return res.status(accessError.status).json({ error: accessError.error });
+
+    if (organizer !== undefined && !String(organizer).trim()) {
+      return res.status(400).json({ error: "Organisator mag niet leeg zijn" });
+    }
+
+    const newStart = startTime ? new Date(startTime) : new Date(booking.start_time);
+    const newEnd = endTime ? new Date(endTime) : new Date(booking.end_time);
+    if (Number.isNaN(newStart.getTime()) || Number.isNaN(newEnd.getTime())) {
+      return res.status(400).json({ error: "Ongeldige start- of eindtijd" });
+    }
+    if (newEnd <= newStart) {
+      return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+    }
+
+    // Een andere ruimte moet bestaan en niet gearchiveerd zijn
+    const newRoomId = roomId !== undefined && roomId !== null ? Number(roomId) : booking.room_id;
+    const { data: roomData } = await db
+      .from("meeting_rooms")
+      .select("id, archived_at, requires_approval")
+      .eq("id", newRoomId)
+      .eq("org_id", booking.org_id)
+      .maybeSingle();
+    if (!roomData || (newRoomId !== booking.room_id && roomData.archived_at)) {
+      return res.status(400).json({ error: "Onbekende vergaderruimte." });
+    }
+
+    const { error: targetErr, targets } = await meetingScopeTargets(booking, scope);
+    if (targetErr) {
+      console.error("DB fout reeks ophalen PATCH /api/meeting-bookings/:id:", targetErr);
+      return res.status(500).json({ error: "Kon reeks niet ophalen." });
+    }
+
+    // Verschuiving t.o.v. de aangeklikte herhaling, toegepast op alle targets
+    const startShift = newStart.getTime() - new Date(booking.start_time).getTime();
+    const endShift = newEnd.getTime() - new Date(booking.end_time).getTime();
+    const planned = targets.map((t) => ({
+      row: t,
+      start: new Date(new Date(t.start_time).getTime() + startShift),
+      end: new Date(new Date(t.end_time).getTime() + endShift),
+    }));
+
+    // Andere ruimte of ander tijdvak: opnieuw langs de reserveringsregels (en de goedkeuring)
+    const moved = newRoomId !== booking.room_id || startShift !== 0 || endShift !== 0;
+    if (moved) {
+      const policyError = await checkBookingPolicy("room", booking.org_id, tokenUser, planned, {
+        userId: booking.user_id,
+        resource: { column: "room_id", id: newRoomId },
+        excludeIds: targets.map((t) => t.id),
+        checkStart: startShift !== 0,
+      });
+      if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+    }
+
+    const { error: overlapErr, conflicts } = await findRoomConflicts(
+      newRoomId,
+      planned,
+      targets.map((t) => t.id)
+    );
+    if (overlapErr) {
+      console.error("DB fout overlap-check PATCH /api/meeting-bookings/:id:", overlapErr);
+      return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
+    }
+
+    const clashes = planned
+      .map((p, i) => (conflicts[i] ? { id: p.row.id, date: localDateKey(p.start), startTime: p.start.toISOString(), endTime: p.end.toISOString() } : null))
+      .filter(Boolean);
+    if (clashes.length > 0) {
+      return res.status(409).json({
+        error: "Deze vergaderruimte is in deze periode al geboekt.",
+        conflicts: clashes,
+      });
+    }
+
+    const fieldChanges = { room_id: newRoomId };
+    if (title !== undefined) fieldChanges.title = title || null;
+    if (organizer !== undefined) fieldChanges.organizer = String(organizer).trim();
+
+    // "Deze en volgende" midden in een reeks: reeks splitsen in een oude en een nieuwe.
+    // De nieuwe reeks bestaat al voordat de herhalingen verhuizen (die krijgen haar id);
+    // het oude reeksrecord wordt pas bijgewerkt als alle herhalingen zijn weggeschreven.
+    let newSeriesId = null;
+    let seriesUpdate = null;
+    if (booking.series_id && scope !== "this") {
+      const { data: series } = await db
+        .from("meeting_series")
+        .select("*")
+        .eq("id", booking.series_id)
+        .maybeSingle();
+
+      if (series) {
+        const bookingDate = localDateKey(new Date(booking.start_time));
+        const isFirst = bookingDate <= localDateKey(new Date(series.start_time));
+
+        if (scope === "following" && !isFirst) {
+          const { data: split, error: splitErr } = await db
+            .from("meeting_series")
+            .insert([{
+              ...series,
+              id: undefined,
+              created_at: undefined,
+              ...fieldChanges,
+              start_time: newStart.toISOString(),
+              end_time: newEnd.toISOString(),
+              count: series.count ? targets.length : null,
+              exceptions: (series.exceptions || []).filter((d) => d >= bookingDate),
+            }])
+            .select()
+            .single();
+
+          if (splitErr) {
+            console.error("DB fout splitsen meeting_series:", splitErr);
+            return res.status(500).json({ error: "Kon reeks niet splitsen." });
+          }
+          newSeriesId = split.id;
+          seriesUpdate = { until: shiftDateKey(bookingDate, -1), count: null };
+        } else {
+          seriesUpdate = {
+            ...fieldChanges,
+            start_time: new Date(new Date(series.start_time).getTime() + startShift).toISOString(),
+            end_time: new Date(new Date(series.end_time).getTime() + endShift).toISOString(),
+          };
+        }
+      }
+    }
+
+    // Mislukt het verplaatsen, dan mag de afgesplitste reeks niet blijven bestaan
+    const discardSplit = async () => {
+      if (newSeriesId) await db.from("meeting_series").delete().eq("id", newSeriesId);
+    };
+
+    const rows = planned.map((p) => {
+      const changes = {
+        ...fieldChanges,
+        start_time: p.start.toISOString(),
+        end_time: p.end.toISOString(),
+      };
+      if (newSeriesId) changes.series_id = newSeriesId;
+      if (startShift !== 0) changes.reminder_sent_at = null;
+      // Andere ruimte of ander tijdvak: opnieuw goedkeuring nodig als de ruimte dat vraagt
+      if (moved) changes.status = initialBookingStatus("room", roomData, tokenUser);
+      changes.sequence = (p.row.sequence || 0) + 1;
+      return { id: p.row.id, changes };
+    });
+
+    // Meerdere herhalingen in de tijd verschuiven: in één upsert, zodat de database alles
+    // of niets overneemt (de overlap-constraint wordt pas aan het eind gecontroleerd, zie
+    // migratie 020). Rij voor rij botst een herhaling met het oude tijdvak van de volgende.
+    // Al het andere (één herhaling, of alleen titel/organisator/ruimte) gewoon per rij.
+    const updated = [];
+    if (rows.length > 1 && (startShift !== 0 || endShift !== 0)) {
+      const { data, error: upsertErr } = await db
+        .from("meeting_bookings")
+        .upsert(rows.map((r, i) => ({ ...planned[i].row, ...r.changes })), { onConflict: "id" })
+        .select();
+
+      if (isOverlapViolation(upsertErr)) {
+        await discardSplit();
+        return res.status(409).json({ error: "Deze vergaderruimte is in deze periode al geboekt." });
+      }
+      if (upsertErr) {
+        console.error("DB fout PATCH /api/meeting-bookings/:id:", upsertErr);
+        await discardSplit();
+        return res.status(500).json({ error: "Kon vergaderreservering niet bijwerken." });
+      }
+      updated.push(...(data || []));
+    } else {
+      for (const { id: rowId, changes } of rows) {
+        const { data: row, error: updErr } = await db
+          .from("meeting_bookings")
+          .update(changes)
+          .eq("id", rowId)
+          .select()
+          .single();
+
+        if (isOverlapViolation(updErr)) {
+          await discardSplit();
+          return res.status(409).json({ error: "Deze vergaderruimte is in deze periode al geboekt." });
+        }
+        if (updErr) {
+          console.error("DB fout PATCH /api/meeting-bookings/:id:", updErr);
+          await discardSplit();
+          return res.status(500).json({ error: "Kon vergaderreservering niet bijwerken." });
+        }
+        updated.push(row);
+      }
+    }
+
+    if (seriesUpdate) {
+      const { error: seriesErr } = await db.from("meeting_series").update(seriesUpdate).eq("id", booking.series_id);
+      if (seriesErr) console.error("DB fout UPDATE meeting_series:", seriesErr);
+    }
+
+    notifyInBackground(() => notifyBookers(
+      "room",
+      updated,
+      (item, toItem) => mailTemplates.bookingChanged(item, tokenUser.name, toItem(booking)),
+      { skipUserId: tokenUser.userId, related: [booking] }
+    ));
+    const pending = updated.filter((b) => b.status === "pending");
+    if (pending.length && booking.status !== "pending") {
+      notifyInBackground(() => notifyApprovers("room", pending));
+    }
+
+    res.json({ success: true, scope, updated: updated.map((b) => normalizeMeetingBooking(b)) });
+  } catch (err) {
+    console.error("Serverfout PATCH /api/meeting-bookings/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// DELETE vergaderreservering (met ownership check)
+// ?scope=this|following|all bepaalt bij een reeks welke herhalingen geannuleerd worden
+app.delete("/api/meeting-bookings/:id", requireAuth, orgScope("meetings"), async (req, res) => {
+  const id = Number(req.params.id);
+  const tokenUser = req.user;
+  const scope = parseSeriesScope(req.query.scope);
+
+  try {
+    // Eerst de booking ophalen om ownership te checken
+    const { data: booking, error: fetchError } = await db
+      .from("meeting_bookings")
+      .select("*")
+      .eq("id", id)
+      .eq("org_id", req.orgId)
+      .single();
+
+    if (fetchError || !booking) {
+      return res.status(404).json({ error: "Vergaderreservering niet gevonden" });
+    }
+
+    // Authenticatie verplicht + eigenaar of admin
+    const accessError = bookingAccessError(booking, tokenUser, "verwijderen");
+    if (accessError) return res.status(accessError.status).json({ error: accessError.error });
+
+    if (booking.series_id && scope !== "this") {
+      const { error: targetErr, targets } = await meetingScopeTargets(booking, scope);
+      if (targetErr) {
+        console.error("DB fout reeks ophalen DELETE /api/meeting-bookings/:id:", targetErr);
+        return res.status(500).json({ error: "Kon reeks niet ophalen." });
+      }
+
+      const { data: deletedRows, error: delErr } = await db
+        .from("meeting_bookings")
+        .delete()
+        .in("id", targets.map((t) => t.id))
+        .select();
+
+      if (delErr) {
+        console.error("DB fout DELETE /api/meeting-bookings/:id (reeks):", delErr);
+        return res.status(500).json({ error: "Kon vergaderingen niet verwijderen." });
+      }
+
+      await recordCancellations("room", deletedRows || []);
+      notifyInBackground(() => notifyBookers(
+        "room",
+        deletedRows || [],
+        (item) => mailTemplates.bookingCancelled(item, tokenUser.name),
+        { skipUserId: tokenUser.userId }
+      ));
+      processWaitlistInBackground("room", deletedRows || []);
+
+      const seriesUpdate = scope === "following"
+        ? { until: shiftDateKey(localDateKey(new Date(booking.start_time)), -1), count: null }
+        : { cancelled_at: new Date().toISOString() };
+      await db.from("meeting_series").update(seriesUpdate).eq("id", booking.series_id);
+
+      return res.json({ success: true, scope, deleted: deletedRows || [] });
+    }
+
+    const { data, error } = await db
+      .from("meeting_bookings")
+      .delete()
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout DELETE /api/meeting-bookings/:id:", error);
+      return res.status(500).json({ error: "Kon vergaderreservering niet verwijderen." });
+    }
+
+    await recordCancellations("room", [booking]);
+    notifyInBackground(() => notifyBookers(
+      "room",
+      [booking],
+      (item) => mailTemplates.bookingCancelled(item, tokenUser.name),
+      { skipUserId: tokenUser.userId }
+    ));
+    processWaitlistInBackground("room", [booking]);
+
+    // Losse herhaling geannuleerd: datum vastleggen als uitzondering van de reeks
+    if (booking.series_id) {
+      const { data: series } = await db
+        .from("meeting_series")
+        .select("id, exceptions")
+        .eq("id", booking.series_id)
+        .maybeSingle();
+      if (series) {
+        await db
+          .from("meeting_series")
+          .update({ exceptions: [...(series.exceptions || []), localDateKey(new Date(booking.start_time))] })
+          .eq("id", series.id);
+      }
+    }
+
+    res.json({ success: true, scope, deleted: data });
+  } catch (err) {
+    console.error("Serverfout DELETE /api/meeting-bookings/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- MIJN RESERVERINGEN ----------
+//
+
+const MY_BOOKINGS_WHEN = ["upcoming", "past"];
+const MY_BOOKING_TYPES = ["car", "room"];
+
+// De lijst loopt over twee tabellen, dus de cursor is [begintijd, type, id].
+// Bij dezelfde begintijd komen auto's vóór ruimtes (bij nieuwste eerst andersom).
+function encodeMyBookingsCursor(item) {
+  return Buffer.from(JSON.stringify([item.start, item.type, item.id])).toString("base64url");
+}
+
+function decodeMyBookingsCursor(value) {
+  try {
+    const [start, type, id] = JSON.parse(Buffer.from(String(value), "base64url").toString("utf8"));
+    if (Number.isNaN(new Date(start).getTime()) || !MY_BOOKING_TYPES.includes(type) || !Number.isInteger(id)) {
+      return null;
+    }
+    return { start, type, id };
+  } catch {
+    return null;
+  }
+}
+
+// Helper: gecombineerde cursor → cursor voor fetchPage op de tabel van `type`.
+// Voor de andere tabel komen rijen met dezelfde begintijd nog allemaal (id 0) of niet meer (max id).
+function tableCursor(cursor, type, ascending) {
+  if (!cursor) return null;
+  if (cursor.type === type) return { start: cursor.start, id: cursor.id };
+  const stillToCome = ascending ? type === "room" : type === "car";
+  return { start: cursor.start, id: stillToCome === ascending ? 0 : Number.MAX_SAFE_INTEGER };
+}
+
+function compareMyBookings(a, b) {
+  return (
+    new Date(a.start) - new Date(b.start) ||
+    MY_BOOKING_TYPES.indexOf(a.type) - MY_BOOKING_TYPES.indexOf(b.type) ||
+    a.id - b.id
+  );
+}
+
+// Eigen reserveringen van de ingelogde gebruiker: poolauto's en vergaderruimtes samen.
+// ?when=upcoming (standaard: nog niet afgelopen, eerstvolgende eerst) of ?when=past
+// (afgelopen, meest recente eerst), ?type=car|room, ?limit= en ?cursor= (uit X-Next-Cursor).
+// Elk item heeft type, label (auto of ruimte), start en end, plus de velden van
+// GET /api/bookings (met trip) of GET /api/meeting-bookings.
+app.get("/api/me/bookings", requireAuth, async (req, res) => {
+  const userId = req.user.userId;
+  if (!userId) {
+    return res.status(403).json({ error: "Log in met je eigen account om je reserveringen te zien." });
+  }
+
+  const when = req.query.when || "upcoming";
+  if (!MY_BOOKINGS_WHEN.includes(when)) {
+    return res.status(400).json({ error: "Ongeldige waarde voor when. Gebruik 'upcoming' of 'past'." });
+  }
+  const type = req.query.type || null;
+  if (type && !MY_BOOKING_TYPES.includes(type)) {
+    return res.status(400).json({ error: "Ongeldig type. Gebruik 'car' of 'room'." });
+  }
+  const page = parsePageQuery({ limit: req.query.limit }, { alwaysPaged: true });
+  if (page.error) return res.status(400).json({ error: page.error });
+  const { limit } = page.values;
+  let cursor = null;
+  if (req.query.cursor) {
+    cursor = decodeMyBookingsCursor(req.query.cursor);
+    if (!cursor) return res.status(400).json({ error: "Ongeldige cursor." });
+  }
+
+  const ascending = when === "upcoming";
+  const now = new Date().toISOString();
+  const allowedSections = req.user.allowedSections || ["cars", "meetings"];
+  const sources = [
+    { type: "car", section: "cars", table: "bookings", start: "start", end: "end", orgId: req.user.carOrgId },
+    { type: "room", section: "meetings", table: "meeting_bookings", start: "start_time", end: "end_time", orgId: req.user.meetingOrgId },
+  ].filter((s) => allowedSections.includes(s.section) && (!type || s.type === type));
+
+  try {
+    const rows = { car: [], room: [] };
+    let more = false;
+
+    for (const source of sources) {
+      const orgId = Number(source.orgId || req.user.orgId);
+      const buildQuery = () => {
+        const query = db.from(source.table).select("*").eq("org_id", orgId).eq("user_id", userId);
+        return ascending ? query.gt(source.end, now) : query.lte(source.end, now);
+      };
+
+      const result = await fetchPage(buildQuery, source.start, {
+        limit,
+        cursor: tableCursor(cursor, source.type, ascending),
+        ascending,
+      });
+      if (result.error) {
+        console.error(`DB fout GET /api/me/bookings (${source.table}):`, result.error);
+        return res.status(500).json({ error: "Kon je reserveringen niet ophalen." });
+      }
+      rows[source.type] = result.rows;
+      if (result.nextCursor) more = true;
+    }
+
+    const [carLabels, roomLabels, tripResult] = await Promise.all([
+      loadCarLabels(rows.car),
+      loadRoomLabels(rows.room),
+      loadTripsByBooking(rows.car.map((b) => b.id)),
+    ]);
+    if (tripResult.error) {
+      console.error("DB fout (trips) GET /api/me/bookings:", tripResult.error);
+      return res.status(500).json({ error: "Kon ritten niet ophalen." });
+    }
+
+    const items = [
+      ...rows.car.map((b) => ({
+        type: "car",
+        label: carLabels[b.car_id ? `car:${b.car_id}` : `extra:${b.extra_car_id}`] || "auto",
+        ...normalizeBooking(b),
+        trip: tripResult.trips[b.id] ? normalizeTrip(tripResult.trips[b.id]) : null,
+      })),
+      ...rows.room.map((b) => ({
+        type: "room",
+        label: roomLabels[`room:${b.room_id}`] || "vergaderruimte",
+        start: b.start_time,
+        end: b.end_time,
+        ...normalizeMeetingBooking(b),
+      })),
+    ].sort((a, b) => (ascending ? compareMyBookings(a, b) : compareMyBookings(b, a)));
+
+    const pageItems = items.slice(0, limit);
+    if (more || items.length > limit) {
+      setNextCursor(res, encodeMyBookingsCursor(pageItems[pageItems.length - 1]));
+    }
+    res.json(pageItems);
+  } catch (err) {
+    console.error("Serverfout GET /api/me/bookings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- WACHTLIJST (bezette auto's en ruimtes) ----------
+//
+
+const WAITLIST_TYPES = ["car", "room"];
+const WAITLIST_STATUSES = {
+  waiting: "Op de wachtlijst",
+  offered: "Plek vrijgekomen",
+  booked: "Gereserveerd",
+  cancelled: "Afgemeld",
+};
+const WAITLIST_OPEN = ["waiting", "offered"];
+// Zo lang blijft een aangeboden plek voor iemand vrij (0 = tot het begin van het tijdvak);
+// daarna gaat de plek naar de volgende wachtende
+const WAITLIST_OFFER_MINUTES = Number(process.env.WAITLIST_OFFER_MINUTES ?? 120);
+
+// Tot wanneer een aanbod geldt: offered_at + WAITLIST_OFFER_MINUTES, maar nooit na het begin
+function offerExpiresAt(entry) {
+  if (entry.status !== "offered" || !entry.offered_at) return null;
+  const start = new Date(entry.start);
+  if (WAITLIST_OFFER_MINUTES <= 0) return start;
+  const deadline = new Date(new Date(entry.offered_at).getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+  return deadline < start ? deadline : start;
+}
+
+function normalizeWaitlistEntry(w, label = null) {
+  return {
+    id: w.id,
+    type: w.kind,
+    orgId: w.org_id,
+    userId: w.user_id,
+    userName: w.user_name,
+    carId: w.car_id,
+    anyCar: w.kind === "car" && !w.car_id,
+    roomId: w.room_id,
+    label,
+    start: w.start,
+    end: w.end,
+    note: w.note || "",
+    autoBook: w.auto_book,
+    status: w.status,
+    statusLabel: WAITLIST_STATUSES[w.status] || w.status,
+    bookingId: w.booking_id,
+    offeredAt: w.status === "offered" ? w.offered_at : null,
+    offerExpiresAt: offerExpiresAt(w),
+    createdAt: w.created_at,
+  };
+}
+
+// Helper: omschrijvingen voor wachtlijst-aanmeldingen (zelfde sleutels als loadCarLabels/loadRoomLabels)
+async function loadWaitlistLabels(entries) {
+  const [carLabels, roomLabels] = await Promise.all([
+    loadCarLabels(entries.filter((w) => w.kind === "car")),
+    loadRoomLabels(entries.filter((w) => w.kind === "room")),
+  ]);
+  return { ...carLabels, ...roomLabels };
+}
+
+function waitlistLabel(entry, labels) {
+  if (entry.kind === "room") return labels[`room:${entry.room_id}`] || "vergaderruimte";
+  return entry.car_id ? labels[`car:${entry.car_id}`] || "auto" : "Elke auto";
+}
+
+// Helper: wachtlijst-aanmelding → item voor lib/mail-templates
+function waitlistMailItem(entry, labels) {
+  return {
+    kind: entry.kind,
+    what: entry.kind === "car" && !entry.car_id ? "eerste vrije auto" : waitlistLabel(entry, labels),
+    title: entry.kind === "room" ? entry.note || null : null,
+    userName: entry.user_name,
+    start: entry.start,
+    end: entry.end,
+    count: 1,
+  };
+}
+
+// Helper: is het tijdvak van de aanmelding nu vrij?
+// Geeft { free, car } terug (car = { type, id } bij een auto) of { status, error }.
+async function findWaitlistSlot(entry) {
+  const startDate = new Date(entry.start);
+  const endDate = new Date(entry.end);
+
+  if (entry.kind === "room") {
+    const { conflicts, error } = await findRoomConflicts(entry.room_id, [{ start: startDate, end: endDate }]);
+    if (error) {
+      console.error("DB fout overlap-check wachtlijst (ruimte):", error);
+      return { status: 500, error: "Kon beschikbaarheid niet controleren." };
+    }
+    return { free: !conflicts[0], car: null };
+  }
+
+  if (!entry.car_id) {
+    const picked = await pickBestCar(entry.org_id, startDate, endDate);
+    if (picked.error) return { status: picked.status, error: picked.error };
+    return { free: Boolean(picked.car), car: picked.car };
+  }
+
+  const availability = await loadCarAvailability(entry.org_id, startDate, endDate, "wachtlijst");
+  if (availability.error) return { status: availability.status, error: availability.error };
+  const car = availability.cars.find((c) => c.type === "pool" && c.id === entry.car_id);
+  return { free: Boolean(car && car.available), car: car || null };
+}
+
+// Helper: zou de wachtende dit tijdvak nu zelf mogen reserveren (reserveringsregels van de org)?
+// Geeft null of { status, error } terug, net als checkBookingPolicy.
+async function waitlistPolicyError(entry, car) {
+  const { data: user } = await db.from("users").select("id, role").eq("id", entry.user_id).maybeSingle();
+  const resource = entry.kind === "room"
+    ? { column: "room_id", id: entry.room_id }
+    : { column: car.type === "extra" ? "extra_car_id" : "car_id", id: car.id };
+  return checkBookingPolicy(
+    entry.kind,
+    entry.org_id,
+    { userId: entry.user_id, role: user ? user.role : null },
+    [{ start: new Date(entry.start), end: new Date(entry.end) }],
+    { userId: entry.user_id, resource }
+  );
+}
+
+// Helper: reservering maken voor een wachtende. Geeft { booking }, { policyError } (de regels
+// staan het niet toe) of { error } (DB-fout) terug.
+// Bij een auto of ruimte met goedkeuring wordt de reservering een aanvraag ('pending').
+async function bookFromWaitlist(entry, car) {
+  const policyError = await waitlistPolicyError(entry, car);
+  if (policyError) return { policyError };
+
+  const table = entry.kind === "room" ? "meeting_bookings" : "bookings";
+  const { data: resource } = entry.kind === "room"
+    ? await db.from("meeting_rooms").select("requires_approval").eq("id", entry.room_id).maybeSingle()
+    : car.type === "pool"
+      ? await db.from("cars").select("requires_approval").eq("id", car.id).maybeSingle()
+      : { data: null };
+  const status = resource && resource.requires_approval ? "pending" : "confirmed";
+  const payload = entry.kind === "room"
+    ? {
+        room_id: entry.room_id,
+        org_id: entry.org_id,
+        source_org_id: entry.source_org_id,
+        user_id: entry.user_id,
+        title: entry.note || null,
+        organizer: entry.user_name,
+        start_time: entry.start,
+        end_time: entry.end,
+        status,
+      }
+    : {
+        org_id: entry.org_id,
+        source_org_id: entry.source_org_id,
+        car_id: car.type === "pool" ? car.id : null,
+        extra_car_id: car.type === "extra" ? car.id : null,
+        user_id: entry.user_id,
+        user_name: entry.user_name,
+        start: entry.start,
+        end: entry.end,
+        note: entry.note || "",
+        status,
+      };
+
+  const { data, error } = await db.from(table).insert([payload]).select().single();
+  if (error) return { error };
+
+  const { error: markErr } = await db
+    .from("waitlist_entries")
+    .update({ status: "booked", booking_id: data.id })
+    .eq("id", entry.id);
+  if (markErr) console.error("DB fout wachtlijst markeren als gereserveerd:", markErr);
+
+  return { booking: data };
+}
+
+// Helper: eerste wachtenden de vrijgekomen plek geven. `freedRows` zijn verwijderde reserveringen
+// (bookings bij "car", meeting_bookings bij "room"). Per rij gaan de wachtenden op volgorde van
+// aanmelden; wie automatisch wil reserveren krijgt de plek meteen, de anderen krijgen een aanbod.
+// Een aangeboden tijdvak gaat in dezelfde ronde niet ook nog naar latere wachtenden.
+// Wie een aanbod heeft laten verlopen (offered_at gezet) komt achter de anderen;
+// skipIds slaat aanmeldingen in deze ronde helemaal over.
+async function processWaitlist(kind, freedRows, skipIds = []) {
+  const startColumn = kind === "room" ? "start_time" : "start";
+  const endColumn = kind === "room" ? "end_time" : "end";
+  const now = new Date().toISOString();
+
+  for (const freed of freedRows) {
+    if (new Date(freed[endColumn]) <= new Date(now)) continue;
+
+    let query = db
+      .from("waitlist_entries")
+      .select("*")
+      .eq("org_id", freed.org_id)
+      .eq("kind", kind)
+      .eq("status", "waiting")
+      .gt("start", now)
+      .lt("start", freed[endColumn])
+      .gt("end", freed[startColumn])
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true });
+    if (kind === "room") query = query.eq("room_id", freed.room_id);
+
+    const { data, error } = await query;
+    if (error) {
+      console.error("DB fout wachtlijst ophalen:", error);
+      continue;
+    }
+
+    // Een vrijgekomen extra auto (car_id null) past alleen bij "elke auto"
+    const candidates = (data || [])
+      .filter((w) => !skipIds.includes(w.id))
+      .filter((w) => kind === "room" || !w.car_id || w.car_id === freed.car_id)
+      .sort((a, b) => Number(Boolean(a.offered_at)) - Number(Boolean(b.offered_at)));
+    const offered = [];
+
+    for (const entry of candidates) {
+      const startDate = new Date(entry.start);
+      const endDate = new Date(entry.end);
+      if (offered.some((o) => isOverlap(startDate, endDate, new Date(o.start), new Date(o.end)))) continue;
+
+      const slot = await findWaitlistSlot(entry);
+      if (slot.error || !slot.free) continue;
+
+      if (entry.auto_book) {
+        const { booking, policyError, error: bookErr } = await bookFromWaitlist(entry, slot.car);
+        if (policyError) continue;
+        if (bookErr) {
+          if (!isOverlapViolation(bookErr)) console.error("DB fout INSERT reservering vanaf wachtlijst:", bookErr);
+          continue;
+        }
+        await notifyBookers(kind, [booking], mailTemplates.waitlistBooked);
+        if (booking.status === "pending") await notifyApprovers(kind, [booking]);
+        continue;
+      }
+
+      // Geen plek aanbieden die de wachtende volgens de regels toch niet mag bevestigen
+      if (await waitlistPolicyError(entry, slot.car)) continue;
+
+      const offeredAt = new Date().toISOString();
+      const { error: offerErr } = await db
+        .from("waitlist_entries")
+        .update({ status: "offered", offered_at: offeredAt })
+        .eq("id", entry.id);
+      if (offerErr) {
+        console.error("DB fout wachtlijst aanbieden:", offerErr);
+        continue;
+      }
+      offered.push(entry);
+
+      const emails = await loadUserEmails([entry.user_id]);
+      if (emails[entry.user_id]) {
+        const labels = await loadWaitlistLabels([entry]);
+        const deadline = offerExpiresAt({ ...entry, status: "offered", offered_at: offeredAt });
+        await sendMail({ to: emails[entry.user_id], ...mailTemplates.waitlistOffered(waitlistMailItem(entry, labels), deadline) });
+      }
+    }
+  }
+}
+
+// Wachtlijst-taken na elkaar uitvoeren, zodat twee annuleringen tegelijk (of een annulering en
+// een bevestiging) niet dezelfde plek aan twee wachtenden geven
+let waitlistQueue = Promise.resolve();
+function queueWaitlist(task) {
+  const run = waitlistQueue.then(task);
+  waitlistQueue = run.catch(() => {});
+  return run;
+}
+
+function processWaitlistInBackground(kind, freedRows) {
+  if (!freedRows.length) return;
+  queueWaitlist(() => processWaitlist(kind, freedRows)).catch((err) => {
+    console.error("Fout bij verwerken wachtlijst:", err);
+  });
+}
+
+// Aanmelding → "vrijgekomen" rij voor processWaitlist (als een aanbod vervalt)
+function waitlistFreedRow(entry) {
+  return entry.kind === "room"
+    ? { org_id: entry.org_id, room_id: entry.room_id, start_time: entry.start, end_time: entry.end }
+    : { org_id: entry.org_id, car_id: entry.car_id, start: entry.start, end: entry.end };
+}
+
+// Verlopen aanbiedingen terug naar 'waiting' en de plek aan de volgende wachtende geven.
+// offered_at blijft staan, zodat die aanmelding bij een volgende vrije plek achteraan komt.
+async function expireWaitlistOffers() {
+  const now = new Date();
+  const { data, error } = await db
+    .from("waitlist_entries")
+    .select("*")
+    .eq("status", "offered");
+  if (error) {
+    console.error("DB fout verlopen wachtlijst-aanbiedingen:", error);
+    return;
+  }
+
+  for (const entry of (data || []).filter((w) => offerExpiresAt(w) <= now)) {
+    const { data: reset, error: resetErr } = await db
+      .from("waitlist_entries")
+      .update({ status: "waiting" })
+      .eq("id", entry.id)
+      .eq("status", "offered")
+      .select("id");
+    if (resetErr) {
+      console.error("DB fout wachtlijst-aanbod laten verlopen:", resetErr);
+      continue;
+    }
+    if (!reset || !reset.length) continue;
+    await processWaitlist(entry.kind, [waitlistFreedRow(entry)], [entry.id]);
+  }
+}
+
+function expireWaitlistOffersInBackground() {
+  queueWaitlist(expireWaitlistOffers).catch((err) => {
+    console.error("Fout bij verlopen wachtlijst-aanbiedingen:", err);
+  });
+}
+
+// Middleware (na requireAuth): orgScope op basis van body.type (auto's of vergaderruimtes)
+function waitlistScope(req, res, next) {
+  return orgScope(req.body?.type === "room" ? "meetings" : "cars")(req, res, next);
+}
+
+// Aanmelden voor de wachtlijst: body = { type: "car" | "room", carId of anyCar (auto) of roomId,
+// start, end, userName?, note? (bij een ruimte de titel), autoBook? (standaard true) }.
+// Alleen als het tijdvak nu bezet is; geeft de aanmelding terug met position (plek in de rij).
+app.post("/api/waitlist", requireAuth, waitlistScope, async (req, res) => {
+  const userId = req.user.userId;
+  if (!userId) {
+    return res.status(403).json({ error: "Log in met je eigen account om je op de wachtlijst te zetten." });
+  }
+
+  const { type, carId, anyCar, roomId, start, end, userName, note, autoBook } = req.body || {};
+  if (!WAITLIST_TYPES.includes(type)) {
+    return res.status(400).json({ error: "Ongeldig type. Gebruik 'car' of 'room'." });
+  }
+  const permission = kindPermission(type, "book");
+  if (!can(req.user, permission)) return res.status(403).json({ error: PERMISSION_ERRORS[permission] });
+
+  const startDate = new Date(start);
+  const endDate = new Date(end);
+  if (!start || !end || Number.isNaN(startDate.getTime()) || Number.isNaN(endDate.getTime())) {
+    return res.status(400).json({ error: "start en end zijn verplicht" });
+  }
+  if (endDate <= startDate) {
+    return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+  }
+  if (startDate <= new Date()) {
+    return res.status(400).json({ error: "Je kunt je alleen voor een tijdvak in de toekomst op de wachtlijst zetten." });
+  }
+
+  const hasCar = carId !== null && carId !== undefined && String(carId).trim() !== "";
+  if (type === "car" && hasCar === Boolean(anyCar)) {
+    return res.status(400).json({ error: "Gebruik óf carId óf anyCar" });
+  }
+  if (type === "room" && !roomId) {
+    return res.status(400).json({ error: "roomId is verplicht" });
+  }
+
+  const entry = {
+    kind: type,
+    org_id: req.orgId,
+    source_org_id: Number(req.user.orgId),
+    user_id: userId,
+    user_name: String(userName || req.user.name || "").trim(),
+    car_id: type === "car" && hasCar ? Number(carId) : null,
+    room_id: type === "room" ? Number(roomId) : null,
+    start: startDate.toISOString(),
+    end: endDate.toISOString(),
+    note: String(note || "").trim(),
+    auto_book: autoBook !== false,
+    status: "waiting",
+  };
+  if (!entry.user_name) {
+    return res.status(400).json({ error: "userName is verplicht" });
+  }
+
+  try {
+    if (entry.car_id) {
+      const { data: car } = await db
+        .from("cars")
+        .select("id")
+        .eq("id", entry.car_id)
+        .eq("org_id", req.orgId)
+        .is("archived_at", null)
+        .maybeSingle();
+      if (!car) return res.status(400).json({ error: "Onbekende auto." });
+    }
+    if (entry.room_id) {
+      const { data: room } = await db
+        .from("meeting_rooms")
+        .select("id")
+        .eq("id", entry.room_id)
+        .eq("org_id", req.orgId)
+        .is("archived_at", null)
+        .maybeSingle();
+      if (!room) return res.status(400).json({ error: "Onbekende vergaderruimte." });
     }
 
-    const { data, error } = await query;
+    // Wat straks vanzelf geboekt kan worden, moet nu al binnen de reserveringsregels passen
+    const policyError = await checkBookingPolicy(type, req.orgId, req.user, [{ start: startDate, end: endDate }], { userId });
+    if (policyError) return res.status(policyError.status).json({ error: policyError.error });
+
+    const slot = await findWaitlistSlot(entry);
+    if (slot.error) return res.status(slot.status).json({ error: slot.error });
+    if (slot.free) {
+      return res.status(400).json({ error: "Dit tijdvak is nog vrij; je kunt direct reserveren." });
+    }
+
+    // Aanmeldingen voor hetzelfde tijdvak: eigen dubbele aanmelding, en de rij vóór je
+    let query = db
+      .from("waitlist_entries")
+      .select("id, user_id, car_id")
+      .eq("org_id", req.orgId)
+      .eq("kind", type)
+      .in("status", WAITLIST_OPEN)
+      .lt("start", entry.end)
+      .gt("end", entry.start);
+    if (entry.room_id) query = query.eq("room_id", entry.room_id);
+
+    const { data: existing, error: existingErr } = await query;
+    if (existingErr) {
+      console.error("DB fout POST /api/waitlist (bestaande aanmeldingen):", existingErr);
+      return res.status(500).json({ error: "Kon de wachtlijst niet ophalen." });
+    }
 
+    const sameResource = (existing || []).filter((w) => type === "room" || w.car_id === entry.car_id);
+    if (sameResource.some((w) => w.user_id === userId)) {
+      return res.status(409).json({ error: "Je staat al op de wachtlijst voor dit tijdvak." });
+    }
+
+    const { data, error } = await db.from("waitlist_entries").insert([entry]).select().single();
     if (error) {
-      console.error("Supabase fout GET /api/meeting-bookings:", error);
-      return res.status(500).json({ error: "Kon vergaderreserveringen niet ophalen." });
+      console.error("DB fout INSERT /api/waitlist:", error);
+      return res.status(500).json({ error: "Kon je niet op de wachtlijst zetten." });
     }
 
-    // Haal organisatienamen op voor source_org_ids
-    const sourceOrgIds = [...new Set((data || []).map(b => b.source_org_id).filter(Boolean))];
-    let orgNames = {};
-    if (sourceOrgIds.length > 0) {
-      const { data: orgs } = await supabase
-        .from("organizations")
-        .select("id, name")
-        .in("id", sourceOrgIds);
-      orgNames = (orgs || []).reduce((acc, o) => ({ ...acc, [o.id]: o.name }), {});
+    const labels = await loadWaitlistLabels([data]);
+    res.status(201).json({
+      ...normalizeWaitlistEntry(data, waitlistLabel(data, labels)),
+      position: sameResource.length + 1,
+    });
+  } catch (err) {
+    console.error("Serverfout POST /api/waitlist:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Eigen openstaande aanmeldingen (wachtend of aangeboden) die nog niet voorbij zijn
+app.get("/api/waitlist", requireAuth, async (req, res) => {
+  const userId = req.user.userId;
+  if (!userId) {
+    return res.status(403).json({ error: "Log in met je eigen account om je wachtlijst te zien." });
+  }
+
+  const allowedSections = req.user.allowedSections || ["cars", "meetings"];
+  const kinds = [
+    allowedSections.includes("cars") ? "car" : null,
+    allowedSections.includes("meetings") ? "room" : null,
+  ].filter(Boolean);
+
+  try {
+    const { data, error } = await db
+      .from("waitlist_entries")
+      .select("*")
+      .eq("user_id", userId)
+      .in("kind", kinds)
+      .in("status", WAITLIST_OPEN)
+      .gt("end", new Date().toISOString())
+      .order("start", { ascending: true })
+      .order("id", { ascending: true });
+
+    if (error) {
+      console.error("DB fout GET /api/waitlist:", error);
+      return res.status(500).json({ error: "Kon de wachtlijst niet ophalen." });
+    }
+
+    const entries = data || [];
+    const labels = await loadWaitlistLabels(entries);
+    res.json(entries.map((w) => normalizeWaitlistEntry(w, waitlistLabel(w, labels))));
+  } catch (err) {
+    console.error("Serverfout GET /api/waitlist:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Afmelden van de wachtlijst (eigen aanmelding, of een admin van de eigen org).
+// Was de plek al aangeboden, dan gaat die alsnog naar de volgende wachtende.
+app.delete("/api/waitlist/:id", requireAuth, async (req, res) => {
+  const id = Number(req.params.id);
+  const tokenUser = req.user;
+
+  try {
+    const { data: entry } = await db.from("waitlist_entries").select("*").eq("id", id).maybeSingle();
+    if (!entry) {
+      return res.status(404).json({ error: "Aanmelding niet gevonden" });
+    }
+
+    const isOwner = tokenUser.userId && entry.user_id === tokenUser.userId;
+    const isManager = can(tokenUser, kindPermission(entry.kind, "manage")) &&
+      Number(entry.source_org_id || entry.org_id) === Number(tokenUser.orgId);
+    if (!isOwner && !isManager) {
+      return res.status(403).json({ error: "Je kunt alleen je eigen aanmeldingen afmelden." });
+    }
+    if (!WAITLIST_OPEN.includes(entry.status)) {
+      return res.status(409).json({ error: "Deze aanmelding staat niet meer open." });
+    }
+
+    const { data, error } = await db
+      .from("waitlist_entries")
+      .update({ status: "cancelled" })
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error) {
+      console.error("DB fout DELETE /api/waitlist/:id:", error);
+      return res.status(500).json({ error: "Kon je niet afmelden." });
+    }
+
+    if (entry.status === "offered") processWaitlistInBackground(entry.kind, [waitlistFreedRow(entry)]);
+
+    res.json({ success: true, entry: normalizeWaitlistEntry(data) });
+  } catch (err) {
+    console.error("Serverfout DELETE /api/waitlist/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Aangeboden plek bevestigen: als het tijdvak nog vrij is wordt de reservering gemaakt.
+// Is iemand anders je voor geweest, dan blijf je op de wachtlijst staan.
+app.post("/api/waitlist/:id/accept", requireAuth, async (req, res) => {
+  const id = Number(req.params.id);
+  const userId = req.user.userId;
+
+  try {
+    const { data: entry } = await db.from("waitlist_entries").select("*").eq("id", id).maybeSingle();
+    if (!entry || !userId || entry.user_id !== userId) {
+      return res.status(404).json({ error: "Aanmelding niet gevonden" });
+    }
+    const permission = kindPermission(entry.kind, "book");
+    if (!can(req.user, permission)) return res.status(403).json({ error: PERMISSION_ERRORS[permission] });
+    if (entry.status === "waiting") {
+      return res.status(409).json({ error: "Er is voor deze aanmelding (nog) geen plek vrijgekomen." });
+    }
+    if (entry.status !== "offered") {
+      return res.status(409).json({ error: "Deze aanmelding staat niet meer open." });
+    }
+    if (new Date(entry.start) <= new Date()) {
+      return res.status(409).json({ error: "Dit tijdvak is al begonnen." });
+    }
+    if (offerExpiresAt(entry) <= new Date()) {
+      return res.status(409).json({ error: "Dit aanbod is verlopen; de plek gaat naar de volgende op de wachtlijst. Je blijft op de wachtlijst staan." });
+    }
+
+    const result = await queueWaitlist(async () => {
+      const slot = await findWaitlistSlot(entry);
+      if (slot.error) return slot;
+
+      if (!slot.free) {
+        await db.from("waitlist_entries").update({ status: "waiting", offered_at: null }).eq("id", id);
+        return { status: 409, error: "Helaas, deze plek is inmiddels door iemand anders gereserveerd. Je blijft op de wachtlijst staan." };
+      }
+
+      const { booking, policyError, error } = await bookFromWaitlist(entry, slot.car);
+      if (policyError) return policyError;
+      if (isOverlapViolation(error)) {
+        await db.from("waitlist_entries").update({ status: "waiting", offered_at: null }).eq("id", id);
+        return { status: 409, error: "Helaas, deze plek is inmiddels door iemand anders gereserveerd. Je blijft op de wachtlijst staan." };
+      }
+      if (error) {
+        console.error("DB fout POST /api/waitlist/:id/accept:", error);
+        return { status: 500, error: "Kon reservering niet opslaan." };
+      }
+      return { booking };
+    });
+    if (result.error) return res.status(result.status).json({ error: result.error });
+
+    notifyInBackground(() => notifyNewBookings(entry.kind, [result.booking]));
+
+    res.status(201).json(
+      entry.kind === "room" ? normalizeMeetingBooking(result.booking) : normalizeBooking(result.booking)
+    );
+  } catch (err) {
+    console.error("Serverfout POST /api/waitlist/:id/accept:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+//
+// ---------- GOEDKEURING (auto's en ruimtes met goedkeuring) ----------
+//
+// Een reservering van een auto of ruimte met requires_approval staat op 'pending' tot een
+// admin of goedkeurder van de org van die auto of ruimte hem goedkeurt of afwijst.
+// Een aanvraag houdt de plek vast; bij afwijzen wordt de reservering verwijderd.
+
+const APPROVAL_SOURCES = {
+  car: {
+    section: "cars",
+    table: "bookings",
+    seriesTable: "booking_series",
+    start: "start",
+    end: "end",
+    normalize: normalizeBooking,
+    notFound: "Reservering niet gevonden",
+  },
+  room: {
+    section: "meetings",
+    table: "meeting_bookings",
+    seriesTable: "meeting_series",
+    start: "start_time",
+    end: "end_time",
+    normalize: normalizeMeetingBooking,
+    notFound: "Vergaderreservering niet gevonden",
+  },
+};
+
+// Openstaande aanvragen in de eigen org die de gebruiker mag afhandelen, vroegste eerst
+app.get("/api/approvals", requireAuth, async (req, res) => {
+  const kinds = Object.keys(APPROVAL_SOURCES).filter((kind) => can(req.user, kindPermission(kind, "approve")));
+  if (!kinds.length) {
+    return res.status(403).json({ error: "Je mag geen aanvragen afhandelen." });
+  }
+
+  const orgId = Number(req.user.orgId);
+  const allowedSections = req.user.allowedSections || ["cars", "meetings"];
+  const now = new Date().toISOString();
+
+  try {
+    const rows = { car: [], room: [] };
+    for (const kind of kinds) {
+      const source = APPROVAL_SOURCES[kind];
+      if (!allowedSections.includes(source.section)) continue;
+      const { data, error } = await db
+        .from(source.table)
+        .select("*")
+        .eq("org_id", orgId)
+        .eq("status", "pending")
+        .gt(source.end, now)
+        .order(source.start, { ascending: true });
+      if (error) {
+        console.error(`DB fout GET /api/approvals (${source.table}):`, error);
+        return res.status(500).json({ error: "Kon aanvragen niet ophalen." });
+      }
+      rows[kind] = data || [];
+    }
+
+    const [carLabels, roomLabels] = await Promise.all([loadCarLabels(rows.car), loadRoomLabels(rows.room)]);
+    const items = [
+      ...rows.car.map((b) => ({
+        type: "car",
+        label: carLabels[b.car_id ? `car:${b.car_id}` : `extra:${b.extra_car_id}`] || "auto",
+        ...normalizeBooking(b),
+      })),
+      ...rows.room.map((b) => ({
+        type: "room",
+        label: roomLabels[`room:${b.room_id}`] || "vergaderruimte",
+        start: b.start_time,
+        end: b.end_time,
+        ...normalizeMeetingBooking(b),
+      })),
+    ].sort((a, b) => new Date(a.start) - new Date(b.start));
+
+    res.json(items);
+  } catch (err) {
+    console.error("Serverfout GET /api/approvals:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Aanvraag goedkeuren of afwijzen. Met ?scope=series alle openstaande aanvragen van de reeks.
+async function reviewBookings(req, res, kind, approve) {
+  const tokenUser = req.user;
+  const source = APPROVAL_SOURCES[kind];
+  const route = `POST /api/${kind === "room" ? "meeting-bookings" : "bookings"}/:id/${approve ? "approve" : "reject"}`;
+
+  const permission = kindPermission(kind, "approve");
+  if (!can(tokenUser, permission)) {
+    return res.status(403).json({ error: PERMISSION_ERRORS[permission] });
+  }
+  const id = Number(req.params.id);
+  const scope = req.query.scope === "series" ? "series" : "occurrence";
+  const reason = String(req.body?.reason || "").trim();
+
+  try {
+    // Alleen aanvragen voor auto's en ruimtes van de eigen org
+    const { data: booking, error: fetchError } = await db
+      .from(source.table)
+      .select("*")
+      .eq("id", id)
+      .eq("org_id", Number(tokenUser.orgId))
+      .maybeSingle();
+
+    if (fetchError) {
+      console.error(`DB fout ${route}:`, fetchError);
+      return res.status(500).json({ error: "Kon aanvraag niet ophalen." });
+    }
+    if (!booking) return res.status(404).json({ error: source.notFound });
+    if (booking.status !== "pending") {
+      return res.status(409).json({ error: "Deze reservering wacht niet (meer) op goedkeuring." });
+    }
+    if (scope === "series" && !booking.series_id) {
+      return res.status(400).json({ error: "Deze reservering hoort niet bij een reeks." });
+    }
+
+    let rows = [booking];
+    if (scope === "series") {
+      const { data, error } = await db
+        .from(source.table)
+        .select("*")
+        .eq("series_id", booking.series_id)
+        .eq("status", "pending")
+        .gt(source.end, new Date().toISOString());
+      if (error) {
+        console.error(`DB fout ${route} (reeks):`, error);
+        return res.status(500).json({ error: "Kon aanvragen van de reeks niet ophalen." });
+      }
+      rows = data || [];
+    }
+
+    if (approve) {
+      const now = new Date().toISOString();
+      const approved = [];
+      for (const row of rows) {
+        const { data, error } = await db
+          .from(source.table)
+          .update({
+            status: "confirmed",
+            reviewed_by: tokenUser.userId,
+            reviewed_at: now,
+            // Agenda-apps nemen TENTATIVE → CONFIRMED alleen over met een hoger volgnummer
+            sequence: (row.sequence || 0) + 1,
+          })
+          .eq("id", row.id)
+          .select()
+          .single();
+        if (error) {
+          console.error(`DB fout ${route}:`, error);
+          return res.status(500).json({ error: "Kon aanvraag niet goedkeuren." });
+        }
+        approved.push(data);
+      }
+
+      notifyInBackground(() => notifyBookers(
+        kind,
+        approved,
+        (item) => mailTemplates.bookingApproved(item, tokenUser.name)
+      ));
+
+      return res.json({ success: true, scope, approved: approved.map((b) => source.normalize(b)) });
+    }
+
+    const { data: deletedRows, error: delErr } = await db
+      .from(source.table)
+      .delete()
+      .in("id", rows.map((b) => b.id))
+      .select();
+
+    if (delErr) {
+      console.error(`DB fout ${route}:`, delErr);
+      return res.status(500).json({ error: "Kon aanvraag niet afwijzen." });
+    }
+
+    await recordCancellations(kind, deletedRows || []);
+    notifyInBackground(() => notifyBookers(
+      kind,
+      deletedRows || [],
+      (item) => mailTemplates.bookingRejected(item, tokenUser.name, reason)
+    ));
+    processWaitlistInBackground(kind, deletedRows || []);
+
+    // Afgewezen reeks: geen nieuwe herhalingen meer; losse herhaling: uitzondering van de reeks
+    if (booking.series_id) {
+      if (scope === "series") {
+        await db
+          .from(source.seriesTable)
+          .update({ cancelled_at: new Date().toISOString() })
+          .eq("id", booking.series_id);
+      } else {
+        const { data: series } = await db
+          .from(source.seriesTable)
+          .select("id, exceptions")
+          .eq("id", booking.series_id)
+          .maybeSingle();
+        if (series) {
+          await db
+            .from(source.seriesTable)
+            .update({ exceptions: [...(series.exceptions || []), localDateKey(new Date(booking[source.start]))] })
+            .eq("id", series.id);
+        }
+      }
+    }
+
+    res.json({ success: true, scope, rejected: (deletedRows || []).map((b) => source.normalize(b)) });
+  } catch (err) {
+    console.error(`Serverfout ${route}:`, err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+}
+
+app.post("/api/bookings/:id/approve", requireAuth, (req, res) => reviewBookings(req, res, "car", true));
+app.post("/api/bookings/:id/reject", requireAuth, (req, res) => reviewBookings(req, res, "car", false));
+app.post("/api/meeting-bookings/:id/approve", requireAuth, (req, res) => reviewBookings(req, res, "room", true));
+app.post("/api/meeting-bookings/:id/reject", requireAuth, (req, res) => reviewBookings(req, res, "room", false));
+
+//
+// ---------- AGENDA (iCal) ----------
+//
+
+// Feeds tonen reserveringen tot zoveel dagen terug
+const ICAL_HISTORY_DAYS = 90;
+
+// Helper: booking-rij → iCal event (labels via loadCarLabels)
+function carBookingEvent(b, labels) {
+  const what = labels[b.car_id ? `car:${b.car_id}` : `extra:${b.extra_car_id}`] || "auto";
+  return {
+    uid: `booking-${b.id}@poolauto`,
+    sequence: b.sequence || 0,
+    start: b.start,
+    end: b.end,
+    summary: `Poolauto: ${what}`,
+    description: [b.user_name ? `Geboekt door ${b.user_name}` : "", b.note || ""].filter(Boolean).join("\n"),
+    status: b.status === "pending" ? "TENTATIVE" : "CONFIRMED",
+  };
+}
+
+// Helper: meeting_bookings-rij → iCal event (labels via loadRoomLabels)
+function meetingEvent(b, labels) {
+  return {
+    uid: `meeting-${b.id}@poolauto`,
+    sequence: b.sequence || 0,
+    start: b.start_time,
+    end: b.end_time,
+    summary: b.title || "Vergadering",
+    location: labels[`room:${b.room_id}`] || null,
+    description: b.organizer ? `Organisator: ${b.organizer}` : "",
+    status: b.status === "pending" ? "TENTATIVE" : "CONFIRMED",
+  };
+}
+
+// Helper: booking_cancellations-rij → geannuleerd iCal event (zelfde UID als het origineel)
+function cancellationEvent(c) {
+  return {
+    uid: `${c.kind === "room" ? "meeting" : "booking"}-${c.booking_id}@poolauto`,
+    sequence: c.sequence,
+    start: c.start,
+    end: c.end,
+    summary: c.summary,
+    location: c.location,
+    status: "CANCELLED",
+    stamp: c.cancelled_at,
+  };
+}
+
+// Helper: verwijderde reserveringen vastleggen, zodat feeds ze als geannuleerd kunnen tonen.
+// kind = "car" (bookings) of "room" (meeting_bookings). Een fout hier blokkeert het verwijderen niet.
+async function recordCancellations(kind, rows) {
+  if (!rows.length) return;
+
+  const labels = kind === "room" ? await loadRoomLabels(rows) : await loadCarLabels(rows);
+  const now = new Date().toISOString();
+  const { error } = await db.from("booking_cancellations").insert(rows.map((b) => {
+    const event = kind === "room" ? meetingEvent(b, labels) : carBookingEvent(b, labels);
+    return {
+      kind,
+      booking_id: b.id,
+      org_id: b.org_id,
+      user_id: b.user_id || null,
+      room_id: kind === "room" ? b.room_id : null,
+      summary: event.summary,
+      location: event.location || null,
+      start: event.start,
+      end: event.end,
+      sequence: (b.sequence || 0) + 1,
+      cancelled_at: now,
+    };
+  }));
+
+  if (error) console.error("DB fout INSERT booking_cancellations:", error);
+}
+
+function sendIcs(res, filename, calendar) {
+  res.set("Content-Type", "text/calendar; charset=utf-8");
+  if (filename) res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  res.send(calendar);
+}
+
+// Helper: calendar_feeds-rij → API response (adres via publicBaseUrl); webcalUrl opent direct
+// "abonneren" in de agenda-app.
+function normalizeCalendarFeed(f, req) {
+  const url = `${publicBaseUrl(req)}/api/calendar/${f.token}.ics`;
+  return {
+    id: f.id,
+    type: f.type,
+    roomId: f.room_id || null,
+    url,
+    webcalUrl: url.replace(/^https?:/, "webcal:"),
+    createdAt: f.created_at,
+  };
+}
+
+async function createCalendarFeed(req, res, values) {
+  if (!req.user.userId) {
+    return res.status(403).json({ error: "Log in met je eigen account om een agenda-abonnement te maken." });
+  }
+
+  const { data, error } = await db
+    .from("calendar_feeds")
+    .insert([{
+      ...values,
+      token: crypto.randomBytes(24).toString("hex"),
+      user_id: req.user.userId,
+      org_id: Number(req.user.orgId),
+    }])
+    .select()
+    .single();
+
+  if (error) {
+    console.error("DB fout INSERT calendar_feeds:", error);
+    return res.status(500).json({ error: "Kon agenda-abonnement niet aanmaken." });
+  }
+
+  res.status(201).json(normalizeCalendarFeed(data, req));
+}
+
+// Losse reservering als .ics
+app.get("/api/bookings/:id/ics", requireAuth, orgScope("cars"), async (req, res) => {
+  try {
+    const { data: booking } = await db
+      .from("bookings")
+      .select("*")
+      .eq("id", Number(req.params.id))
+      .eq("org_id", req.orgId)
+      .maybeSingle();
+
+    if (!booking) return res.status(404).json({ error: "Reservering niet gevonden" });
+
+    const labels = await loadCarLabels([booking]);
+    sendIcs(res, `reservering-${booking.id}.ics`, buildCalendar({ events: [carBookingEvent(booking, labels)] }));
+  } catch (err) {
+    console.error("Serverfout GET /api/bookings/:id/ics:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Losse vergaderreservering als .ics
+app.get("/api/meeting-bookings/:id/ics", requireAuth, orgScope("meetings"), async (req, res) => {
+  try {
+    const { data: booking } = await db
+      .from("meeting_bookings")
+      .select("*")
+      .eq("id", Number(req.params.id))
+      .eq("org_id", req.orgId)
+      .maybeSingle();
+
+    if (!booking) return res.status(404).json({ error: "Vergaderreservering niet gevonden" });
+
+    const labels = await loadRoomLabels([booking]);
+    sendIcs(res, `vergadering-${booking.id}.ics`, buildCalendar({ events: [meetingEvent(booking, labels)] }));
+  } catch (err) {
+    console.error("Serverfout GET /api/meeting-bookings/:id/ics:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Eigen agenda-abonnementen (niet ingetrokken)
+app.get("/api/calendar-feeds", requireAuth, async (req, res) => {
+  if (!req.user.userId) return res.json([]);
+
+  try {
+    const { data, error } = await db
+      .from("calendar_feeds")
+      .select("*")
+      .eq("user_id", req.user.userId)
+      .is("revoked_at", null)
+      .order("id", { ascending: true });
+
+    if (error) {
+      console.error("DB fout GET /api/calendar-feeds:", error);
+      return res.status(500).json({ error: "Kon agenda-abonnementen niet ophalen." });
+    }
+
+    res.json((data || []).map((f) => normalizeCalendarFeed(f, req)));
+  } catch (err) {
+    console.error("Serverfout GET /api/calendar-feeds:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Nieuw abonnement op de eigen reserveringen (auto's en vergaderingen)
+app.post("/api/calendar-feeds", requireAuth, async (req, res) => {
+  try {
+    await createCalendarFeed(req, res, { type: "user", room_id: null });
+  } catch (err) {
+    console.error("Serverfout POST /api/calendar-feeds:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Nieuw abonnement op alle vergaderingen in één ruimte
+app.post("/api/meeting-rooms/:id/calendar-feed", requireAuth, orgScope("meetings"), async (req, res) => {
+  try {
+    const { data: room } = await db
+      .from("meeting_rooms")
+      .select("id")
+      .eq("id", Number(req.params.id))
+      .eq("org_id", req.orgId)
+      .is("archived_at", null)
+      .maybeSingle();
+
+    if (!room) return res.status(404).json({ error: "Vergaderruimte niet gevonden." });
+
+    await createCalendarFeed(req, res, { type: "room", room_id: room.id });
+  } catch (err) {
+    console.error("Serverfout POST /api/meeting-rooms/:id/calendar-feed:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Abonnement intrekken: de feed-URL werkt daarna niet meer
+app.delete("/api/calendar-feeds/:id", requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("calendar_feeds")
+      .update({ revoked_at: new Date().toISOString() })
+      .eq("id", Number(req.params.id))
+      .eq("user_id", req.user.userId || 0)
+      .is("revoked_at", null)
+      .select();
+
+    if (error) {
+      console.error("DB fout DELETE /api/calendar-feeds/:id:", error);
+      return res.status(500).json({ error: "Kon agenda-abonnement niet intrekken." });
+    }
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: "Agenda-abonnement niet gevonden." });
+    }
+
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Serverfout DELETE /api/calendar-feeds/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// De feed zelf. Geen login: agenda-apps sturen geen token mee, het geheime deel van de URL
+// is de toegang. Ingetrokken of onbekende tokens → 404.
+app.get("/api/calendar/:token.ics", async (req, res) => {
+  try {
+    const { data: feed } = await db
+      .from("calendar_feeds")
+      .select("*")
+      .eq("token", String(req.params.token))
+      .is("revoked_at", null)
+      .maybeSingle();
+
+    if (!feed) return res.status(404).send("Agenda niet gevonden.");
+
+    const since = new Date(Date.now() - ICAL_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const events = [];
+    let name = "Mijn reserveringen";
+
+    if (feed.type === "room") {
+      const [{ data: meetings, error }, { data: cancelled }, { data: room }] = await Promise.all([
+        db.from("meeting_bookings").select("*").eq("room_id", feed.room_id).gt("end_time", since),
+        db.from("booking_cancellations").select("*").eq("kind", "room").eq("room_id", feed.room_id).gt("end", since),
+        db.from("meeting_rooms").select("id, name").eq("id", feed.room_id).maybeSingle(),
+      ]);
+      if (error) throw error;
+
+      const labels = await loadRoomLabels(meetings || []);
+      (meetings || []).forEach((b) => events.push(meetingEvent(b, labels)));
+      (cancelled || []).forEach((c) => events.push(cancellationEvent(c)));
+      name = room ? room.name : "Vergaderruimte";
+    } else {
+      const [{ data: bookings, error }, { data: meetings, error: meetingErr }, { data: cancelled }] = await Promise.all([
+        db.from("bookings").select("*").eq("user_id", feed.user_id).gt("end", since),
+        db.from("meeting_bookings").select("*").eq("user_id", feed.user_id).gt("end_time", since),
+        db.from("booking_cancellations").select("*").eq("user_id", feed.user_id).gt("end", since),
+      ]);
+      if (error || meetingErr) throw error || meetingErr;
+
+      const carLabels = await loadCarLabels(bookings || []);
+      const roomLabels = await loadRoomLabels(meetings || []);
+      (bookings || []).forEach((b) => events.push(carBookingEvent(b, carLabels)));
+      (meetings || []).forEach((b) => events.push(meetingEvent(b, roomLabels)));
+      (cancelled || []).forEach((c) => events.push(cancellationEvent(c)));
+    }
+
+    sendIcs(res, null, buildCalendar({ name: `${name} (Poolauto)`, events }));
+  } catch (err) {
+    console.error("Serverfout GET /api/calendar/:token.ics:", err);
+    res.status(500).send("Interne serverfout.");
+  }
+});
+
+//
+// ---------- STATISTIEKEN (bezetting, admin only) ----------
+//
+
+const STATS_DEFAULT_DAYS = 28;
+const STATS_MAX_DAYS = 366;
+
+// Afgewezen reserveringspoging vastleggen (409). Loopt op de achtergrond: een fout hier
+// mag de response niet ophouden.
+function recordRejection(row) {
+  Promise.resolve(db.from("booking_rejections").insert([{ occurrences: 1, ...row }]))
+    .then(({ error }) => {
+      if (error) console.error("DB fout INSERT booking_rejections:", error);
+    })
+    .catch((err) => console.error("Fout bij vastleggen afwijzing:", err));
+}
+
+// Helper: ?from=YYYY-MM-DD&to=YYYY-MM-DD (lokale datums, inclusief) en ?groupBy.
+// Zonder datums: de laatste 4 weken t/m vandaag. Geeft { values } of { error } terug.
+function parseStatsQuery(query) {
+  const isDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(new Date(v + "T00:00:00Z").getTime());
+
+  const toKey = query.to ? String(query.to) : localDateKey(new Date());
+  const fromKey = query.from ? String(query.from) : shiftDateKey(toKey, -(STATS_DEFAULT_DAYS - 1));
+  if (!isDate(fromKey) || !isDate(toKey)) {
+    return { error: "Ongeldige datum in from/to (gebruik YYYY-MM-DD)." };
+  }
+  if (fromKey > toKey) return { error: "from moet vóór to liggen." };
+
+  const days = (new Date(toKey + "T00:00:00Z") - new Date(fromKey + "T00:00:00Z")) / 86400000 + 1;
+  if (days > STATS_MAX_DAYS) {
+    return { error: `Kies een periode van maximaal ${STATS_MAX_DAYS} dagen.` };
+  }
+
+  const groupBy = query.groupBy ? String(query.groupBy) : "week";
+  if (!stats.GROUP_BY.includes(groupBy)) {
+    return { error: `Ongeldige groupBy. Gebruik ${stats.GROUP_BY.map((g) => `'${g}'`).join(", ")}.` };
+  }
+
+  const [fy, fm, fd] = fromKey.split("-").map(Number);
+  const [ty, tm, td] = shiftDateKey(toKey, 1).split("-").map(Number);
+  return {
+    values: {
+      fromKey,
+      toKey,
+      groupBy,
+      start: fromZonedParts({ year: fy, month: fm, day: fd }),
+      end: fromZonedParts({ year: ty, month: tm, day: td }),
+    },
+  };
+}
+
+// Helper: rijen met start/eind-kolommen → intervallen (Date)
+function toIntervals(rows, startKey, endKey, openEnd) {
+  return rows.map((r) => ({
+    start: new Date(r[startKey]),
+    end: r[endKey] ? new Date(r[endKey]) : openEnd,
+  }));
+}
+
+// Bezetting per auto en per ruimte (per dag/week/maand), piekuren, afgewezen pogingen,
+// gebruik van extra auto's per week en onbeschikbaarheid per auto.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD&groupBy=day|week|month
+app.get("/api/stats", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const parsed = parseStatsQuery(req.query);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { fromKey, toKey, groupBy, start, end } = parsed.values;
+
+  const user = req.user;
+  const sections = user.allowedSections || ["cars", "meetings"];
+  const carOrgId = sections.includes("cars") ? Number(user.carOrgId || user.orgId) : null;
+  const meetingOrgId = sections.includes("meetings") ? Number(user.meetingOrgId || user.orgId) : null;
+  const startIso = start.toISOString();
+  const endIso = end.toISOString();
+  const none = { data: [] };
+
+  try {
+    const [
+      { data: cars, error: carsErr },
+      { data: bookings, error: bookingsErr },
+      { data: extraCars, error: extraErr },
+      { data: rooms, error: roomsErr },
+      { data: meetings, error: meetingsErr },
+      { data: rejections, error: rejectionsErr },
+    ] = await Promise.all([
+      carOrgId ? db.from("cars").select("*").eq("org_id", carOrgId).order("name", { ascending: true }) : none,
+      carOrgId ? db.from("bookings").select("*").eq("org_id", carOrgId).lt("start", endIso).gt("end", startIso) : none,
+      carOrgId
+        ? db.from("extra_cars").select("*").eq("org_id", carOrgId).lte("available_from", toKey).gte("available_to", fromKey)
+        : none,
+      meetingOrgId ? db.from("meeting_rooms").select("*").eq("org_id", meetingOrgId).order("name", { ascending: true }) : none,
+      meetingOrgId
+        ? db.from("meeting_bookings").select("*").eq("org_id", meetingOrgId).lt("start_time", endIso).gt("end_time", startIso)
+        : none,
+      db
+        .from("booking_rejections")
+        .select("*")
+        .in("org_id", [carOrgId, meetingOrgId].filter(Boolean))
+        .gte("created_at", startIso)
+        .lt("created_at", endIso),
+    ]);
+
+    const dbError = carsErr || bookingsErr || extraErr || roomsErr || meetingsErr || rejectionsErr;
+    if (dbError) {
+      console.error("DB fout GET /api/stats:", dbError);
+      return res.status(500).json({ error: "Kon statistieken niet ophalen." });
+    }
+
+    // Gearchiveerde auto's/ruimtes alleen als ze in de periode nog in gebruik waren
+    const inPeriod = (r) => !r.archived_at || new Date(r.archived_at) > start;
+    const activeCars = (cars || []).filter(inPeriod);
+    const activeRooms = (rooms || []).filter(inPeriod);
+
+    const { windows, error: unavailErr } = await loadUnavailability(activeCars.map((c) => c.id), start, end);
+    if (unavailErr) {
+      console.error("DB fout (onbeschikbaarheid) GET /api/stats:", unavailErr);
+      return res.status(500).json({ error: "Kon statistieken niet ophalen." });
     }
 
-    // camelCase response
-    const normalized = (data || []).map((b) => ({
-      id: b.id,
-      roomId: b.room_id,
-      orgId: b.org_id,
-      sourceOrgId: b.source_org_id,
-      sourceOrgName: orgNames[b.source_org_id] || null,
-      userId: b.user_id,  // Voor ownership check in frontend
-      title: b.title,
-      organizer: b.organizer,
-      startTime: b.start_time,
-      endTime: b.end_time,
+    const days = stats.officeDays(fromKey, toKey);
+
+    const carUsage = stats.utilization(
+      activeCars.map((c) => ({
+        booked: toIntervals((bookings || []).filter((b) => b.car_id === c.id), "start", "end"),
+        blocked: toIntervals(windows[c.id] || [], "start", "end", OPEN_END),
+      })),
+      days,
+      groupBy
+    );
+    const roomUsage = stats.utilization(
+      activeRooms.map((r) => ({
+        booked: toIntervals((meetings || []).filter((b) => b.room_id === r.id), "start_time", "end_time"),
+        blocked: [],
+      })),
+      days,
+      groupBy
+    );
+
+    const carsOut = activeCars.map((c, i) => {
+      const carWindows = (windows[c.id] || []).map((w) => ({
+        reason: w.reason,
+        start: new Date(w.start),
+        end: w.end ? new Date(w.end) : OPEN_END,
+      }));
+      const down = stats.downtime(carWindows, start, end);
+      return {
+        carId: c.id,
+        name: c.name,
+        license: c.license,
+        archived: Boolean(c.archived_at),
+        bookings: (bookings || []).filter((b) => b.car_id === c.id).length,
+        ...carUsage.resources[i],
+        downtime: {
+          hours: down.hours,
+          byReason: Object.entries(down.byReason).map(([reason, hours]) => ({
+            reason,
+            reasonLabel: UNAVAILABILITY_REASONS[reason] || reason,
+            hours,
+          })),
+        },
+      };
+    });
+
+    const roomsOut = activeRooms.map((r, i) => ({
+      roomId: r.id,
+      name: r.name,
+      archived: Boolean(r.archived_at),
+      bookings: (meetings || []).filter((b) => b.room_id === r.id).length,
+      ...roomUsage.resources[i],
     }));
 
-    res.json(normalized);
+    // Afgewezen pogingen per periode (op moment van de poging)
+    const periods = stats.periodKeys(fromKey, toKey, groupBy);
+    const rejectedByPeriod = {};
+    periods.forEach((p) => {
+      rejectedByPeriod[p] = { period: p, cars: 0, rooms: 0 };
+    });
+    (rejections || []).forEach((r) => {
+      const period = stats.periodKey(localDateKey(new Date(r.created_at)), groupBy);
+      if (!rejectedByPeriod[period]) return;
+      rejectedByPeriod[period][r.kind === "room" ? "rooms" : "cars"] += r.occurrences || 1;
+    });
+
+    // Extra auto's per week: hoeveel er beschikbaar waren en hoeveel daarvan gereserveerd.
+    // Een extra auto die meerdere weken beschikbaar is telt in elke week mee;
+    // een reservering telt in de week waarin ze begint.
+    const extraByWeek = {};
+    stats.periodKeys(fromKey, toKey, "week").forEach((w) => {
+      extraByWeek[w] = { week: w, offered: 0, used: 0, bookings: 0 };
+    });
+    const extraBookings = (bookings || []).filter((b) => b.extra_car_id);
+    (extraCars || []).forEach((x) => {
+      const first = x.available_from > fromKey ? x.available_from : fromKey;
+      const last = x.available_to < toKey ? x.available_to : toKey;
+      stats.periodKeys(first, last, "week").forEach((key) => {
+        const week = extraByWeek[key];
+        if (!week) return;
+        const used = extraBookings.filter(
+          (b) => b.extra_car_id === x.id && stats.periodKey(localDateKey(new Date(b.start)), "week") === key
+        );
+        week.offered += 1;
+        if (used.length) week.used += 1;
+        week.bookings += used.length;
+      });
+    });
+
+    const peak = (hourly) =>
+      hourly
+        .filter((h) => h.occupancy !== null)
+        .sort((a, b) => b.occupancy - a.occupancy)
+        .slice(0, 3)
+        .map((h) => h.hour);
+
+    const sum = (list, key) => list.reduce((total, item) => total + (item[key] || 0), 0);
+    const totalOccupancy = (list) => {
+      const available = sum(list, "availableHours");
+      return available > 0 ? Math.round((sum(list, "bookedHours") / available) * 1000) / 10 : null;
+    };
+
+    res.json({
+      from: fromKey,
+      to: toKey,
+      groupBy,
+      officeHours: { ...stats.OFFICE_HOURS, weekdaysOnly: true },
+      periods,
+      summary: {
+        carOccupancy: totalOccupancy(carsOut),
+        roomOccupancy: totalOccupancy(roomsOut),
+        carBookings: carsOut.reduce((total, c) => total + c.bookings, 0),
+        roomBookings: roomsOut.reduce((total, r) => total + r.bookings, 0),
+        rejectedCarAttempts: sum(Object.values(rejectedByPeriod), "cars"),
+        rejectedRoomAttempts: sum(Object.values(rejectedByPeriod), "rooms"),
+        extraCarBookings: extraBookings.length,
+        downtimeHours: Math.round(carsOut.reduce((total, c) => total + c.downtime.hours, 0) * 100) / 100,
+      },
+      cars: carsOut,
+      rooms: roomsOut,
+      peakHours: {
+        cars: { top: peak(carUsage.hourly), hourly: carUsage.hourly },
+        rooms: { top: peak(roomUsage.hourly), hourly: roomUsage.hourly },
+      },
+      rejections: Object.values(rejectedByPeriod),
+      extraCarsPerWeek: Object.values(extraByWeek),
+    });
   } catch (err) {
-    console.error("Serverfout GET /api/meeting-bookings:", err);
+    console.error("Serverfout GET /api/stats:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// POST nieuwe vergaderreservering
-app.post("/api/meeting-bookings", async (req, res) => {
-  const { roomId, orgId, title, organizer, startTime, endTime } = req.body;
+//
+// ---------- EXPORTS (CSV / XLSX, admin only) ----------
+//
+
+// Kolommen per export: de velden van de API, aangevuld met kenteken/ruimtenaam
+const EXPORT_COLUMNS = {
+  bookings: [
+    { key: "id", type: "number" },
+    { key: "orgId", type: "number" },
+    { key: "sourceOrgId", type: "number" },
+    { key: "carId", type: "number" },
+    { key: "extraCarId", type: "number" },
+    { key: "carName" },
+    { key: "carLicense" },
+    { key: "userId", type: "number" },
+    { key: "userName" },
+    { key: "start", type: "date" },
+    { key: "end", type: "date" },
+    { key: "hours", type: "number" },
+    { key: "note" },
+    { key: "seriesId", type: "number" },
+  ],
+  meetingBookings: [
+    { key: "id", type: "number" },
+    { key: "roomId", type: "number" },
+    { key: "roomName" },
+    { key: "orgId", type: "number" },
+    { key: "sourceOrgId", type: "number" },
+    { key: "sourceOrgName" },
+    { key: "userId", type: "number" },
+    { key: "title" },
+    { key: "organizer" },
+    { key: "startTime", type: "date" },
+    { key: "endTime", type: "date" },
+    { key: "hours", type: "number" },
+    { key: "seriesId", type: "number" },
+  ],
+  users: [
+    { key: "id", type: "number" },
+    { key: "name" },
+    { key: "email" },
+    { key: "role" },
+    { key: "deactivatedAt", type: "date" },
+    { key: "carBookings", type: "number" },
+    { key: "carHours", type: "number" },
+    { key: "meetingBookings", type: "number" },
+    { key: "meetingHours", type: "number" },
+  ],
+};
+
+// Helper: duur in uren, afgerond op 2 decimalen
+function hoursBetween(start, end) {
+  return Math.round(((new Date(end) - new Date(start)) / 3600000) * 100) / 100;
+}
 
-  if (!orgId || !roomId || !organizer || !startTime || !endTime) {
-    return res.status(400).json({
-      error: "orgId, roomId, organizer, startTime en endTime zijn verplicht"
-    });
+// Helper: gemeenschappelijke query-parameters van de exports.
+// ?format=csv|xlsx (standaard csv), ?from=YYYY-MM-DD&to=YYYY-MM-DD (op begintijd),
+// plus de opgegeven id-filters (bijv. carId, userId). Geeft { values } of { error } terug.
+function parseExportQuery(query, idFilters) {
+  const format = String(query.format || "csv").toLowerCase();
+  if (format !== "csv" && format !== "xlsx") {
+    return { error: "Ongeldig formaat. Gebruik 'csv' of 'xlsx'." };
   }
 
-  // Haal user uit token als aanwezig (voor user_id en source_org koppeling)
-  const tokenUser = getUserFromToken(req);
-  const userId = tokenUser ? tokenUser.userId : null;
-  const sourceOrgId = tokenUser ? tokenUser.orgId : orgId; // Echte org van de user
+  const filters = parseListFilters(query, idFilters);
+  if (filters.error) return filters;
+  return { values: { format, ...filters.values } };
+}
 
-  const orgIdNum = Number(orgId);
-  const roomIdNum = Number(roomId);
-  const start = new Date(startTime);
-  const end = new Date(endTime);
+// Helper: export als download versturen, bijv. reserveringen-2026-10-01-tot-2026-10-31.xlsx
+function sendExport(res, { format, from, to }, name, columns, rows) {
+  const period = [from, to].filter(Boolean).map((v) => isoDay(new Date(v))).join("-tot-");
+  const filename = `${name}${period ? `-${period}` : ""}.${format}`;
 
-  if (end <= start) {
-    return res.status(400).json({ error: "Eindtijd moet na starttijd liggen" });
+  res.set("Content-Disposition", `attachment; filename="${filename}"`);
+  if (format === "xlsx") {
+    res.set("Content-Type", "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet");
+    return res.send(toXlsx(name, columns, rows));
   }
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  res.send(toCsv(columns, rows));
+}
+
+// Poolauto-reserveringen: ?from&to&carId&extraCarId&userId&format
+app.get("/api/export/bookings", requireAuth, orgScope("cars"), requirePermission("cars.manage"), async (req, res) => {
+  const parsed = parseExportQuery(req.query, ["carId", "extraCarId", "userId"]);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { from, to, carId, extraCarId, userId } = parsed.values;
 
   try {
-    // Check of kamer bestaat en bij deze org hoort
-    const { data: roomData, error: roomError } = await supabase
-      .from("meeting_rooms")
-      .select("id, org_id")
-      .eq("id", roomIdNum)
-      .eq("org_id", orgIdNum)
-      .single();
+    let query = db
+      .from("bookings")
+      .select("*")
+      .eq("org_id", req.orgId)
+      .order("start", { ascending: true });
+    if (from) query = query.gte("start", from);
+    if (to) query = query.lte("start", to);
+    if (carId) query = query.eq("car_id", carId);
+    if (extraCarId) query = query.eq("extra_car_id", extraCarId);
+    if (userId) query = query.eq("user_id", userId);
 
-    if (roomError || !roomData) {
-      console.error("Supabase fout room-check /api/meeting-bookings:", roomError);
-      return res.status(400).json({ error: "Onbekende vergaderruimte." });
+    const { data, error } = await query;
+    if (error) {
+      console.error("DB fout GET /api/export/bookings:", error);
+      return res.status(500).json({ error: "Kon reserveringen niet ophalen." });
     }
 
-    // Check overlap
-    const { data: overlapping, error: overlapErr } = await supabase
-      .from("meeting_bookings")
-      .select("id")
-      .eq("room_id", roomIdNum)
-      .lt("start_time", end.toISOString())
-      .gt("end_time", start.toISOString());
+    const bookings = data || [];
+    const carIds = [...new Set(bookings.map((b) => b.car_id).filter(Boolean))];
+    const extraIds = [...new Set(bookings.map((b) => b.extra_car_id).filter(Boolean))];
+    const [{ data: cars }, { data: extraCars }] = await Promise.all([
+      carIds.length ? db.from("cars").select("id, name, license").in("id", carIds) : { data: [] },
+      extraIds.length ? db.from("extra_cars").select("id, name, license").in("id", extraIds) : { data: [] },
+    ]);
+    const carByKey = {};
+    (cars || []).forEach((c) => {
+      carByKey[`car:${c.id}`] = c;
+    });
+    (extraCars || []).forEach((c) => {
+      carByKey[`extra:${c.id}`] = c;
+    });
 
-    if (overlapErr) {
-      console.error("Supabase fout overlap-check vergadering:", overlapErr);
-      return res.status(500).json({ error: "Kon beschikbaarheid niet controleren." });
-    }
+    const rows = bookings.map((b) => {
+      const car = carByKey[b.car_id ? `car:${b.car_id}` : `extra:${b.extra_car_id}`] || {};
+      return {
+        ...normalizeBooking(b),
+        carName: car.name || null,
+        carLicense: car.license || null,
+        hours: hoursBetween(b.start, b.end),
+      };
+    });
 
-    if (overlapping && overlapping.length > 0) {
-      return res.status(409).json({ 
-        error: "Deze vergaderruimte is in deze periode al geboekt." 
-      });
-    }
+    sendExport(res, parsed.values, "reserveringen", EXPORT_COLUMNS.bookings, rows);
+  } catch (err) {
+    console.error("Serverfout GET /api/export/bookings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
 
-    // Insert nieuwe reservering
-    const insertPayload = {
-      room_id: roomIdNum,
-      org_id: orgIdNum,
-      source_org_id: Number(sourceOrgId), // Echte org van de user (voor weergave)
-      user_id: userId,  // Koppel aan user als ingelogd, anders null
-      title: title || null,
-      organizer: organizer,
-      start_time: start.toISOString(),
-      end_time: end.toISOString(),
-    };
+// Vergaderreserveringen: ?from&to&roomId&userId&format
+app.get("/api/export/meeting-bookings", requireAuth, orgScope("meetings"), requirePermission("rooms.manage"), async (req, res) => {
+  const parsed = parseExportQuery(req.query, ["roomId", "userId"]);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { from, to, roomId, userId } = parsed.values;
 
-    const { data, error } = await supabase
+  try {
+    let query = db
       .from("meeting_bookings")
-      .insert([insertPayload])
-      .select()
-      .single();
+      .select("*")
+      .eq("org_id", req.orgId)
+      .order("start_time", { ascending: true });
+    if (from) query = query.gte("start_time", from);
+    if (to) query = query.lte("start_time", to);
+    if (roomId) query = query.eq("room_id", roomId);
+    if (userId) query = query.eq("user_id", userId);
 
+    const { data, error } = await query;
     if (error) {
-      console.error("Supabase fout INSERT /api/meeting-bookings:", error);
-      return res.status(500).json({ error: "Kon vergaderreservering niet opslaan." });
+      console.error("DB fout GET /api/export/meeting-bookings:", error);
+      return res.status(500).json({ error: "Kon vergaderreserveringen niet ophalen." });
     }
 
-    // camelCase response
-    return res.status(201).json({
-      id: data.id,
-      roomId: data.room_id,
-      orgId: data.org_id,
-      title: data.title,
-      organizer: data.organizer,
-      startTime: data.start_time,
-      endTime: data.end_time,
+    const bookings = data || [];
+    const orgIds = [...new Set(bookings.map((b) => b.source_org_id).filter(Boolean))];
+    const [roomLabels, { data: orgs }] = await Promise.all([
+      loadRoomLabels(bookings),
+      orgIds.length ? db.from("organizations").select("id, name").in("id", orgIds) : { data: [] },
+    ]);
+    const orgNames = {};
+    (orgs || []).forEach((o) => {
+      orgNames[o.id] = o.name;
     });
+
+    const rows = bookings.map((b) => ({
+      ...normalizeMeetingBooking(b, orgNames),
+      roomName: roomLabels[`room:${b.room_id}`] || null,
+      hours: hoursBetween(b.start_time, b.end_time),
+    }));
+
+    sendExport(res, parsed.values, "vergaderreserveringen", EXPORT_COLUMNS.meetingBookings, rows);
   } catch (err) {
-    console.error("Serverfout POST /api/meeting-bookings:", err);
+    console.error("Serverfout GET /api/export/meeting-bookings:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// DELETE vergaderreservering (met ownership check)
-app.delete("/api/meeting-bookings/:id", async (req, res) => {
-  const id = Number(req.params.id);
-  const tokenUser = getUserFromToken(req);
+// Gebruikers van de eigen organisatie met hun gebruik in de periode: ?from&to&userId&format
+app.get("/api/export/users", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const parsed = parseExportQuery(req.query, ["userId"]);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
+  const { from, to, userId } = parsed.values;
 
   try {
-    // Eerst de booking ophalen om ownership te checken
-    const { data: booking, error: fetchError } = await supabase
-      .from("meeting_bookings")
-      .select("id, user_id, org_id")
-      .eq("id", id)
-      .single();
+    let query = db
+      .from("users")
+      .select("id, name, email, role, deactivated_at")
+      .eq("org_id", req.user.orgId)
+      .order("name", { ascending: true });
+    if (userId) query = query.eq("id", userId);
 
-    if (fetchError || !booking) {
-      return res.status(404).json({ error: "Vergaderreservering niet gevonden" });
+    const { data: users, error } = await query;
+    if (error) {
+      console.error("DB fout GET /api/export/users:", error);
+      return res.status(500).json({ error: "Kon gebruikers niet ophalen." });
     }
 
-    // Authenticatie verplicht
-    if (!tokenUser) {
-      return res.status(401).json({ error: "Je moet ingelogd zijn om te verwijderen" });
+    const ids = (users || []).map((u) => u.id);
+    let carQuery = db.from("bookings").select("user_id, start, end").in("user_id", ids);
+    let meetingQuery = db.from("meeting_bookings").select("user_id, start_time, end_time").in("user_id", ids);
+    if (from) {
+      carQuery = carQuery.gte("start", from);
+      meetingQuery = meetingQuery.gte("start_time", from);
+    }
+    if (to) {
+      carQuery = carQuery.lte("start", to);
+      meetingQuery = meetingQuery.lte("start_time", to);
     }
 
-    const isOwner = booking.user_id === tokenUser.userId;
-    const isAdmin = tokenUser.role === "admin";
-    const isLegacy = booking.user_id === null;
+    const [{ data: carBookings, error: carErr }, { data: meetingBookings, error: meetingErr }] = ids.length
+      ? await Promise.all([carQuery, meetingQuery])
+      : [{ data: [] }, { data: [] }];
+    if (carErr || meetingErr) {
+      console.error("DB fout (gebruik) GET /api/export/users:", carErr || meetingErr);
+      return res.status(500).json({ error: "Kon reserveringen niet ophalen." });
+    }
 
-    if (!isOwner && !isAdmin) {
-      return res.status(403).json({
-        error: "Je kunt alleen je eigen reserveringen verwijderen"
-      });
+    const usage = {};
+    ids.forEach((id) => {
+      usage[id] = { carBookings: 0, carHours: 0, meetingBookings: 0, meetingHours: 0 };
+    });
+    (carBookings || []).forEach((b) => {
+      usage[b.user_id].carBookings += 1;
+      usage[b.user_id].carHours += hoursBetween(b.start, b.end);
+    });
+    (meetingBookings || []).forEach((b) => {
+      usage[b.user_id].meetingBookings += 1;
+      usage[b.user_id].meetingHours += hoursBetween(b.start_time, b.end_time);
+    });
+
+    const rows = (users || []).map((u) => ({
+      ...u,
+      deactivatedAt: u.deactivated_at || null,
+      ...usage[u.id],
+      carHours: Math.round(usage[u.id].carHours * 100) / 100,
+      meetingHours: Math.round(usage[u.id].meetingHours * 100) / 100,
+    }));
+
+    sendExport(res, parsed.values, "gebruikers", EXPORT_COLUMNS.users, rows);
+  } catch (err) {
+    console.error("Serverfout GET /api/export/users:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// ---- GEBRUIKERSBEHEER (admin only) ----
+// Gebruikers worden niet verwijderd maar gedeactiveerd: hun reserveringen, ritten en reeksen
+// blijven via user_id gekoppeld (voor de historie en de export).
+
+function normalizeUser(u) {
+  return {
+    id: u.id,
+    name: u.name,
+    email: u.email,
+    role: u.role,
+    roleLabel: roleLabel(u.role),
+    active: !u.deactivated_at,
+    deactivatedAt: u.deactivated_at || null,
+  };
+}
+
+function normalizeInvitation(i) {
+  return {
+    id: i.id,
+    email: i.email,
+    name: i.name || "",
+    role: i.role,
+    roleLabel: roleLabel(i.role),
+    expiresAt: i.expires_at,
+    createdAt: i.created_at,
+  };
+}
+
+// Helper: adres van de server voor links in mails en agenda's. PUBLIC_URL overschrijft het
+// (handig achter een proxy).
+function publicBaseUrl(req) {
+  return (process.env.PUBLIC_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+}
+
+// Helper: open uitnodiging bij een token, met de naam van de organisatie (of null)
+async function loadOpenInvitation(token) {
+  const { data: invitation } = await db
+    .from("user_invitations")
+    .select("*")
+    .eq("token", String(token))
+    .maybeSingle();
+  if (!isInvitationOpen(invitation)) return null;
+
+  const { data: org } = await db
+    .from("organizations")
+    .select("id, name")
+    .eq("id", invitation.org_id)
+    .maybeSingle();
+  return org ? { ...invitation, orgName: org.name } : null;
+}
+
+// Gebruikers van de org (ook gedeactiveerde), open uitnodigingen en de rollen die een admin kan toekennen
+app.get("/api/users", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const user = req.user;
+  try {
+    const [{ data, error }, { data: invitations, error: invErr }] = await Promise.all([
+      db.from("users")
+        .select("id, name, email, role, deactivated_at")
+        .eq("org_id", user.orgId)
+        .order("name", { ascending: true }),
+      db.from("user_invitations")
+        .select("*")
+        .eq("org_id", user.orgId)
+        .is("accepted_at", null)
+        .gt("expires_at", new Date().toISOString())
+        .order("created_at", { ascending: false }),
+    ]);
+    if (error || invErr) {
+      console.error("DB fout GET /api/users:", error || invErr);
+      return res.status(500).json({ error: "Kon gebruikers niet ophalen." });
     }
-    if (isLegacy && !isAdmin) {
-      return res.status(403).json({
-        error: "Oude reserveringen kunnen alleen door admins verwijderd worden"
+    res.json({
+      users: (data || []).map(normalizeUser),
+      invitations: (invitations || []).map(normalizeInvitation),
+      roles: ROLE_NAMES.map((name) => ({ name, label: ROLES[name].label })),
+    });
+  } catch (err) {
+    console.error("Serverfout GET /api/users:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Helper: gebruiker (de)activeren. Bij deactiveren vervallen ook de wachtlijstplekken en
+// agenda-abonnementen; reserveringen blijven staan (een admin kan ze zelf annuleren).
+async function setUserActive(targetId, orgId, active) {
+  const { data, error } = await db
+    .from("users")
+    .update({ deactivated_at: active ? null : new Date().toISOString() })
+    .eq("id", targetId)
+    .eq("org_id", orgId)
+    .select("id, name, email, role, deactivated_at")
+    .maybeSingle();
+  if (error || !data || active) return { data, error };
+
+  const [{ error: waitErr }, { error: feedErr }] = await Promise.all([
+    db.from("waitlist_entries").delete().eq("user_id", targetId),
+    db.from("calendar_feeds").update({ revoked_at: new Date().toISOString() }).eq("user_id", targetId).is("revoked_at", null),
+  ]);
+  if (waitErr || feedErr) console.error("DB fout bij deactiveren gebruiker:", waitErr || feedErr);
+  return { data, error };
+}
+
+// Gebruiker bijwerken: { role?, name?, active? }
+app.patch("/api/users/:id", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const user = req.user;
+  const targetId = Number(req.params.id);
+  const { role, name, active } = req.body || {};
+  const values = {};
+
+  if (role !== undefined) {
+    if (!ROLE_NAMES.includes(role)) {
+      return res.status(400).json({ error: `Ongeldige rol. Gebruik ${ROLE_NAMES.map((r) => `'${r}'`).join(", ")}.` });
+    }
+    values.role = role;
+  }
+  if (name !== undefined) {
+    const trimmed = typeof name === "string" ? name.trim() : "";
+    if (!trimmed) return res.status(400).json({ error: "Naam mag niet leeg zijn." });
+    if (trimmed.length > 100) return res.status(400).json({ error: "Naam mag maximaal 100 tekens zijn." });
+    values.name = trimmed;
+  }
+  if (active !== undefined && typeof active !== "boolean") {
+    return res.status(400).json({ error: "active moet true of false zijn." });
+  }
+  if (!Object.keys(values).length && active === undefined) {
+    return res.status(400).json({ error: "Geef een rol, naam of active op." });
+  }
+  // Zo kan een org niet per ongeluk zonder admin komen te zitten
+  if (targetId === user.userId && (values.role !== undefined || active === false)) {
+    return res.status(400).json({
+      error: active === false ? "Je kunt jezelf niet deactiveren." : "Je kunt je eigen rol niet wijzigen."
+    });
+  }
+
+  try {
+    let data = null;
+    if (Object.keys(values).length) {
+      const result = await db
+        .from("users")
+        .update(values)
+        .eq("id", targetId)
+        .eq("org_id", user.orgId)
+        .select("id, name, email, role, deactivated_at")
+        .maybeSingle();
+      if (result.error) {
+        console.error("DB fout PATCH /api/users/:id:", result.error);
+        return res.status(500).json({ error: "Kon gebruiker niet bijwerken." });
+      }
+      if (!result.data) return res.status(404).json({ error: "Gebruiker niet gevonden in jouw organisatie." });
+      data = result.data;
+    }
+    if (active !== undefined) {
+      const result = await setUserActive(targetId, user.orgId, active);
+      if (result.error) {
+        console.error("DB fout PATCH /api/users/:id (active):", result.error);
+        return res.status(500).json({ error: "Kon gebruiker niet bijwerken." });
+      }
+      if (!result.data) return res.status(404).json({ error: "Gebruiker niet gevonden in jouw organisatie." });
+      data = result.data;
+    }
+    res.json(normalizeUser(data));
+  } catch (err) {
+    console.error("Serverfout PATCH /api/users/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Verwijderen = deactiveren (gelijk aan PATCH { active: false })
+app.delete("/api/users/:id", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const user = req.user;
+  const targetId = Number(req.params.id);
+  if (targetId === user.userId) {
+    return res.status(400).json({ error: "Je kunt jezelf niet deactiveren." });
+  }
+  try {
+    const { data, error } = await setUserActive(targetId, user.orgId, false);
+    if (error) {
+      console.error("DB fout DELETE /api/users/:id:", error);
+      return res.status(500).json({ error: "Kon gebruiker niet deactiveren." });
+    }
+    if (!data) return res.status(404).json({ error: "Gebruiker niet gevonden in jouw organisatie." });
+    res.json(normalizeUser(data));
+  } catch (err) {
+    console.error("Serverfout DELETE /api/users/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
+
+// Uitnodigen per e-mail: { email, name?, role? }. Een eerdere open uitnodiging voor hetzelfde
+// adres vervalt. De link staat ook in de response, voor als de mail niet aankomt.
+app.post("/api/users/invitations", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const user = req.user;
+  const { email, name, role = DEFAULT_ROLE } = req.body || {};
+  const emailLower = normalizeEmail(email);
+
+  if (!isValidEmail(emailLower)) {
+    return res.status(400).json({ error: "Vul een geldig e-mailadres in." });
+  }
+  if (!ROLE_NAMES.includes(role)) {
+    return res.status(400).json({ error: `Ongeldige rol. Gebruik ${ROLE_NAMES.map((r) => `'${r}'`).join(", ")}.` });
+  }
+  const nameTrimmed = typeof name === "string" ? name.trim().slice(0, 100) : "";
+
+  try {
+    const [{ data: existing }, { data: org }] = await Promise.all([
+      db.from("users").select("id, deactivated_at").eq("org_id", user.orgId).eq("email", emailLower).maybeSingle(),
+      db.from("organizations").select("id, name").eq("id", user.orgId).maybeSingle(),
+    ]);
+    if (existing) {
+      return res.status(409).json({
+        error: existing.deactivated_at
+          ? "Er is al een gedeactiveerd account met dit e-mailadres. Activeer dat account opnieuw."
+          : "Er is al een account met dit e-mailadres."
       });
     }
 
-    const { data, error } = await supabase
-      .from("meeting_bookings")
+    await db
+      .from("user_invitations")
       .delete()
-      .eq("id", id)
+      .eq("org_id", user.orgId)
+      .eq("email", emailLower)
+      .is("accepted_at", null);
+
+    const { token, expiresAt } = newInvitation();
+    const { data: invitation, error } = await db
+      .from("user_invitations")
+      .insert([{
+        org_id: user.orgId,
+        email: emailLower,
+        name: nameTrimmed || null,
+        role,
+        token,
+        invited_by: user.userId || null,
+        expires_at: expiresAt.toISOString(),
+        accepted_at: null,
+        created_at: new Date().toISOString(),
+      }])
       .select()
       .single();
+    if (error) {
+      console.error("DB fout INSERT user_invitations:", error);
+      return res.status(500).json({ error: "Kon uitnodiging niet aanmaken." });
+    }
+
+    const url = `${publicBaseUrl(req)}/?invite=${token}`;
+    const mailed = await sendMail({
+      to: emailLower,
+      ...mailTemplates.userInvited({
+        name: nameTrimmed,
+        orgName: org ? org.name : "je organisatie",
+        inviterName: user.name,
+        roleLabel: roleLabel(role),
+        url,
+        expiresAt,
+      }),
+    });
+
+    res.status(201).json({ ...normalizeInvitation(invitation), url, mailed });
+  } catch (err) {
+    console.error("Serverfout POST /api/users/invitations:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
 
+// Uitnodiging intrekken
+app.delete("/api/users/invitations/:id", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  try {
+    const { data, error } = await db
+      .from("user_invitations")
+      .delete()
+      .eq("id", Number(req.params.id))
+      .eq("org_id", req.user.orgId)
+      .is("accepted_at", null)
+      .select("id");
     if (error) {
-      console.error("Supabase fout DELETE /api/meeting-bookings/:id:", error);
-      return res.status(500).json({ error: "Kon vergaderreservering niet verwijderen." });
+      console.error("DB fout DELETE /api/users/invitations/:id:", error);
+      return res.status(500).json({ error: "Kon uitnodiging niet intrekken." });
     }
+    if (!data || !data.length) return res.status(404).json({ error: "Uitnodiging niet gevonden." });
+    res.json({ success: true });
+  } catch (err) {
+    console.error("Serverfout DELETE /api/users/invitations/:id:", err);
+    res.status(500).json({ error: "Interne serverfout." });
+  }
+});
 
-    res.json({ success: true, deleted: data });
+// Zelf registreren: toegestane e-maildomeinen van de eigen org
+app.get("/api/registration-settings", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  try {
+    const { data: org, error } = await db
+      .from("organizations")
+      .select("id, allowed_email_domains")
+      .eq("id", req.user.orgId)
+      .maybeSingle();
+    if (error || !org) return res.status(500).json({ error: "Kon instellingen niet ophalen." });
+    res.json({ allowedEmailDomains: org.allowed_email_domains || [] });
   } catch (err) {
-    console.error("Serverfout DELETE /api/meeting-bookings/:id:", err);
+    console.error("Serverfout GET /api/registration-settings:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-// ---- GEBRUIKERSBEHEER (admin only) ----
+// { allowedEmailDomains: ["voorbeeld.nl"] } of een tekst met komma's; leeg = iedereen met de code
+app.put("/api/registration-settings", requireAuth, requirePermission("org.manage"), async (req, res) => {
+  const parsed = parseEmailDomains((req.body || {}).allowedEmailDomains);
+  if (parsed.error) return res.status(400).json({ error: parsed.error });
 
-app.get("/api/users", async (req, res) => {
-  const user = getUserFromToken(req);
-  if (!user || user.role !== "admin") {
-    return res.status(403).json({ error: "Alleen admins kunnen gebruikers inzien." });
+  try {
+    const { data: org, error } = await db
+      .from("organizations")
+      .update({ allowed_email_domains: parsed.values })
+      .eq("id", req.user.orgId)
+      .select("id, allowed_email_domains")
+      .maybeSingle();
+    if (error || !org) {
+      console.error("DB fout PUT /api/registration-settings:", error);
+      return res.status(500).json({ error: "Kon instellingen niet opslaan." });
+    }
+    res.json({ allowedEmailDomains: org.allowed_email_domains || [] });
+  } catch (err) {
+    console.error("Serverfout PUT /api/registration-settings:", err);
+    res.status(500).json({ error: "Interne serverfout." });
   }
+});
+
+// Aanmeldlink openen: gegevens voor het formulier (zonder inloggen)
+app.get("/api/auth/invitations/:token", async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from("users")
-      .select("id, name, email, role")
-      .eq("org_id", user.orgId)
-      .order("name", { ascending: true });
-    if (error) return res.status(500).json({ error: "Kon gebruikers niet ophalen." });
-    res.json({ users: data });
+    const invitation = await loadOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: "Deze uitnodiging is verlopen of al gebruikt. Vraag je beheerder om een nieuwe." });
+    }
+    res.json({
+      orgId: invitation.org_id,
+      orgName: invitation.orgName,
+      email: invitation.email,
+      name: invitation.name || "",
+      roleLabel: roleLabel(invitation.role),
+    });
   } catch (err) {
-    console.error("Serverfout GET /api/users:", err);
+    console.error("Serverfout GET /api/auth/invitations/:token:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
-app.delete("/api/users/:id", async (req, res) => {
-  const user = getUserFromToken(req);
-  if (!user || user.role !== "admin") {
-    return res.status(403).json({ error: "Alleen admins kunnen gebruikers verwijderen." });
+// Account aanmaken met een uitnodiging: { name, password }. Daarna is de link niet meer bruikbaar.
+app.post("/api/auth/invitations/:token/accept", async (req, res) => {
+  const { name, password } = req.body || {};
+  const nameTrimmed = typeof name === "string" ? name.trim() : "";
+
+  if (!nameTrimmed || !password) {
+    return res.status(400).json({ error: "Alle velden zijn verplicht" });
   }
-  const targetId = Number(req.params.id);
-  if (targetId === user.userId) {
-    return res.status(400).json({ error: "Je kunt jezelf niet verwijderen." });
+  if (password.length < 8) {
+    return res.status(400).json({ error: "Wachtwoord moet minimaal 8 tekens bevatten" });
   }
+
   try {
-    const { data: target } = await supabase
-      .from("users").select("id").eq("id", targetId).eq("org_id", user.orgId).single();
-    if (!target) return res.status(404).json({ error: "Gebruiker niet gevonden in jouw organisatie." });
+    const invitation = await loadOpenInvitation(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({ error: "Deze uitnodiging is verlopen of al gebruikt. Vraag je beheerder om een nieuwe." });
+    }
 
-    const { error } = await supabase
-      .from("users").delete().eq("id", targetId).eq("org_id", user.orgId);
-    if (error) return res.status(500).json({ error: "Kon gebruiker niet verwijderen." });
-    res.json({ success: true });
+    // Eerst de uitnodiging claimen, zodat dezelfde link niet twee keer een account oplevert
+    const { data: claimed } = await db
+      .from("user_invitations")
+      .update({ accepted_at: new Date().toISOString() })
+      .eq("id", invitation.id)
+      .is("accepted_at", null)
+      .select("id");
+    if (!claimed || !claimed.length) {
+      return res.status(404).json({ error: "Deze uitnodiging is verlopen of al gebruikt. Vraag je beheerder om een nieuwe." });
+    }
+
+    const passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+    const { data: user, error } = await db
+      .from("users")
+      .insert([{
+        org_id: invitation.org_id,
+        email: invitation.email,
+        password_hash: passwordHash,
+        name: nameTrimmed,
+        role: invitation.role
+      }])
+      .select("id, org_id, email, name, role")
+      .single();
+
+    if (error) {
+      // Bijv. intussen zelf geregistreerd: uitnodiging weer vrijgeven
+      await db.from("user_invitations").update({ accepted_at: null }).eq("id", invitation.id);
+      if (error.code === "23505") {
+        return res.status(409).json({ error: "E-mailadres is al geregistreerd" });
+      }
+      console.error("DB fout accept invitation:", error);
+      return res.status(500).json({ error: "Kon account niet aanmaken" });
+    }
+
+    res.status(201).json(await issueSession(user));
   } catch (err) {
-    console.error("Serverfout DELETE /api/users/:id:", err);
+    console.error("Serverfout POST /api/auth/invitations/:token/accept:", err);
     res.status(500).json({ error: "Interne serverfout." });
   }
 });
 
 // ---- START SERVER ----
 app.listen(PORT, () => {
-  console.log(`✅ Poolauto app draait op http://localhost:${PORT}`);
+  console.log(`✅ Poolauto app draait op http://localhost:${PORT} (database: ${storageDescription}, e-mail: ${mailer.description})`);
+  if (REMINDER_MINUTES > 0) {
+    setInterval(sendDueReminders, REMINDER_CHECK_MS);
+    console.log(`⏰ Herinneringen ${REMINDER_MINUTES} minuten vóór elke reservering`);
+  }
+  setInterval(expireWaitlistOffersInBackground, REMINDER_CHECK_MS);
 });
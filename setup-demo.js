@@ -1,16 +1,14 @@
 // setup-demo.js
-// Maakt een volledige demo-omgeving aan in Supabase.
+// Maakt een volledige demo-omgeving aan in de database (Supabase of lokaal).
 // Gebruik: node setup-demo.js
+// Lokaal: STORAGE_BACKEND=memory STORAGE_FILE=data/local-db.json node setup-demo.js
 // Is idempotent: draai meerdere keren zonder dubbele data.
 
 require("dotenv").config();
-const { createClient } = require("@supabase/supabase-js");
 const bcrypt = require("bcrypt");
+const { createStorage } = require("./lib/storage");
 
-const supabase = createClient(
-  process.env.SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_ANON_KEY
-);
+const { db, description: storageDescription } = createStorage();
 
 const SALT_ROUNDS = 12;
 
@@ -29,12 +27,12 @@ const DEMO_USER = {
 };
 
 const DEMO_CARS = [
-  { name: "Volkswagen Polo", license: "TS-001-B", status: "ok" },
-  { name: "Toyota Yaris",    license: "TS-002-B", status: "ok" },
+  { name: "Volkswagen Polo", license: "TS-001-B", status: "ok", seats: 5, fuel_type: "benzine" },
+  { name: "Toyota Yaris",    license: "TS-002-B", status: "ok", seats: 5, fuel_type: "hybride" },
 ];
 
 const DEMO_ROOMS = [
-  { name: "Vergaderruimte A", capacity: 8 },
+  { name: "Vergaderruimte A", capacity: 8, equipment: ["Beamer", "Whiteboard"] },
 ];
 
 // ─── HELPERS ──────────────────────────────────────────────────────
@@ -66,13 +64,13 @@ function addDays(date, n) {
 // ─── MAIN ─────────────────────────────────────────────────────────
 
 async function main() {
-  console.log("🚀 Demo setup starten...\n");
+  console.log(`🚀 Demo setup starten (database: ${storageDescription})...\n`);
 
   // 1. Organisatie
   console.log("1️⃣  Organisatie aanmaken...");
   let orgId;
 
-  const { data: existingOrg } = await supabase
+  const { data: existingOrg } = await db
     .from("organizations")
     .select("id")
     .ilike("code", DEMO_ORG.code)
@@ -82,7 +80,7 @@ async function main() {
     orgId = existingOrg.id;
     console.log(`   ✅ Org bestaat al (id: ${orgId})`);
   } else {
-    const { data: newOrg, error } = await supabase
+    const { data: newOrg, error } = await db
       .from("organizations")
       .insert([DEMO_ORG])
       .select("id")
@@ -96,7 +94,7 @@ async function main() {
   // 2. Gebruiker
   console.log("\n2️⃣  Demo gebruiker aanmaken...");
 
-  const { data: existingUser } = await supabase
+  const { data: existingUser } = await db
     .from("users")
     .select("id")
     .eq("org_id", orgId)
@@ -109,7 +107,7 @@ async function main() {
     console.log(`   ✅ Gebruiker bestaat al (id: ${userId})`);
   } else {
     const passwordHash = await bcrypt.hash(DEMO_USER.password, SALT_ROUNDS);
-    const { data: newUser, error } = await supabase
+    const { data: newUser, error } = await db
       .from("users")
       .insert([{
         org_id: orgId,
@@ -131,9 +129,10 @@ async function main() {
   const carIds = [];
 
   for (const car of DEMO_CARS) {
-    const { data: existing } = await supabase
+    const { data: existing } = await db
       .from("cars")
       .select("id")
+      .eq("org_id", orgId)
       .eq("license", car.license)
       .maybeSingle();
 
@@ -141,9 +140,9 @@ async function main() {
       carIds.push(existing.id);
       console.log(`   ✅ Auto bestaat al: ${car.name} (${car.license})`);
     } else {
-      const { data: newCar, error } = await supabase
+      const { data: newCar, error } = await db
         .from("cars")
-        .insert([car])
+        .insert([{ ...car, org_id: orgId }])
         .select("id")
         .single();
 
@@ -157,7 +156,7 @@ async function main() {
   console.log("\n4️⃣  Vergaderruimte aanmaken...");
   let roomId;
 
-  const { data: existingRoom } = await supabase
+  const { data: existingRoom } = await db
     .from("meeting_rooms")
     .select("id")
     .eq("org_id", orgId)
@@ -168,7 +167,7 @@ async function main() {
     roomId = existingRoom.id;
     console.log(`   ✅ Ruimte bestaat al (id: ${roomId})`);
   } else {
-    const { data: newRoom, error } = await supabase
+    const { data: newRoom, error } = await db
       .from("meeting_rooms")
       .insert([{ ...DEMO_ROOMS[0], org_id: orgId }])
       .select("id")
@@ -176,7 +175,7 @@ async function main() {
 
     if (error && error.code === "23505") {
       // Primary key conflict: ruimte bestaat toch al, zoek het op
-      const { data: fallback } = await supabase
+      const { data: fallback } = await db
         .from("meeting_rooms")
         .select("id")
         .eq("org_id", orgId)
@@ -228,13 +227,13 @@ async function main() {
   // Verwijder eventuele oude demo-bookings voor deze org deze week
   const weekStart = toISO(monday, 0);
   const weekEnd   = toISO(addDays(monday, 6), 23, 59);
-  await supabase.from("bookings")
+  await db.from("bookings")
     .delete()
     .eq("org_id", orgId)
     .gte("start", weekStart)
     .lte("start", weekEnd);
 
-  const { error: bookErr } = await supabase.from("bookings").insert(demoBookings);
+  const { error: bookErr } = await db.from("bookings").insert(demoBookings);
   if (bookErr) { console.error("   ❌ Bookings aanmaken mislukt:", bookErr.message); process.exit(1); }
   console.log(`   ✅ ${demoBookings.length} auto-reserveringen aangemaakt`);
 
@@ -256,13 +255,13 @@ async function main() {
       start_time: toISO(addDays(monday, 3), 9, 30), end_time: toISO(addDays(monday, 3), 10, 0) },
   ];
 
-  await supabase.from("meeting_bookings")
+  await db.from("meeting_bookings")
     .delete()
     .eq("org_id", orgId)
     .gte("start_time", weekStart)
     .lte("start_time", weekEnd);
 
-  const { error: meetErr } = await supabase.from("meeting_bookings").insert(demoMeetings);
+  const { error: meetErr } = await db.from("meeting_bookings").insert(demoMeetings);
   if (meetErr) { console.error("   ❌ Vergaderingen aanmaken mislukt:", meetErr.message); process.exit(1); }
   console.log(`   ✅ ${demoMeetings.length} vergaderreserveringen aangemaakt`);
 
@@ -0,0 +1,76 @@
+-- 001_baseline.sql
+-- Bestaand schema van de Supabase database (vastgelegd zodat de lokale
+-- backend in lib/memory-store.js dezelfde tabellen en kolommen kan aanhouden).
+
+create table if not exists organizations (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  code text not null unique,
+  allowed_sections text[] default array['cars', 'meetings'],
+  meeting_org_id bigint references organizations(id),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists users (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id),
+  email text not null,
+  password_hash text not null,
+  name text not null,
+  role text not null default 'user',
+  created_at timestamptz not null default now(),
+  unique (org_id, email)
+);
+
+create table if not exists cars (
+  id bigint generated by default as identity primary key,
+  name text not null,
+  license text not null,
+  status text not null default 'ok',
+  unavailable_from timestamptz,
+  unavailable_until timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists extra_cars (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id),
+  license text not null,
+  name text,
+  date date not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists bookings (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id),
+  car_id bigint references cars(id),
+  extra_car_id bigint references extra_cars(id),
+  user_id bigint references users(id),
+  user_name text not null,
+  start timestamptz not null,
+  "end" timestamptz not null,
+  note text default '',
+  created_at timestamptz not null default now()
+);
+
+create table if not exists meeting_rooms (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id),
+  name text not null,
+  capacity integer,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists meeting_bookings (
+  id bigint generated by default as identity primary key,
+  room_id bigint not null references meeting_rooms(id),
+  org_id bigint not null references organizations(id),
+  source_org_id bigint references organizations(id),
+  user_id bigint references users(id),
+  title text,
+  organizer text not null,
+  start_time timestamptz not null,
+  end_time timestamptz not null,
+  created_at timestamptz not null default now()
+);
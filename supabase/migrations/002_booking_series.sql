@@ -0,0 +1,25 @@
+-- 002_booking_series.sql
+-- Herhalende autoreserveringen: een reeks met herhalingsregel, bookings verwijzen ernaar.
+
+create table if not exists booking_series (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id),
+  car_id bigint not null references cars(id),
+  user_id bigint references users(id),
+  user_name text not null,
+  note text default '',
+  start timestamptz not null,          -- eerste herhaling
+  "end" timestamptz not null,
+  frequency text not null check (frequency in ('daily', 'weekdays', 'weekly')),
+  repeat_interval integer not null default 1,
+  until date,
+  count integer,
+  exceptions date[] not null default '{}',
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table bookings
+  add column if not exists series_id bigint references booking_series(id) on delete set null;
+
+create index if not exists bookings_series_id_idx on bookings (series_id);
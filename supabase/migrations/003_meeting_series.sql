@@ -0,0 +1,32 @@
+-- 003_meeting_series.sql
+-- Herhalende vergaderreserveringen (wekelijks teamoverleg, maandelijkse directievergadering).
+
+create table if not exists meeting_series (
+  id bigint generated by default as identity primary key,
+  room_id bigint not null references meeting_rooms(id),
+  org_id bigint not null references organizations(id),
+  source_org_id bigint references organizations(id),
+  user_id bigint references users(id),
+  title text,
+  organizer text not null,
+  start_time timestamptz not null,     -- eerste herhaling
+  end_time timestamptz not null,
+  frequency text not null check (frequency in ('daily', 'weekdays', 'weekly', 'monthly')),
+  repeat_interval integer not null default 1,
+  until date,
+  count integer,
+  exceptions date[] not null default '{}',
+  cancelled_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table meeting_bookings
+  add column if not exists series_id bigint references meeting_series(id) on delete set null;
+
+create index if not exists meeting_bookings_series_id_idx on meeting_bookings (series_id);
+
+-- Maandelijks is nu ook toegestaan voor autoreeksen
+alter table booking_series drop constraint if exists booking_series_frequency_check;
+alter table booking_series
+  add constraint booking_series_frequency_check
+  check (frequency in ('daily', 'weekdays', 'weekly', 'monthly'));
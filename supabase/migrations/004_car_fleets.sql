@@ -0,0 +1,24 @@
+-- 004_car_fleets.sql
+-- Auto's horen bij een organisatie. Een org kan het wagenpark van een andere org
+-- gebruiken via car_org_id (net als meeting_org_id voor vergaderruimtes).
+-- Reserveringen op een gedeeld wagenpark staan onder de org van het wagenpark,
+-- source_org_id bewaart de org van de boeker.
+
+alter table organizations
+  add column if not exists car_org_id bigint references organizations(id);
+
+alter table cars
+  add column if not exists org_id bigint references organizations(id);
+
+-- Bestaande auto's waren voor iedereen zichtbaar: ze gaan naar de eerste organisatie.
+-- Orgs die ze daarna nog moeten kunnen boeken krijgen car_org_id = die organisatie.
+update cars set org_id = (select min(id) from organizations) where org_id is null;
+
+alter table cars alter column org_id set not null;
+
+create index if not exists cars_org_id_idx on cars (org_id);
+
+alter table bookings
+  add column if not exists source_org_id bigint references organizations(id);
+
+update bookings set source_org_id = org_id where source_org_id is null;
@@ -0,0 +1,13 @@
+-- 005_car_room_admin.sql
+-- Beheer van auto's en vergaderruimtes vanuit de app: extra gegevens en archiveren.
+-- Gearchiveerde auto's/ruimtes zijn niet meer te boeken, maar houden hun historie.
+
+alter table cars
+  add column if not exists seats integer check (seats between 1 and 99),
+  add column if not exists fuel_type text check (fuel_type in ('benzine', 'diesel', 'hybride', 'elektrisch')),
+  add column if not exists notes text default '',
+  add column if not exists archived_at timestamptz;
+
+alter table meeting_rooms
+  add column if not exists equipment text[] not null default '{}',
+  add column if not exists archived_at timestamptz;
@@ -0,0 +1,24 @@
+-- 006_car_unavailability.sql
+-- Meerdere geplande periodes per auto dat hij niet beschikbaar is, met reden en toelichting.
+-- Afgelopen periodes blijven staan als geschiedenis. Vervangt cars.status /
+-- cars.unavailable_from / cars.unavailable_until (die kolommen worden niet meer gebruikt).
+
+create table if not exists car_unavailability (
+  id bigint generated by default as identity primary key,
+  car_id bigint not null references cars(id) on delete cascade,
+  reason text not null check (reason in ('maintenance', 'damage', 'apk', 'tyres', 'management')),
+  note text default '',
+  start timestamptz not null,
+  "end" timestamptz,                   -- null = tot nader order
+  created_by bigint references users(id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists car_unavailability_car_id_start_idx on car_unavailability (car_id, start);
+
+-- Bestaande garage-periodes overzetten als onderhoud
+insert into car_unavailability (car_id, reason, start, "end")
+select id, 'maintenance', coalesce(unavailable_from, now()), unavailable_until
+from cars
+where status = 'garage'
+  and (unavailable_until is null or unavailable_until > now());
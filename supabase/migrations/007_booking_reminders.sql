@@ -0,0 +1,15 @@
+-- 007_booking_reminders.sql
+-- Herinneringsmails: per reservering bijhouden wanneer de herinnering is verstuurd.
+-- Bij een nieuwe begintijd zet de app dit weer op null, dan komt er een nieuwe herinnering.
+
+alter table bookings
+  add column if not exists reminder_sent_at timestamptz;
+
+alter table meeting_bookings
+  add column if not exists reminder_sent_at timestamptz;
+
+create index if not exists bookings_reminder_due_idx
+  on bookings (start) where reminder_sent_at is null;
+
+create index if not exists meeting_bookings_reminder_due_idx
+  on meeting_bookings (start_time) where reminder_sent_at is null;
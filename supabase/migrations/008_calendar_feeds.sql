@@ -0,0 +1,44 @@
+-- 008_calendar_feeds.sql
+-- Agenda-export (iCal): abonneerbare feeds met een intrekbaar geheim token,
+-- een volgnummer per reservering (SEQUENCE) en een spoor van geannuleerde
+-- reserveringen, zodat agenda-apps een annulering ook echt doorvoeren.
+
+alter table bookings
+  add column if not exists sequence integer not null default 0;
+
+alter table meeting_bookings
+  add column if not exists sequence integer not null default 0;
+
+-- type 'user' = eigen auto-ritten en vergaderingen, 'room' = alle vergaderingen in één ruimte
+create table if not exists calendar_feeds (
+  id bigint generated by default as identity primary key,
+  token text not null unique,
+  org_id bigint not null references organizations(id),
+  user_id bigint not null references users(id) on delete cascade,
+  type text not null check (type in ('user', 'room')),
+  room_id bigint references meeting_rooms(id) on delete cascade,
+  created_at timestamptz not null default now(),
+  revoked_at timestamptz,
+  check (type = 'user' or room_id is not null)
+);
+
+create index if not exists calendar_feeds_user_idx on calendar_feeds (user_id);
+
+-- Geannuleerde reserveringen (de rij zelf is verwijderd); kind 'car' = bookings, 'room' = meeting_bookings
+create table if not exists booking_cancellations (
+  id bigint generated by default as identity primary key,
+  kind text not null check (kind in ('car', 'room')),
+  booking_id bigint not null,
+  org_id bigint not null references organizations(id),
+  user_id bigint references users(id) on delete set null,
+  room_id bigint references meeting_rooms(id) on delete cascade,
+  summary text not null default '',
+  location text,
+  start timestamptz not null,
+  "end" timestamptz not null,
+  sequence integer not null default 0,
+  cancelled_at timestamptz not null default now()
+);
+
+create index if not exists booking_cancellations_user_idx on booking_cancellations (user_id, "end");
+create index if not exists booking_cancellations_room_idx on booking_cancellations (room_id, "end");
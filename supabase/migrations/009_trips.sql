@@ -0,0 +1,26 @@
+-- 009_trips.sql
+-- Ritregistratie bij een reservering: ophalen (check-out) en terugbrengen (check-in)
+-- met kilometerstand, brandstofniveau (%), werkelijke tijden en schade-opmerkingen.
+-- Eén rit per reservering; de kilometerstanden per auto lopen op (gecontroleerd door de app).
+
+create table if not exists trips (
+  id bigint generated by default as identity primary key,
+  booking_id bigint not null unique references bookings(id) on delete cascade,
+  car_id bigint not null references cars(id),
+  org_id bigint not null references organizations(id),
+  user_id bigint references users(id) on delete set null,
+  checked_out_at timestamptz not null,
+  checked_out_by bigint references users(id) on delete set null,
+  odometer_start integer not null check (odometer_start >= 0),
+  fuel_start integer check (fuel_start between 0 and 100),
+  damage_at_checkout text not null default '',
+  checked_in_at timestamptz,
+  checked_in_by bigint references users(id) on delete set null,
+  odometer_end integer check (odometer_end >= odometer_start),
+  fuel_end integer check (fuel_end between 0 and 100),
+  damage_at_checkin text not null default '',
+  created_at timestamptz not null default now(),
+  check (checked_in_at is null or checked_in_at >= checked_out_at)
+);
+
+create index if not exists trips_car_id_checked_out_idx on trips (car_id, checked_out_at);
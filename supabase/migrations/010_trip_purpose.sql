@@ -0,0 +1,12 @@
+-- 010_trip_purpose.sql
+-- Rittenregistratie voor de Belastingdienst: per rit het soort rit (zakelijk, woon-werk
+-- of privé), het bestemmingsadres en het doel van de rit.
+-- Het soort rit is verplicht bij terugbrengen; oudere ritten blijven null ("niet opgegeven").
+
+alter table trips
+  add column if not exists category text check (category in ('business', 'commute', 'private')),
+  add column if not exists destination text not null default '',
+  add column if not exists purpose text not null default '';
+
+create index if not exists trips_org_checked_out_idx on trips (org_id, checked_out_at);
+create index if not exists trips_user_checked_out_idx on trips (user_id, checked_out_at);
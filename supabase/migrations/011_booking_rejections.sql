@@ -0,0 +1,21 @@
+-- 011_booking_rejections.sql
+-- Afgewezen reserveringspogingen (409: al geboekt of niet beschikbaar), voor de statistieken.
+-- Bij een reeks is er één rij per poging, met het aantal herhalingen dat niet kon.
+
+create table if not exists booking_rejections (
+  id bigint generated by default as identity primary key,
+  kind text not null check (kind in ('car', 'room')),
+  org_id bigint not null references organizations(id) on delete cascade,
+  car_id bigint references cars(id) on delete set null,
+  extra_car_id bigint references extra_cars(id) on delete set null,
+  room_id bigint references meeting_rooms(id) on delete set null,
+  user_id bigint references users(id) on delete set null,
+  start timestamptz not null,
+  "end" timestamptz not null,
+  reason text not null check (reason in ('conflict', 'unavailable')),
+  occurrences integer not null default 1,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists booking_rejections_org_created_idx
+  on booking_rejections (org_id, created_at);
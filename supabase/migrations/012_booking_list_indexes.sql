@@ -0,0 +1,12 @@
+-- 012_booking_list_indexes.sql
+-- Indexen voor de lijst-endpoints: filteren op org + periode en paginering op (start, id),
+-- plus de filters op auto, ruimte en gebruiker. Zo blijven ze snel als de historie groeit.
+
+create index if not exists bookings_org_start_id_idx on bookings (org_id, start, id);
+create index if not exists bookings_car_id_start_idx on bookings (car_id, start);
+create index if not exists bookings_extra_car_id_start_idx on bookings (extra_car_id, start);
+create index if not exists bookings_user_id_start_idx on bookings (user_id, start);
+
+create index if not exists meeting_bookings_org_start_id_idx on meeting_bookings (org_id, start_time, id);
+create index if not exists meeting_bookings_room_id_start_idx on meeting_bookings (room_id, start_time);
+create index if not exists meeting_bookings_user_id_start_idx on meeting_bookings (user_id, start_time);
@@ -0,0 +1,21 @@
+-- 013_extra_car_ranges.sql
+-- Extra auto's zijn niet meer aan één dag gebonden maar beschikbaar van available_from
+-- tot en met available_to, zodat een reservering over meerdere dagen (bijv. een congres
+-- van maandag tot woensdag) ook met een extra auto kan.
+-- Bestaande extra auto's krijgen hun oude datum als begin en einde.
+
+alter table extra_cars
+  add column if not exists available_from date,
+  add column if not exists available_to date;
+
+update extra_cars
+  set available_from = date, available_to = date
+  where available_from is null;
+
+alter table extra_cars
+  alter column available_from set not null,
+  alter column available_to set not null,
+  drop column if exists date,
+  add constraint extra_cars_range_check check (available_to >= available_from);
+
+create index if not exists extra_cars_org_range_idx on extra_cars (org_id, available_from, available_to);
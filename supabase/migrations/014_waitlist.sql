@@ -0,0 +1,34 @@
+-- 014_waitlist.sql
+-- Wachtlijst voor bezette auto's en ruimtes. Een gebruiker meldt zich aan voor een tijdvak
+-- op een poolauto, op "elke auto" (car_id null) of op een ruimte. Wordt er een reservering
+-- verwijderd, dan krijgt de eerste wachtende van wie het tijdvak nu vrij is de plek:
+-- direct gereserveerd (auto_book) of aangeboden (status 'offered', zelf bevestigen).
+-- booking_id verwijst naar bookings of meeting_bookings, afhankelijk van kind.
+
+create table if not exists waitlist_entries (
+  id bigint generated by default as identity primary key,
+  kind text not null check (kind in ('car', 'room')),
+  org_id bigint not null references organizations(id) on delete cascade,
+  source_org_id bigint references organizations(id) on delete set null,
+  user_id bigint not null references users(id) on delete cascade,
+  user_name text not null,
+  car_id bigint references cars(id) on delete cascade,
+  room_id bigint references meeting_rooms(id) on delete cascade,
+  start timestamptz not null,
+  "end" timestamptz not null,
+  note text not null default '',
+  auto_book boolean not null default true,
+  status text not null default 'waiting'
+    check (status in ('waiting', 'offered', 'booked', 'cancelled')),
+  booking_id bigint,
+  offered_at timestamptz,
+  created_at timestamptz not null default now(),
+  check ("end" > start),
+  check ((kind = 'room') = (room_id is not null)),
+  check (kind = 'car' or car_id is null)
+);
+
+create index if not exists waitlist_entries_org_kind_status_idx
+  on waitlist_entries (org_id, kind, status, start);
+create index if not exists waitlist_entries_user_status_idx
+  on waitlist_entries (user_id, status);
@@ -0,0 +1,29 @@
+-- 015_booking_overlap_constraints.sql
+-- Dubbele boekingen onmogelijk maken in de database zelf. De server controleert vooraf
+-- op overlap, maar twee gelijktijdige verzoeken kunnen allebei die controle passeren;
+-- met deze exclusion constraints faalt dan de tweede insert/update (foutcode 23P01)
+-- en geeft de server dezelfde 409 als bij een gewone overlap.
+-- Tijdvakken zijn [start, end): een reservering mag beginnen op het moment dat de vorige eindigt.
+-- Let op: bestaande overlappende reserveringen moeten eerst worden opgeruimd, anders faalt
+-- deze migratie. Controleer bijvoorbeeld met:
+--   select a.id, b.id from bookings a join bookings b on a.id < b.id
+--     and a.car_id = b.car_id and a.start < b."end" and b.start < a."end";
+
+create extension if not exists btree_gist;
+
+alter table bookings drop constraint if exists bookings_car_overlap_excl;
+alter table bookings
+  add constraint bookings_car_overlap_excl
+  exclude using gist (car_id with =, tstzrange(start, "end") with &&)
+  where (car_id is not null);
+
+alter table bookings drop constraint if exists bookings_extra_car_overlap_excl;
+alter table bookings
+  add constraint bookings_extra_car_overlap_excl
+  exclude using gist (extra_car_id with =, tstzrange(start, "end") with &&)
+  where (extra_car_id is not null);
+
+alter table meeting_bookings drop constraint if exists meeting_bookings_room_overlap_excl;
+alter table meeting_bookings
+  add constraint meeting_bookings_room_overlap_excl
+  exclude using gist (room_id with =, tstzrange(start_time, end_time) with &&);
@@ -0,0 +1,29 @@
+-- 016_booking_approval.sql
+-- Goedkeuring voor bijzondere auto's en ruimtes (directieauto, bus, grote boardroom).
+-- Een reservering van een auto/ruimte met requires_approval begint als 'pending': het
+-- tijdvak is dan al bezet (voorlopig), maar de reservering geldt pas na goedkeuring door
+-- een admin of een aangewezen goedkeurder (users.can_approve). Afwijzen verwijdert de reservering.
+
+alter table cars
+  add column if not exists requires_approval boolean not null default false;
+
+alter table meeting_rooms
+  add column if not exists requires_approval boolean not null default false;
+
+alter table users
+  add column if not exists can_approve boolean not null default false;
+
+alter table bookings
+  add column if not exists status text not null default 'confirmed' check (status in ('pending', 'confirmed')),
+  add column if not exists reviewed_by bigint references users(id) on delete set null,
+  add column if not exists reviewed_at timestamptz;
+
+alter table meeting_bookings
+  add column if not exists status text not null default 'confirmed' check (status in ('pending', 'confirmed')),
+  add column if not exists reviewed_by bigint references users(id) on delete set null,
+  add column if not exists reviewed_at timestamptz;
+
+create index if not exists bookings_pending_idx
+  on bookings (org_id, start) where status = 'pending';
+create index if not exists meeting_bookings_pending_idx
+  on meeting_bookings (org_id, start_time) where status = 'pending';
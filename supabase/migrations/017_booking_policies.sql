@@ -0,0 +1,24 @@
+-- 017_booking_policies.sql
+-- Reserveringsregels per organisatie, apart voor auto's en vergaderruimtes. De regels van de
+-- org van de auto of ruimte gelden, ook voor boekers uit een org die het wagenpark deelt.
+-- null = geen grens. allowed_days: 1 = maandag … 7 = zondag. hours_from/hours_until in lokale tijd.
+-- Admins zijn vrijgesteld van de regels, behalve van de buffer tussen reserveringen.
+
+create table if not exists booking_policies (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id) on delete cascade,
+  kind text not null check (kind in ('car', 'room')),
+  max_duration_minutes integer check (max_duration_minutes > 0),
+  max_days_ahead integer check (max_days_ahead >= 0),
+  min_notice_minutes integer check (min_notice_minutes >= 0),
+  max_future_bookings integer check (max_future_bookings >= 0),
+  allowed_days smallint[] check (allowed_days <@ array[1, 2, 3, 4, 5, 6, 7]::smallint[]),
+  hours_from time,
+  hours_until time,
+  buffer_minutes integer not null default 0 check (buffer_minutes >= 0),
+  updated_by bigint references users(id) on delete set null,
+  updated_at timestamptz not null default now(),
+  unique (org_id, kind),
+  check ((hours_from is null) = (hours_until is null)),
+  check (hours_until > hours_from)
+);
@@ -0,0 +1,12 @@
+-- 018_user_roles.sql
+-- Rollen naast 'user' en 'admin': wagenparkbeheerder, facilitair beheerder, goedkeurder en
+-- alleen lezen. Wat een rol mag staat in lib/roles.js.
+-- De goedkeurder wordt een rol: users.can_approve (016) gaat op in role = 'approver'.
+
+update users set role = 'approver' where can_approve and role = 'user';
+
+alter table users drop column if exists can_approve;
+
+alter table users drop constraint if exists users_role_check;
+alter table users add constraint users_role_check
+  check (role in ('admin', 'fleet_manager', 'facility_manager', 'approver', 'user', 'viewer'));
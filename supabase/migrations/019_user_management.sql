@@ -0,0 +1,30 @@
+-- 019_user_management.sql
+-- Gebruikersbeheer: uitnodigen per e-mail, deactiveren in plaats van verwijderen en
+-- zelf registreren beperken tot bepaalde e-maildomeinen.
+-- Een gedeactiveerde gebruiker kan niet meer inloggen; reserveringen, ritten en reeksen
+-- blijven via user_id aan die gebruiker gekoppeld.
+
+alter table users
+  add column if not exists deactivated_at timestamptz;
+
+-- null = iedereen met de organisatiecode mag zich registreren, anders alleen met een
+-- e-mailadres op een van deze domeinen (kleine letters, zonder '@'). Uitnodigingen gelden altijd.
+alter table organizations
+  add column if not exists allowed_email_domains text[];
+
+-- Eenmalige aanmeldlink: wie de link opent kiest een wachtwoord en krijgt de rol uit de uitnodiging
+create table if not exists user_invitations (
+  id bigint generated by default as identity primary key,
+  org_id bigint not null references organizations(id) on delete cascade,
+  email text not null,
+  name text,
+  role text not null default 'user',
+  token text not null unique,
+  invited_by bigint references users(id) on delete set null,
+  expires_at timestamptz not null,
+  accepted_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists user_invitations_org_idx
+  on user_invitations (org_id, email);
@@ -0,0 +1,12 @@
+-- 020_meeting_overlap_deferrable.sql
+-- Een reeks vergaderingen verschuiven gebeurt in één upsert van alle herhalingen.
+-- Rij voor rij gecontroleerd botst een herhaling dan met het oude tijdvak van de volgende,
+-- ook al overlapt er na afloop niets. Daarom controleert de database de overlap pas aan het
+-- eind van de transactie; overlapt er dan nog iets, dan faalt de hele upsert (23P01) en
+-- blijft alles zoals het was.
+
+alter table meeting_bookings drop constraint if exists meeting_bookings_room_overlap_excl;
+alter table meeting_bookings
+  add constraint meeting_bookings_room_overlap_excl
+  exclude using gist (room_id with =, tstzrange(start_time, end_time) with &&)
+  deferrable initially deferred;
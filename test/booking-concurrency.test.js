@@ -0,0 +1,248 @@
+// test/booking-concurrency.test.js
+// Gelijktijdige reserveringen voor hetzelfde tijdvak: precies één mag lukken (201), de rest
+// krijgt 409. Een reeks vergaderingen verschuiven gaat in zijn geheel of helemaal niet. Start de app met de lokale database (STORAGE_BACKEND=memory) en de demo-data
+// uit setup-demo.js in een tijdelijke map.
+// Draaien: npm test
+
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { spawn, execFile } = require("node:child_process");
+const { promisify } = require("node:util");
+const fs = require("node:fs");
+const net = require("node:net");
+const os = require("node:os");
+const path = require("node:path");
+
+const ROOT = path.join(__dirname, "..");
+const PARALLEL = 6;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let server;
+let baseUrl;
+let token;
+let tmpDir;
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const srv = net.createServer();
+    srv.unref();
+    srv.on("error", reject);
+    srv.listen(0, () => {
+      const { port } = srv.address();
+      srv.close(() => resolve(port));
+    });
+  });
+}
+
+// Wacht tot de server meldt dat hij draait (of faalt)
+function waitForServer(child) {
+  return new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error("Server start niet:\n" + output)), 20000);
+    child.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("draait op")) {
+        clearTimeout(timer);
+        resolve();
+      }
+    });
+    child.stderr.on("data", (chunk) => { output += chunk; });
+    child.on("exit", (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server gestopt (code ${code}):\n${output}`));
+    });
+  });
+}
+
+async function api(method, url, body) {
+  const res = await fetch(baseUrl + url, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: "Bearer " + token } : {}),
+    },
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: res.status, body: await res.json().catch(() => ({})) };
+}
+
+// Vrij uur op een werkdag over "days" dagen (standaard twee weken), vanaf "hour" lokale tijd
+// (de demo-data valt in deze week)
+function freeSlot(hour, days = 14) {
+  const day = new Date();
+  day.setDate(day.getDate() + days);
+  while (day.getDay() === 0 || day.getDay() === 6) day.setDate(day.getDate() + 1);
+  const start = new Date(day);
+  start.setHours(hour, 0, 0, 0);
+  const end = new Date(start);
+  end.setHours(hour + 1);
+  return { start: start.toISOString(), end: end.toISOString() };
+}
+
+function shiftIso(iso, ms) {
+  return new Date(new Date(iso).getTime() + ms).toISOString();
+}
+
+// Dagelijkse reeks van drie vergaderingen; geeft de herhalingen (oudste eerst) terug
+async function createDailySeries(roomId, slot) {
+  const created = await api("POST", "/api/meeting-bookings", {
+    roomId,
+    title: "Reeks",
+    organizer: "Tester",
+    startTime: slot.start,
+    endTime: slot.end,
+    recurrence: { frequency: "daily", count: 3 },
+  });
+  assert.equal(created.status, 201, JSON.stringify(created.body));
+  return created.body.bookings;
+}
+
+async function seriesRows(roomId, seriesId, slot) {
+  const from = slot.start.slice(0, 10);
+  const to = shiftIso(slot.start, 7 * DAY_MS).slice(0, 10);
+  const { body } = await api("GET", `/api/meeting-bookings?roomId=${roomId}&from=${from}&to=${to}`);
+  return body
+    .filter((b) => b.seriesId === seriesId)
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))
+    .map((b) => ({ id: b.id, startTime: b.startTime, endTime: b.endTime }));
+}
+
+function countStatuses(results) {
+  return results.reduce((acc, r) => {
+    acc[r.status] = (acc[r.status] || 0) + 1;
+    return acc;
+  }, {});
+}
+
+before(async () => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "poolauto-test-"));
+  const env = {
+    ...process.env,
+    STORAGE_BACKEND: "memory",
+    STORAGE_FILE: path.join(tmpDir, "db.json"),
+    MAIL_TRANSPORT: "file",
+    MAIL_OUTBOX_DIR: path.join(tmpDir, "outbox"),
+    JWT_SECRET: "test-secret",
+    REMINDER_MINUTES: "0",
+  };
+
+  await promisify(execFile)(process.execPath, [path.join(ROOT, "setup-demo.js")], { cwd: ROOT, env });
+
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [path.join(ROOT, "server.js")], {
+    cwd: ROOT,
+    env: { ...env, PORT: String(port) },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  await waitForServer(server);
+
+  const org = await api("POST", "/api/auth/verify-org", { code: "DEMO" });
+  const login = await api("POST", "/api/auth/login", {
+    orgId: org.body.orgId,
+    email: "demo@poolauto.nl",
+    password: "Demo1234",
+  });
+  assert.equal(login.status, 200, JSON.stringify(login.body));
+  token = login.body.token;
+});
+
+after(() => {
+  if (server) {
+    server.removeAllListeners("exit");
+    server.kill();
+  }
+  if (tmpDir) fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+test("gelijktijdige autoreserveringen voor hetzelfde tijdvak: één 201, de rest 409", async () => {
+  const { body: cars } = await api("GET", "/api/cars");
+  const carId = cars[0].id;
+  const slot = freeSlot(10);
+
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL }, (_, i) =>
+      api("POST", "/api/bookings", { carId, userName: `Tester ${i + 1}`, ...slot })
+    )
+  );
+
+  assert.deepEqual(countStatuses(results), { 201: 1, 409: PARALLEL - 1 });
+});
+
+test("gelijktijdige vergaderreserveringen voor hetzelfde tijdvak: één 201, de rest 409", async () => {
+  const { body: rooms } = await api("GET", "/api/meeting-rooms");
+  const roomId = rooms[0].id;
+  const slot = freeSlot(14);
+
+  const results = await Promise.all(
+    Array.from({ length: PARALLEL }, (_, i) =>
+      api("POST", "/api/meeting-bookings", {
+        roomId,
+        title: `Overleg ${i + 1}`,
+        organizer: `Tester ${i + 1}`,
+        startTime: slot.start,
+        endTime: slot.end,
+      })
+    )
+  );
+
+  assert.deepEqual(countStatuses(results), { 201: 1, 409: PARALLEL - 1 });
+});
+
+test("reeks een dag verschuiven over de eigen tijdvakken: alles verschuift of niets", async () => {
+  const { body: rooms } = await api("GET", "/api/meeting-rooms");
+  const roomId = rooms[0].id;
+  const slot = freeSlot(9, 21);
+  const occurrences = await createDailySeries(roomId, slot);
+  const seriesId = occurrences[0].seriesId;
+
+  // Elke herhaling schuift naar het oude tijdvak van de volgende
+  const shifted = await api("PATCH", `/api/meeting-bookings/${occurrences[0].id}?scope=all`, {
+    startTime: shiftIso(slot.start, DAY_MS),
+    endTime: shiftIso(slot.end, DAY_MS),
+  });
+  assert.equal(shifted.status, 200, JSON.stringify(shifted.body));
+  const afterShift = await seriesRows(roomId, seriesId, slot);
+  assert.deepEqual(
+    afterShift.map((b) => b.startTime),
+    occurrences.map((b) => shiftIso(b.startTime, DAY_MS))
+  );
+
+  // Een dag langer laat de herhalingen elkaar overlappen: 409 en niets gewijzigd
+  const overlapping = await api("PATCH", `/api/meeting-bookings/${occurrences[0].id}?scope=all`, {
+    endTime: shiftIso(afterShift[0].endTime, DAY_MS),
+  });
+  assert.equal(overlapping.status, 409, JSON.stringify(overlapping.body));
+  assert.deepEqual(await seriesRows(roomId, seriesId, slot), afterShift);
+});
+
+test("reeks verschuiven terwijl anderen het nieuwe tijdvak boeken: geen halve verschuiving", async () => {
+  const { body: rooms } = await api("GET", "/api/meeting-rooms");
+  const roomId = rooms[0].id;
+  const slot = freeSlot(11, 28);
+  const occurrences = await createDailySeries(roomId, slot);
+  const seriesId = occurrences[0].seriesId;
+  const last = occurrences[occurrences.length - 1];
+  const target = { startTime: shiftIso(last.startTime, DAY_MS), endTime: shiftIso(last.endTime, DAY_MS) };
+
+  const [patch, ...posts] = await Promise.all([
+    api("PATCH", `/api/meeting-bookings/${occurrences[0].id}?scope=all`, {
+      startTime: shiftIso(slot.start, DAY_MS),
+      endTime: shiftIso(slot.end, DAY_MS),
+    }),
+    ...Array.from({ length: PARALLEL - 1 }, (_, i) =>
+      api("POST", "/api/meeting-bookings", { roomId, title: `Overleg ${i + 1}`, organizer: `Tester ${i + 1}`, ...target })
+    ),
+  ]);
+
+  const rows = await seriesRows(roomId, seriesId, slot);
+  assert.equal(rows.length, occurrences.length);
+  if (patch.status === 200) {
+    assert.deepEqual(countStatuses(posts), { 409: PARALLEL - 1 });
+    assert.deepEqual(rows.map((b) => b.startTime), occurrences.map((b) => shiftIso(b.startTime, DAY_MS)));
+  } else {
+    assert.equal(patch.status, 409, JSON.stringify(patch.body));
+    assert.deepEqual(countStatuses(posts), { 201: 1, 409: PARALLEL - 2 });
+    assert.deepEqual(rows.map((b) => b.startTime), occurrences.map((b) => b.startTime));
+  }
+});